@@ -39,242 +39,6 @@ setTimeout(() => {
     }
 }, 10000);
 
-// =============================================================================
-// Wall Materials & Constants
-// =============================================================================
-
-/**
- * Material properties for different wall types
- * Attenuation values in dB (typical indoor RF loss at 2.4GHz)
- */
-const WALL_MATERIALS = {
-    drywall: {
-        attenuation: 3,      // ~3 dB loss through standard drywall
-        color: 0xcccccc,
-        name: 'Drywall'
-    },
-    concrete: {
-        attenuation: 10,     // ~10 dB loss through concrete
-        color: 0x888888,
-        name: 'Concrete'
-    },
-    brick: {
-        attenuation: 8,      // ~8 dB loss through brick
-        color: 0xaa6644,
-        name: 'Brick'
-    },
-    glass: {
-        attenuation: 2,      // ~2 dB loss through glass
-        color: 0x8888ff,
-        name: 'Glass'
-    },
-    metal: {
-        attenuation: 20,     // ~20 dB loss through metal (heavy attenuation)
-        color: 0x666666,
-        name: 'Metal'
-    },
-    door_wood: {
-        attenuation: 4,      // ~4 dB loss through wooden door
-        color: 0x996633,
-        name: 'Wood Door'
-    },
-    door_metal: {
-        attenuation: 12,     // ~12 dB loss through metal door
-        color: 0x555555,
-        name: 'Metal Door'
-    }
-};
-
-/**
- * Wall class representing a physical obstacle
- */
-class Wall {
-    constructor(start, end, material = 'drywall') {
-        this.id = this.generateId();
-        this.start = { x: start.x, y: start.y };  // Canvas coordinates
-        this.end = { x: end.x, y: end.y };
-        this.material = material;
-        this.thickness = 0.15;  // meters (default 15cm)
-
-        // Get material properties
-        const matProps = WALL_MATERIALS[material] || WALL_MATERIALS.drywall;
-        this.attenuation = matProps.attenuation;
-        this.color = matProps.color;
-        this.name = matProps.name;
-
-        // Three.js mesh (will be created during rendering)
-        this.mesh = null;
-    }
-
-    generateId() {
-        return 'wall_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    }
-
-    /**
-     * Calculate length of wall in pixels
-     */
-    getLength() {
-        const dx = this.end.x - this.start.x;
-        const dy = this.end.y - this.start.y;
-        return Math.sqrt(dx * dx + dy * dy);
-    }
-
-    /**
-     * Get midpoint of wall
-     */
-    getMidpoint() {
-        return {
-            x: (this.start.x + this.end.x) / 2,
-            y: (this.start.y + this.end.y) / 2
-        };
-    }
-
-    /**
-     * Check if a point is near this wall (for selection/hover)
-     */
-    containsPoint(point, threshold = 10) {
-        const dist = this.distanceToPoint(point);
-        return dist <= threshold;
-    }
-
-    /**
-     * Calculate distance from point to line segment
-     */
-    distanceToPoint(point) {
-        const A = point.x - this.start.x;
-        const B = point.y - this.start.y;
-        const C = this.end.x - this.start.x;
-        const D = this.end.y - this.start.y;
-
-        const dot = A * C + B * D;
-        const lenSq = C * C + D * D;
-
-        let param = -1;
-        if (lenSq !== 0) {
-            param = dot / lenSq;
-        }
-
-        let xx, yy;
-
-        if (param < 0) {
-            xx = this.start.x;
-            yy = this.start.y;
-        } else if (param > 1) {
-            xx = this.end.x;
-            yy = this.end.y;
-        } else {
-            xx = this.start.x + param * C;
-            yy = this.start.y + param * D;
-        }
-
-        const dx = point.x - xx;
-        const dy = point.y - yy;
-        return Math.sqrt(dx * dx + dy * dy);
-    }
-}
-
-/**
- * Line-Line Intersection Algorithm
- * Returns intersection point if lines intersect, null otherwise
- */
-function lineLineIntersection(p1, p2, p3, p4) {
-    const x1 = p1.x, y1 = p1.y;
-    const x2 = p2.x, y2 = p2.y;
-    const x3 = p3.x, y3 = p3.y;
-    const x4 = p4.x, y4 = p4.y;
-
-    // Calculate denominators
-    const denom = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4);
-
-    // Lines are parallel if denominator is zero
-    if (Math.abs(denom) < 1e-10) {
-        return null;
-    }
-
-    // Calculate intersection parameters
-    const t = ((x1 - x3) * (y3 - y4) - (y1 - y3) * (x3 - x4)) / denom;
-    const u = -((x1 - x2) * (y1 - y3) - (y1 - y2) * (x1 - x3)) / denom;
-
-    // Check if intersection is within both line segments
-    if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
-        return {
-            x: x1 + t * (x2 - x1),
-            y: y1 + t * (y2 - y1),
-            t: t,  // Parameter along first line (0 to 1)
-            u: u   // Parameter along second line (0 to 1)
-        };
-    }
-
-    return null;
-}
-
-/**
- * Find all wall intersections along a signal path
- */
-function findWallIntersections(transmitter, receiver, walls) {
-    const intersections = [];
-
-    for (const wall of walls) {
-        const intersection = lineLineIntersection(
-            transmitter,
-            receiver,
-            wall.start,
-            wall.end
-        );
-
-        if (intersection) {
-            // Calculate distance from transmitter to intersection
-            const dx = intersection.x - transmitter.x;
-            const dy = intersection.y - transmitter.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-
-            intersections.push({
-                wall: wall,
-                point: { x: intersection.x, y: intersection.y },
-                distance: distance,
-                t: intersection.t
-            });
-        }
-    }
-
-    // Sort by distance from transmitter (nearest first)
-    intersections.sort((a, b) => a.distance - b.distance);
-
-    return intersections;
-}
-
-/**
- * Calculate penetration angle factor
- * Signal loss increases when hitting walls at shallow angles
- */
-function calculatePenetrationAngle(signalDirection, wall) {
-    // Calculate wall normal vector
-    const wallDx = wall.end.x - wall.start.x;
-    const wallDy = wall.end.y - wall.start.y;
-    const wallLength = Math.sqrt(wallDx * wallDx + wallDy * wallDy);
-
-    // Wall tangent (normalized)
-    const wallTangentX = wallDx / wallLength;
-    const wallTangentY = wallDy / wallLength;
-
-    // Wall normal (perpendicular to tangent)
-    const wallNormalX = -wallTangentY;
-    const wallNormalY = wallTangentX;
-
-    // Signal direction (normalized)
-    const sigLength = Math.sqrt(signalDirection.x ** 2 + signalDirection.y ** 2);
-    const sigDirX = signalDirection.x / sigLength;
-    const sigDirY = signalDirection.y / sigLength;
-
-    // Dot product gives cosine of angle
-    const dotProduct = Math.abs(sigDirX * wallNormalX + sigDirY * wallNormalY);
-
-    // Map from [0, 1] to [0.5, 1.0]
-    // 0 = parallel (grazing) -> 0.5 factor
-    // 1 = perpendicular -> 1.0 factor
-    return 0.5 + 0.5 * dotProduct;
-}
-
 class TrilaterationSimulator {
     constructor() {
         // Canvas container
@@ -320,51 +84,136 @@ class TrilaterationSimulator {
         this.radiosGroup = new THREE.Group();
         this.deviceGroup = new THREE.Group();
         this.estimatedGroup = new THREE.Group();
+        this.trackedGroup = new THREE.Group();
+        this.tagsGroup = new THREE.Group();
+        this.particleGroup = new THREE.Group();
+        this.fingerprintGroup = new THREE.Group();
+        this.calibrationGroup = new THREE.Group();
+        this.placementGroup = new THREE.Group();
+        this.comparisonGroup = new THREE.Group();
+        this.trailGroup = new THREE.Group();
 
         this.scene.add(this.floorPlanGroup);
         this.scene.add(this.gridGroup);
         this.scene.add(this.heatmapGroup);
+        this.scene.add(this.trailGroup);
         this.scene.add(this.circlesGroup);
         this.scene.add(this.debugLinesGroup);
         this.scene.add(this.wallsGroup);
         this.scene.add(this.wallIntersectionsGroup);
         this.scene.add(this.radiosGroup);
+        this.scene.add(this.placementGroup);
         this.scene.add(this.deviceGroup);
+        this.scene.add(this.tagsGroup);
         this.scene.add(this.estimatedGroup);
-
-        // RSSI Model Parameters (configurable)
-        this.txPower = -59;           // dBm at 1 meter
-        this.pathLossExponent = 2.7;  // n (2.0 = free space, 2.7-3.5 = indoor)
-        this.minRSSI = -100;          // Minimum detectable RSSI
-
-        // Noise settings
-        this.enableNoise = false;
-        this.noiseStdDev = 5;
-
-        // Kalman filter settings (Phase 1 improvement)
-        this.enableKalmanFilter = true;
-        this.kalmanR = 0.01;  // Measurement noise covariance
-        this.kalmanQ = 3;     // Process noise covariance
-        this.rssiKalmanFilters = [];
+        this.scene.add(this.fingerprintGroup);
+        this.scene.add(this.calibrationGroup);
+        this.scene.add(this.particleGroup);
+        this.scene.add(this.trackedGroup);
+        this.scene.add(this.comparisonGroup);
 
         // Visualization options
         this.showDebugLines = false;
+        this.showReflections = false;  // Multipath rays to the device (debug lines group)
         this.enableHeatmap = false;
+        this.heatmapMode = 'rssi';  // 'rssi' (coverage) or 'error' (localization error)
+
+        // Expected-error heatmap, cached until the layout or model changes
+        this.errorHeatmap = {
+            resolution: 40,   // 1 m cells
+            trials: 5,
+            maxError: 5,      // meters mapped to full red
+            signature: null,
+            cells: []
+        };
 
-        // Wall options
-        this.enableWalls = false;
-        this.enableAngleEffect = true;
-        this.enableCumulativeEffect = true;
+        // Wall display options
         this.showWallIntersections = false;
 
-        // Floor plan image
-        this.floorPlan = {
-            image: null,
-            texture: null,
-            mesh: null,
-            scale: 40,  // pixels per meter (matches grid)
-            opacity: 0.5,
-            show: false
+        // Floor plan image of every floor (this.floorPlan is the one on display)
+        this.floorPlans = [this.createFloorPlan()];
+        this.floorPlan = this.floorPlans[0];
+
+        // Monte Carlo accuracy benchmark (previous run kept for comparison)
+        this.benchmark = {
+            samples: 2000,
+            mode: 'grid',
+            readingsPerSample: 5,
+            result: null,
+            previousResult: null
+        };
+
+        // Tracking mode: the device walks a path while estimates are recorded
+        this.tracking = {
+            active: false,
+            preset: 'perimeter',
+            speed: 1.4,            // meters per second
+            loop: false,
+            drawPathMode: false,
+            drawnWaypoints: [],    // canvas coordinates
+            trajectory: null,
+            distance: 0,           // pixels travelled along the trajectory
+            elapsed: 0,            // seconds since the run started
+            lastFrameTime: null,
+            sampleInterval: 0.1,   // seconds between recorded samples
+            lastSampleTime: -Infinity,
+            maxTrailLength: 3000,
+            showTrail: true,
+            trail: [],             // { t, truth, estimate, tracked, particle } with {x, y} or null
+            scores: {}             // Per source: { errors, failures }
+        };
+
+        // Extra receivers (tags), each { label, x, y, radius, color, kalmanFilters,
+        // estimate, error, heard } - see updateTagEstimates
+        this.tags = [];
+
+        // Anchor placement optimizer
+        this.placement = {
+            objective: 'error',
+            iterations: 400,
+            proposal: null,    // { radios, before, after } awaiting apply/discard
+            margin: 0.5        // meters kept from the area edges
+        };
+
+        // Recorded RSSI log replay
+        this.replay = {
+            player: null,        // RssiLogPlayer while a log is loaded
+            source: null,        // File name
+            playing: false,
+            speed: 1,
+            lastFrameTime: null,
+            lastFixTime: null    // Replay time the tracker and particle filter last saw
+        };
+
+        // Synthetic dataset export
+        this.dataset = {
+            source: 'path',    // 'path' or 'grid'
+            spacing: 1,        // Grid spacing (m)
+            readings: 10,      // Samples per grid point
+            interval: 0.1,     // Seconds between samples
+            seed: 1
+        };
+
+        // Scenario autosave (localStorage)
+        this.scenario = {
+            storageKey: 'trilaterationSimulator.scenario',
+            autosaveInterval: 2000,  // ms
+            lastSaved: null
+        };
+
+        // Fingerprinting radio map survey settings
+        this.fingerprint = {
+            spacing: 1,      // meters between reference points
+            samples: 5,      // readings averaged per point
+            showMap: false,
+            revision: 0      // bumped whenever the radio map changes
+        };
+
+        // Path-loss calibration survey
+        this.calibration = {
+            samples: 20,     // raw readings per radio and point
+            data: [],        // { x, y, radio, rssi } in canvas units
+            fit: null        // Last fitPathLossModel result
         };
 
         // OpenCV wall detection parameters
@@ -384,12 +233,18 @@ class TrilaterationSimulator {
         this.width = width;
         this.height = height;
 
-        // Radios (transmitters)
-        this.radios = [];
+        // Headless positioning engine: RSSI model parameters, radios
+        // (transmitters), walls (obstacles) and trilateration solvers
+        this.engine = new PositioningEngine({
+            scale: this.scale,
+            width: width,
+            height: height
+        });
+
+        // Radio layout
         this.numRadios = 4;
 
         // Walls (obstacles)
-        this.walls = [];
         this.initializeWalls();
 
         // Device (receiver) - stored in canvas coordinates
@@ -401,12 +256,29 @@ class TrilaterationSimulator {
 
         // Estimated position from trilateration
         this.estimatedPosition = null;
+        this.gdop = null;  // Geometric dilution of precision at the estimate
+        this.confidenceLevel = 0.95;  // Probability mass of the drawn error ellipse
+
+        // Output of the constant-velocity position tracker (null when off)
+        this.trackedPosition = null;
+
+        // Particle filter estimate (null when off) and cloud display
+        this.particleEstimate = null;
+        this.showParticles = true;
+
+        // Extra algorithms solved on the same measurements for side-by-side display
+        this.compareAlgorithms = new Set();
+        this.comparisonEstimates = [];
 
         // Interaction state
         this.dragging = null;
         this.dragOffset = { x: 0, y: 0 };
         this.interactiveObjects = [];
 
+        // Radio editing state
+        this.addRadioMode = false;
+        this.selectedRadio = null;
+
         // Wall editing state
         this.drawWallMode = false;
         this.selectedWallMaterial = 'drywall';
@@ -419,9 +291,13 @@ class TrilaterationSimulator {
     init() {
         this.initializeRadios();
         this.createGrid();
+        this.populateAlgorithmControls();
         this.setupEventListeners();
+        this.syncFloorControls();
+        this.restoreAutosave();
         this.updateUI();
         this.updateToolbarState();
+        setInterval(() => this.autosave(), this.scenario.autosaveInterval);
         this.animate();
     }
 
@@ -443,90 +319,133 @@ class TrilaterationSimulator {
     }
 
     initializeRadios() {
-        this.radios = [];
+        const floor = this.engine.activeFloor;
+
+        // Hand radios to the engine, which creates a Kalman filter for each
+        // (radios on the other floors stay where they are)
+        this.engine.setRadios(this.engine.radios.filter(radio => (radio.floor || 0) !== floor));
+        for (const position of this.getRadioLayout(this.numRadios)) {
+            this.engine.addRadio({ x: position.x, y: position.y, radius: 10, floor: floor });
+        }
+        this.selectedRadio = null;
+        this.renderRadioEditor();
+    }
+
+    /**
+     * Radios on the floor on display
+     */
+    currentFloorRadios() {
+        return this.engine.radiosOnFloor(this.engine.activeFloor);
+    }
+
+    /**
+     * Default radio positions for a radio count
+     * 3-6 radios use a triangle, square, pentagon or hexagon; larger counts
+     * are spread evenly around the area perimeter
+     */
+    getRadioLayout(count) {
         const margin = 80;
         const width = this.width - 2 * margin;
         const height = this.height - 2 * margin;
 
-        // Initialize Kalman filters for each radio (Phase 1 improvement)
-        this.rssiKalmanFilters = [];
-
-        // Position radios in a pattern based on count
-        if (this.numRadios === 3) {
+        if (count === 3) {
             // Triangle
-            this.radios = [
-                { x: this.width / 2, y: margin, radius: 10, label: 'R1' },
-                { x: margin, y: this.height - margin, radius: 10, label: 'R2' },
-                { x: this.width - margin, y: this.height - margin, radius: 10, label: 'R3' }
+            return [
+                { x: this.width / 2, y: margin },
+                { x: margin, y: this.height - margin },
+                { x: this.width - margin, y: this.height - margin }
             ];
-        } else if (this.numRadios === 4) {
+        }
+
+        if (count === 4) {
             // Square corners
-            this.radios = [
-                { x: margin, y: margin, radius: 10, label: 'R1' },
-                { x: this.width - margin, y: margin, radius: 10, label: 'R2' },
-                { x: this.width - margin, y: this.height - margin, radius: 10, label: 'R3' },
-                { x: margin, y: this.height - margin, radius: 10, label: 'R4' }
+            return [
+                { x: margin, y: margin },
+                { x: this.width - margin, y: margin },
+                { x: this.width - margin, y: this.height - margin },
+                { x: margin, y: this.height - margin }
             ];
-        } else if (this.numRadios === 5) {
-            // Pentagon
+        }
+
+        if (count <= 6) {
+            // Regular polygon (pentagon, hexagon)
             const centerX = this.width / 2;
             const centerY = this.height / 2;
             const radius = Math.min(width, height) / 2;
-            for (let i = 0; i < 5; i++) {
-                const angle = (i * 2 * Math.PI / 5) - Math.PI / 2;
-                this.radios.push({
+            const positions = [];
+            for (let i = 0; i < count; i++) {
+                const angle = (i * 2 * Math.PI / count) - Math.PI / 2;
+                positions.push({
                     x: centerX + radius * Math.cos(angle),
-                    y: centerY + radius * Math.sin(angle),
-                    radius: 10,
-                    label: `R${i + 1}`
+                    y: centerY + radius * Math.sin(angle)
                 });
             }
-        } else if (this.numRadios === 6) {
-            // Hexagon
-            const centerX = this.width / 2;
-            const centerY = this.height / 2;
-            const radius = Math.min(width, height) / 2;
-            for (let i = 0; i < 6; i++) {
-                const angle = (i * 2 * Math.PI / 6) - Math.PI / 2;
-                this.radios.push({
-                    x: centerX + radius * Math.cos(angle),
-                    y: centerY + radius * Math.sin(angle),
-                    radius: 10,
-                    label: `R${i + 1}`
-                });
+            return positions;
+        }
+
+        // Evenly spaced around the perimeter, clockwise from the top-left corner
+        const perimeter = createPresetTrajectory('perimeter', this.width, this.height, margin);
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const { x, y } = perimeter.positionAt(i * perimeter.length / count);
+            positions.push({ x, y });
+        }
+        return positions;
+    }
+
+    /**
+     * Grow or shrink the radio set of the floor on display without moving the
+     * radios that remain
+     * New radios take their slot in the default layout for the new count
+     */
+    setRadioCount(count) {
+        const radios = this.currentFloorRadios();
+
+        if (count > radios.length) {
+            const layout = this.getRadioLayout(count);
+            for (let i = radios.length; i < count; i++) {
+                this.engine.addRadio({ x: layout[i].x, y: layout[i].y, radius: 10, floor: this.engine.activeFloor });
+            }
+        } else {
+            for (const radio of radios.slice(count)) {
+                this.engine.removeRadio(radio);
             }
         }
 
-        // Create Kalman filter for each radio (Phase 1 improvement)
-        for (let i = 0; i < this.radios.length; i++) {
-            this.rssiKalmanFilters.push(new KalmanFilter({
-                R: this.kalmanR,
-                Q: this.kalmanQ
-            }));
+        if (!this.engine.radios.includes(this.selectedRadio)) {
+            this.selectedRadio = null;
         }
+        this.numRadios = this.currentFloorRadios().length;
+        this.renderRadioEditor();
     }
 
     initializeWalls() {
-        this.walls = [];
+        const floor = this.engine.activeFloor;
+        this.engine.walls = this.engine.walls.filter(wall => wall.floor !== floor);
 
         // Demo walls - create a simple room layout
         const cx = this.width / 2;
         const cy = this.height / 2;
         const offset = 150;
 
-        // Vertical wall dividing the space
-        this.walls.push(new Wall(
-            { x: cx, y: cy - offset },
-            { x: cx, y: cy + offset },
-            'drywall'
-        ));
-
-        // Horizontal wall segment (concrete)
-        this.walls.push(new Wall(
-            { x: cx - offset, y: cy - 80 },
-            { x: cx - 50, y: cy - 80 },
-            'concrete'
-        ));
+        const demoWalls = [
+            // Vertical wall dividing the space
+            new Wall(
+                { x: cx, y: cy - offset },
+                { x: cx, y: cy + offset },
+                'drywall'
+            ),
+            // Horizontal wall segment (concrete)
+            new Wall(
+                { x: cx - offset, y: cy - 80 },
+                { x: cx - 50, y: cy - 80 },
+                'concrete'
+            )
+        ];
+        for (const wall of demoWalls) {
+            wall.floor = floor;
+            this.engine.walls.push(wall);
+        }
     }
 
     createGrid() {
@@ -568,9 +487,18 @@ class TrilaterationSimulator {
 
         // Keyboard events
         window.addEventListener('keydown', (e) => {
+            // Leave keys typed into form fields alone (e.g. renaming a radio)
+            if (e.target.matches('input, select, textarea')) return;
+
             if (e.key === 'Delete' || e.key === 'Backspace') {
-                this.deleteSelectedWall();
+                if (this.selectedRadio) {
+                    this.deleteSelectedRadio();
+                } else {
+                    this.deleteSelectedWall();
+                }
             } else if (e.key === 'Escape') {
+                this.setAddRadioMode(false);
+                this.setDrawPathMode(false);
                 this.drawWallMode = false;
                 this.tempWall = null;
                 this.selectedWall = null;
@@ -614,7 +542,7 @@ class TrilaterationSimulator {
         document.getElementById('quickEnableWalls').addEventListener('click', () => {
             const checkbox = document.getElementById('enableWalls');
             checkbox.checked = !checkbox.checked;
-            this.enableWalls = checkbox.checked;
+            this.engine.enableWalls = checkbox.checked;
             this.updateToolbarState();
         });
 
@@ -629,8 +557,8 @@ class TrilaterationSimulator {
         document.getElementById('quickNoise').addEventListener('click', () => {
             const checkbox = document.getElementById('enableNoise');
             checkbox.checked = !checkbox.checked;
-            this.enableNoise = checkbox.checked;
-            document.getElementById('noiseLevel').disabled = !this.enableNoise;
+            this.engine.enableNoise = checkbox.checked;
+            document.getElementById('noiseLevel').disabled = !this.engine.enableNoise;
             this.updateUI();
             this.updateToolbarState();
         });
@@ -655,50 +583,65 @@ class TrilaterationSimulator {
 
         // Controls
         document.getElementById('txPower').addEventListener('input', (e) => {
-            this.txPower = parseFloat(e.target.value);
+            this.engine.txPower = parseFloat(e.target.value);
             this.updateUI();
+            this.renderRadioEditor();
         });
 
         document.getElementById('pathLossExponent').addEventListener('input', (e) => {
-            this.pathLossExponent = parseFloat(e.target.value);
+            this.engine.pathLossExponent = parseFloat(e.target.value);
             this.updateUI();
+            this.renderRadioEditor();
         });
 
         document.getElementById('minRSSI').addEventListener('input', (e) => {
-            this.minRSSI = parseFloat(e.target.value);
+            this.engine.minRSSI = parseFloat(e.target.value);
             this.updateUI();
         });
 
         document.getElementById('enableNoise').addEventListener('change', (e) => {
-            this.enableNoise = e.target.checked;
-            document.getElementById('noiseLevel').disabled = !this.enableNoise;
+            this.engine.enableNoise = e.target.checked;
+            document.getElementById('noiseLevel').disabled = !this.engine.enableNoise;
             this.updateUI();
         });
 
         document.getElementById('noiseLevel').addEventListener('input', (e) => {
-            this.noiseStdDev = parseFloat(e.target.value);
+            this.engine.noiseStdDev = parseFloat(e.target.value);
             this.updateUI();
         });
 
+        document.getElementById('noiseSeed').addEventListener('change', (e) => {
+            const seed = parseInt(e.target.value);
+            this.restartNoise(isFinite(seed) ? seed : this.engine.seed);
+        });
+
+        document.getElementById('restartNoiseBtn').addEventListener('click', () => {
+            this.restartNoise(this.engine.seed);
+        });
+
+        document.getElementById('newSeedBtn').addEventListener('click', () => {
+            this.restartNoise(Math.floor(Math.random() * 1e6));
+        });
+
         // Kalman filter controls (Phase 1 improvement)
         document.getElementById('enableKalmanFilter').addEventListener('change', (e) => {
-            this.enableKalmanFilter = e.target.checked;
+            this.engine.enableKalmanFilter = e.target.checked;
             // Reinitialize filters when toggled
-            this.initializeRadios();
+            this.engine.resetKalmanFilters();
             this.updateUI();
         });
 
         document.getElementById('kalmanR').addEventListener('input', (e) => {
-            this.kalmanR = parseFloat(e.target.value);
+            this.engine.kalmanR = parseFloat(e.target.value);
             // Reinitialize filters with new parameters
-            this.initializeRadios();
+            this.engine.resetKalmanFilters();
             this.updateUI();
         });
 
         document.getElementById('kalmanQ').addEventListener('input', (e) => {
-            this.kalmanQ = parseFloat(e.target.value);
+            this.engine.kalmanQ = parseFloat(e.target.value);
             // Reinitialize filters with new parameters
-            this.initializeRadios();
+            this.engine.resetKalmanFilters();
             this.updateUI();
         });
 
@@ -710,577 +653,859 @@ class TrilaterationSimulator {
             this.enableHeatmap = e.target.checked;
         });
 
-        // Floor plan controls
-        document.getElementById('floorPlanUpload').addEventListener('change', (e) => {
-            this.handleFloorPlanUpload(e);
+        document.getElementById('heatmapMode').addEventListener('change', (e) => {
+            this.heatmapMode = e.target.value;
         });
 
-        document.getElementById('showFloorPlan').addEventListener('change', (e) => {
-            this.floorPlan.show = e.target.checked;
-            this.updateFloorPlan();
+        document.getElementById('errorHeatmapTrials').addEventListener('input', (e) => {
+            this.errorHeatmap.trials = parseInt(e.target.value);
+            this.updateUI();
         });
 
-        document.getElementById('floorPlanOpacity').addEventListener('input', (e) => {
-            this.floorPlan.opacity = parseFloat(e.target.value);
-            document.querySelector('#floorPlanOpacity + .value-display').textContent = e.target.value;
-            this.updateFloorPlan();
+        // Position tracker controls
+        document.getElementById('enablePositionTracking').addEventListener('change', (e) => {
+            this.engine.enablePositionTracking = e.target.checked;
+            this.engine.resetPositionTracker();
         });
 
-        document.getElementById('floorPlanScale').addEventListener('input', (e) => {
-            this.floorPlan.scale = parseFloat(e.target.value);
-            document.querySelector('#floorPlanScale + .value-display').textContent = e.target.value;
-            this.updateFloorPlan();
+        document.getElementById('trackerProcessNoise').addEventListener('input', (e) => {
+            this.engine.trackerProcessNoise = parseFloat(e.target.value);
+            this.engine.resetPositionTracker();
+            this.updateUI();
         });
 
-        document.getElementById('clearFloorPlanBtn').addEventListener('click', () => {
-            this.clearFloorPlan();
+        document.getElementById('trackerMeasurementNoise').addEventListener('input', (e) => {
+            this.engine.trackerMeasurementNoise = parseFloat(e.target.value);
+            this.engine.resetPositionTracker();
+            this.updateUI();
         });
 
-        // Wall detection controls
-        document.getElementById('detectWallsBtn').addEventListener('click', () => {
-            this.detectWallsFromImage();
+        // Particle filter controls
+        document.getElementById('enableParticleFilter').addEventListener('change', (e) => {
+            this.engine.enableParticleFilter = e.target.checked;
+            this.engine.resetParticleFilter();
         });
 
-        document.getElementById('cannyThreshold1').addEventListener('input', (e) => {
-            this.wallDetection.cannyThreshold1 = parseInt(e.target.value);
-            document.querySelector('#cannyThreshold1 + .value-display').textContent = e.target.value;
+        document.getElementById('particleCount').addEventListener('input', (e) => {
+            this.engine.particleCount = parseInt(e.target.value);
+            this.engine.resetParticleFilter();
+            this.updateUI();
         });
 
-        document.getElementById('cannyThreshold2').addEventListener('input', (e) => {
-            this.wallDetection.cannyThreshold2 = parseInt(e.target.value);
-            document.querySelector('#cannyThreshold2 + .value-display').textContent = e.target.value;
+        document.getElementById('particleMotion').addEventListener('input', (e) => {
+            this.engine.particleMotionStdDev = parseFloat(e.target.value);
+            this.engine.resetParticleFilter();
+            this.updateUI();
         });
 
-        document.getElementById('houghThreshold').addEventListener('input', (e) => {
-            this.wallDetection.houghThreshold = parseInt(e.target.value);
-            document.querySelector('#houghThreshold + .value-display').textContent = e.target.value;
+        document.getElementById('particleRssiStdDev').addEventListener('input', (e) => {
+            this.engine.particleRssiStdDev = parseFloat(e.target.value);
+            this.engine.resetParticleFilter();
+            this.updateUI();
         });
 
-        document.getElementById('minLineLength').addEventListener('input', (e) => {
-            this.wallDetection.minLineLength = parseInt(e.target.value);
-            document.querySelector('#minLineLength + .value-display').textContent = e.target.value;
+        document.getElementById('showParticles').addEventListener('change', (e) => {
+            this.showParticles = e.target.checked;
         });
 
-        document.getElementById('maxLineGap').addEventListener('input', (e) => {
-            this.wallDetection.maxLineGap = parseInt(e.target.value);
-            document.querySelector('#maxLineGap + .value-display').textContent = e.target.value;
+        // Position solver controls
+        document.getElementById('solverType').addEventListener('change', (e) => {
+            this.engine.solver = e.target.value;
+            this.updateRobustLossControls();
         });
 
-        document.getElementById('detectedWallMaterial').addEventListener('change', (e) => {
-            this.wallDetection.detectedMaterial = e.target.value;
+        document.getElementById('robustLoss').addEventListener('change', (e) => {
+            this.engine.robustLoss = e.target.value;
         });
 
-        document.getElementById('enableWalls').addEventListener('change', (e) => {
-            this.enableWalls = e.target.checked;
+        document.getElementById('robustScale').addEventListener('input', (e) => {
+            this.engine.robustScale = parseFloat(e.target.value);
+            this.updateUI();
         });
 
-        document.getElementById('showWallIntersections').addEventListener('change', (e) => {
-            this.showWallIntersections = e.target.checked;
+        // Accuracy benchmark controls
+        document.getElementById('benchmarkSamples').addEventListener('input', (e) => {
+            this.benchmark.samples = parseInt(e.target.value);
+            this.updateUI();
         });
 
-        document.getElementById('enableAngleEffect').addEventListener('change', (e) => {
-            this.enableAngleEffect = e.target.checked;
+        document.getElementById('benchmarkMode').addEventListener('change', (e) => {
+            this.benchmark.mode = e.target.value;
         });
 
-        document.getElementById('enableCumulativeEffect').addEventListener('change', (e) => {
-            this.enableCumulativeEffect = e.target.checked;
+        document.getElementById('benchmarkReadings').addEventListener('input', (e) => {
+            this.benchmark.readingsPerSample = parseInt(e.target.value);
+            this.updateUI();
         });
 
-        // Wall editor controls
-        document.getElementById('drawWallBtn').addEventListener('click', () => {
-            this.drawWallMode = !this.drawWallMode;
-            const btn = document.getElementById('drawWallBtn');
-            btn.textContent = this.drawWallMode ? '🖊️ Draw Wall Mode (ON)' : '🖊️ Draw Wall Mode (OFF)';
-            btn.style.backgroundColor = this.drawWallMode ? '#4CAF50' : '';
-            this.canvas.style.cursor = this.drawWallMode ? 'crosshair' : 'default';
-            this.updateToolbarState();
+        document.getElementById('runBenchmarkBtn').addEventListener('click', () => {
+            this.runBenchmark();
         });
 
-        document.getElementById('wallMaterial').addEventListener('change', (e) => {
-            this.selectedWallMaterial = e.target.value;
+        // Tracking controls
+        document.getElementById('trajectoryPreset').addEventListener('change', (e) => {
+            this.tracking.preset = e.target.value;
         });
 
-        document.getElementById('deleteWallBtn').addEventListener('click', () => {
-            this.deleteSelectedWall();
+        document.getElementById('drawPathBtn').addEventListener('click', () => {
+            this.setDrawPathMode(!this.tracking.drawPathMode);
         });
 
-        document.getElementById('clearAllWallsBtn').addEventListener('click', () => {
-            if (confirm('Delete all walls?')) {
-                this.walls = [];
-                this.initializeWalls(); // Re-add demo walls
-                this.updateWallCount();
-            }
+        document.getElementById('walkingSpeed').addEventListener('input', (e) => {
+            this.tracking.speed = parseFloat(e.target.value);
+            this.updateUI();
         });
 
-        document.getElementById('numRadios').addEventListener('change', (e) => {
-            this.numRadios = parseInt(e.target.value);
-            this.initializeRadios();
-            this.updateUI();
+        document.getElementById('loopPath').addEventListener('change', (e) => {
+            this.tracking.loop = e.target.checked;
         });
 
-        document.getElementById('resetBtn').addEventListener('click', () => {
-            this.initializeRadios();
-            this.device.x = this.width / 2;
-            this.device.y = this.height / 2;
-            this.updateUI();
+        document.getElementById('startTrackingBtn').addEventListener('click', () => {
+            if (this.tracking.active) {
+                this.stopTracking();
+            } else {
+                this.startTracking();
+            }
         });
-    }
 
-    updateUI() {
-        // Update value displays
-        document.querySelector('#txPower + .value-display').textContent = `${this.txPower} dBm`;
-        document.querySelector('#pathLossExponent + .value-display').textContent = this.pathLossExponent.toFixed(1);
-        document.querySelector('#minRSSI + .value-display').textContent = `${this.minRSSI} dBm`;
-        document.querySelector('#noiseLevel + .value-display').textContent = this.noiseStdDev.toFixed(1);
+        document.getElementById('showTrail').addEventListener('change', (e) => {
+            this.tracking.showTrail = e.target.checked;
+        });
 
-        // Update Kalman filter parameter displays (Phase 1 improvement)
-        document.querySelector('#kalmanR + .value-display').textContent = this.kalmanR.toFixed(3);
-        document.querySelector('#kalmanQ + .value-display').textContent = this.kalmanQ.toFixed(1);
-    }
+        document.getElementById('clearTrailBtn').addEventListener('click', () => {
+            this.tracking.trail = [];
+        });
 
-    updateToolbarState() {
-        // Update toolbar button states to reflect current settings
-        const updateBtn = (id, active) => {
-            const btn = document.getElementById(id);
-            if (btn) {
-                if (active) {
-                    btn.classList.add('active');
-                } else {
-                    btn.classList.remove('active');
-                }
-            }
-        };
+        // Tag controls
+        document.getElementById('scatterTagsBtn').addEventListener('click', () => {
+            this.scatterTags(parseInt(document.getElementById('tagCount').value));
+        });
 
-        updateBtn('quickDrawWall', this.drawWallMode);
-        updateBtn('quickEnableWalls', this.enableWalls);
-        updateBtn('quickFloorPlan', this.floorPlan.show);
-        updateBtn('quickNoise', this.enableNoise);
-        updateBtn('quickHeatmap', this.enableHeatmap);
-        updateBtn('quickDebug', this.showDebugLines);
+        document.getElementById('clearTagsBtn').addEventListener('click', () => {
+            this.scatterTags(0);
+        });
 
-        // Update mode indicator
-        const modeIndicator = document.getElementById('modeIndicator');
-        const modeIcon = modeIndicator.querySelector('.mode-icon');
-        const modeText = modeIndicator.querySelector('.mode-text');
+        // Placement optimizer controls
+        document.getElementById('placementObjective').addEventListener('change', (e) => {
+            this.placement.objective = e.target.value;
+        });
 
-        if (this.drawWallMode) {
-            modeIndicator.classList.add('draw-mode');
-            modeIcon.textContent = '🖊️';
-            modeText.textContent = 'Draw Wall Mode: Click to place wall endpoints';
-        } else {
-            modeIndicator.classList.remove('draw-mode');
-            modeIcon.textContent = '👆';
-            modeText.textContent = 'Click and drag to move radios and device';
-        }
-    }
+        document.getElementById('placementIterations').addEventListener('input', (e) => {
+            this.placement.iterations = parseInt(e.target.value);
+            this.updateUI();
+        });
 
-    // =========================================================================
-    // RSSI Model Implementation
-    // =========================================================================
+        document.getElementById('optimizePlacementBtn').addEventListener('click', () => {
+            this.optimizePlacement();
+        });
 
-    /**
-     * Calculate true Euclidean distance between two points
-     */
-    calculateTrueDistance(x1, y1, x2, y2) {
-        const dx = x2 - x1;
-        const dy = y2 - y1;
-        return Math.sqrt(dx * dx + dy * dy) / this.scale; // Convert pixels to meters
-    }
+        document.getElementById('applyPlacementBtn').addEventListener('click', () => {
+            this.applyPlacement();
+        });
 
-    /**
-     * Calculate expected RSSI based on distance using path-loss model
-     * RSSI = TxPower - 10 * n * log10(d) - WallAttenuation
-     * @param {Number} distanceMeters - Distance in meters
-     * @param {Object} transmitter - Transmitter position {x, y} (optional, for wall calculation)
-     * @param {Object} receiver - Receiver position {x, y} (optional, for wall calculation)
-     */
-    calculateRSSI(distanceMeters, transmitter = null, receiver = null) {
-        if (distanceMeters < 0.1) distanceMeters = 0.1; // Avoid log(0)
+        document.getElementById('discardPlacementBtn').addEventListener('click', () => {
+            this.setPlacementProposal(null);
+        });
 
-        let rssi = this.txPower - 10 * this.pathLossExponent * Math.log10(distanceMeters);
+        // Log replay controls
+        document.getElementById('rssiLogUpload').addEventListener('change', (e) => {
+            this.handleRssiLogUpload(e);
+        });
 
-        // Apply wall attenuation if enabled and positions provided
-        if (this.enableWalls && transmitter && receiver && this.walls.length > 0) {
-            const intersections = findWallIntersections(transmitter, receiver, this.walls);
+        document.getElementById('replayPlayBtn').addEventListener('click', () => {
+            this.setReplayPlaying(!this.replay.playing);
+        });
 
-            let totalAttenuation = 0;
-            let cumulativeFactor = 1.0;
+        document.getElementById('replayCloseBtn').addEventListener('click', () => {
+            this.closeReplay();
+        });
 
-            for (let i = 0; i < intersections.length; i++) {
-                const intersection = intersections[i];
-                let wallLoss = intersection.wall.attenuation;
+        document.getElementById('replaySeek').addEventListener('input', (e) => {
+            this.seekReplay(parseFloat(e.target.value));
+        });
 
-                // Apply penetration angle effect if enabled
-                if (this.enableAngleEffect) {
-                    const dx = receiver.x - transmitter.x;
-                    const dy = receiver.y - transmitter.y;
-                    const signalDir = { x: dx, y: dy };
-                    const angleFactor = calculatePenetrationAngle(signalDir, intersection.wall);
-                    wallLoss *= angleFactor;
-                }
+        document.getElementById('replaySpeed').addEventListener('change', (e) => {
+            this.replay.speed = parseFloat(e.target.value);
+        });
 
-                // Apply cumulative effect if enabled (each wall increases loss slightly)
-                if (this.enableCumulativeEffect && i > 0) {
-                    cumulativeFactor *= 1.1;
-                }
+        // Dataset export controls
+        document.getElementById('datasetSource').addEventListener('change', (e) => {
+            this.dataset.source = e.target.value;
+        });
 
-                totalAttenuation += wallLoss * cumulativeFactor;
-            }
+        document.getElementById('datasetSpacing').addEventListener('input', (e) => {
+            this.dataset.spacing = parseFloat(e.target.value);
+            this.updateUI();
+        });
 
-            rssi -= totalAttenuation;
-        }
+        document.getElementById('datasetReadings').addEventListener('input', (e) => {
+            this.dataset.readings = parseInt(e.target.value);
+            this.updateUI();
+        });
 
-        // Add Gaussian noise if enabled
-        if (this.enableNoise) {
-            const noise = this.gaussianRandom(0, this.noiseStdDev);
-            rssi += noise;
-        }
+        document.getElementById('datasetInterval').addEventListener('change', (e) => {
+            this.dataset.interval = parseFloat(e.target.value);
+        });
 
-        // Apply Kalman filter if enabled (Phase 1 improvement)
-        if (this.enableKalmanFilter && transmitter && this.rssiKalmanFilters.length > 0) {
-            // Find which radio this is
-            const radioIndex = this.radios.findIndex(r =>
-                Math.abs(r.x - transmitter.x) < 0.1 && Math.abs(r.y - transmitter.y) < 0.1
-            );
+        document.getElementById('datasetSeed').addEventListener('change', (e) => {
+            this.dataset.seed = parseInt(e.target.value) || 0;
+        });
 
-            if (radioIndex !== -1 && radioIndex < this.rssiKalmanFilters.length) {
-                rssi = this.rssiKalmanFilters[radioIndex].filter(rssi);
-            }
-        }
+        document.getElementById('exportDatasetCsvBtn').addEventListener('click', () => {
+            this.exportDataset('csv');
+        });
 
-        // Clamp to realistic range
-        return Math.max(-120, Math.min(-30, rssi));
-    }
+        document.getElementById('exportDatasetJsonBtn').addEventListener('click', () => {
+            this.exportDataset('json');
+        });
 
-    /**
-     * Estimate distance from RSSI using inverse path-loss model
-     * d = 10^((TxPower - RSSI) / (10 * n))
-     */
-    estimateDistanceFromRSSI(rssi) {
-        const exponent = (this.txPower - rssi) / (10 * this.pathLossExponent);
-        return Math.pow(10, exponent); // Returns distance in meters
-    }
+        // Fingerprinting controls
+        document.getElementById('fingerprintSpacing').addEventListener('input', (e) => {
+            this.fingerprint.spacing = parseFloat(e.target.value);
+            this.updateUI();
+        });
 
-    /**
-     * Generate Gaussian random number (Box-Muller transform)
-     */
-    gaussianRandom(mean, stdDev) {
-        const u1 = Math.random();
-        const u2 = Math.random();
-        const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-        return mean + stdDev * z0;
-    }
+        document.getElementById('fingerprintSamples').addEventListener('input', (e) => {
+            this.fingerprint.samples = parseInt(e.target.value);
+            this.updateUI();
+        });
 
-    /**
-     * Get RSSI color based on strength
-     */
-    getRSSIColor(rssi) {
-        if (rssi >= -60) return '#4CAF50'; // Green - strong
-        if (rssi >= -80) return '#FF9800'; // Orange - medium
-        return '#F44336'; // Red - weak
-    }
+        document.getElementById('buildRadioMapBtn').addEventListener('click', () => {
+            this.buildRadioMap();
+        });
 
-    /**
-     * Get RSSI class for styling
-     */
-    getRSSIClass(rssi) {
-        if (rssi >= -60) return 'rssi-strong';
-        if (rssi >= -80) return 'rssi-medium';
-        return 'rssi-weak';
-    }
+        document.getElementById('radioMapUpload').addEventListener('change', (e) => {
+            this.handleRadioMapUpload(e);
+        });
 
-    // =========================================================================
-    // Trilateration Algorithm - Non-Linear Least Squares
-    // =========================================================================
+        document.getElementById('exportRadioMapBtn').addEventListener('click', () => {
+            this.exportRadioMap();
+        });
 
-    /**
-     * Perform trilateration using estimated distances from RSSI
-     * Uses non-linear least squares optimization to minimize error across all radios
-     */
-    performTrilateration() {
-        // Calculate RSSI and estimated distances for all radios
-        const measurements = [];
+        document.getElementById('fingerprintK').addEventListener('input', (e) => {
+            this.engine.fingerprintK = parseInt(e.target.value);
+            this.updateUI();
+        });
 
-        for (const radio of this.radios) {
-            const trueDistance = this.calculateTrueDistance(
-                radio.x, radio.y, this.device.x, this.device.y
-            );
+        document.getElementById('fingerprintWeighted').addEventListener('change', (e) => {
+            this.engine.fingerprintWeighted = e.target.checked;
+        });
 
-            // Calculate RSSI with wall attenuation if enabled
-            const transmitter = { x: radio.x, y: radio.y };
-            const receiver = { x: this.device.x, y: this.device.y };
-            const rssi = this.calculateRSSI(trueDistance, transmitter, receiver);
-
-            // Only include measurements above minimum threshold
-            if (rssi >= this.minRSSI) {
-                const estimatedDistance = this.estimateDistanceFromRSSI(rssi);
-
-                // Find wall intersections for this radio
-                const intersections = this.enableWalls ?
-                    findWallIntersections(transmitter, receiver, this.walls) : [];
-
-                measurements.push({
-                    radio: radio,
-                    rssi: rssi,
-                    trueDistance: trueDistance,
-                    estimatedDistance: estimatedDistance,
-                    wallIntersections: intersections
-                });
-            }
-        }
+        document.getElementById('showRadioMap').addEventListener('change', (e) => {
+            this.fingerprint.showMap = e.target.checked;
+        });
 
-        // Need at least 3 measurements for trilateration
-        if (measurements.length < 3) {
-            this.estimatedPosition = null;
-            this.showStatusMessage('Insufficient radios (need ≥3 with RSSI ≥ ' + this.minRSSI + ' dBm)', 'warning');
-            return measurements;
-        }
+        // Calibration controls
+        document.getElementById('calibrationSamples').addEventListener('input', (e) => {
+            this.calibration.samples = parseInt(e.target.value);
+            this.updateUI();
+        });
 
-        // Use least-squares optimization with all measurements
-        this.estimatedPosition = this.leastSquaresTrilateration(measurements);
+        document.getElementById('recordCalibrationBtn').addEventListener('click', () => {
+            this.recordCalibrationPoint();
+        });
 
-        if (this.estimatedPosition) {
-            this.hideStatusMessage();
-        } else {
-            this.showStatusMessage('Trilateration failed - unable to find solution', 'warning');
-        }
+        document.getElementById('calibrationUpload').addEventListener('change', (e) => {
+            this.handleCalibrationUpload(e);
+        });
 
-        return measurements;
-    }
+        document.getElementById('exportCalibrationBtn').addEventListener('click', () => {
+            this.exportCalibrationSamples();
+        });
 
-    /**
-     * Non-linear least squares trilateration using all available measurements
-     * Minimizes: sum of (measured_distance - actual_distance)^2
-     */
-    leastSquaresTrilateration(measurements) {
-        // Initial guess: weighted centroid of radio positions
-        let initialX = 0;
-        let initialY = 0;
-        let totalWeight = 0;
+        document.getElementById('clearCalibrationBtn').addEventListener('click', () => {
+            this.setCalibrationSamples([]);
+        });
 
-        for (const m of measurements) {
-            // Weight by RSSI strength (stronger signals get more weight)
-            const weight = Math.pow(10, (m.rssi + 100) / 20);
-            initialX += m.radio.x * weight;
-            initialY += m.radio.y * weight;
-            totalWeight += weight;
-        }
-
-        initialX /= totalWeight;
-        initialY /= totalWeight;
-
-        // If we have exactly 3 measurements and they're not collinear,
-        // use geometric solution as initial guess
-        if (measurements.length === 3) {
-            const geometricSolution = this.geometricTrilateration(measurements);
-            if (geometricSolution) {
-                initialX = geometricSolution.x;
-                initialY = geometricSolution.y;
-            }
-        }
+        document.getElementById('fitCalibrationBtn').addEventListener('click', () => {
+            this.fitCalibration();
+        });
 
-        // Gauss-Newton optimization
-        let x = initialX;
-        let y = initialY;
-        const maxIterations = 100;
-        const convergenceThreshold = 0.01; // pixels
+        document.getElementById('applyCalibrationBtn').addEventListener('click', () => {
+            this.applyCalibration();
+        });
 
-        for (let iter = 0; iter < maxIterations; iter++) {
-            let sumJtJ_xx = 0, sumJtJ_yy = 0, sumJtJ_xy = 0;
-            let sumJtr_x = 0, sumJtr_y = 0;
+        // Floor controls
+        document.getElementById('floorSelect').addEventListener('change', (e) => {
+            this.setFloor(parseInt(e.target.value));
+        });
 
-            // Build normal equations: J^T * J * delta = J^T * r
-            for (const m of measurements) {
-                const dx = x - m.radio.x;
-                const dy = y - m.radio.y;
-                const predictedDist = Math.sqrt(dx * dx + dy * dy);
+        document.getElementById('addFloorBtn').addEventListener('click', () => {
+            this.addFloor();
+        });
 
-                // Avoid division by zero
-                if (predictedDist < 0.1) continue;
+        document.getElementById('removeFloorBtn').addEventListener('click', () => {
+            this.removeFloor();
+        });
 
-                const measuredDist = m.estimatedDistance * this.scale; // Convert to pixels
-                const residual = predictedDist - measuredDist;
+        document.getElementById('floorHeight').addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (value > 0) this.engine.floorHeight = value;
+            e.target.value = this.engine.floorHeight;
+        });
 
-                // Jacobian: d(distance)/d(x) and d(distance)/d(y)
-                const J_x = dx / predictedDist;
-                const J_y = dy / predictedDist;
+        document.getElementById('floorAttenuation').addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (value >= 0) this.engine.floorAttenuation = value;
+            e.target.value = this.engine.floorAttenuation;
+        });
 
-                // Calculate weight based on RSSI quality (Phase 1 improvement)
-                // Stronger signals (higher RSSI) get more weight in the optimization
-                // Normalize RSSI from -100 to -60 dBm range
-                const normalizedRSSI = Math.max(0, Math.min(1, (m.rssi + 100) / 40));
-                // Use exponential weighting: stronger signals have exponentially more influence
-                const weight = Math.pow(10, normalizedRSSI);
+        for (const key of ['radioHeight', 'deviceHeight']) {
+            document.getElementById(key).addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (value >= 0) this.engine[key] = value;
+                e.target.value = this.engine[key];
+                this.renderRadioEditor();
+            });
+        }
 
-                // Accumulate J^T * W * J (weighted)
-                sumJtJ_xx += J_x * J_x * weight;
-                sumJtJ_yy += J_y * J_y * weight;
-                sumJtJ_xy += J_x * J_y * weight;
+        document.getElementById('estimateHeight').addEventListener('change', (e) => {
+            this.engine.estimateHeight = e.target.checked;
+        });
 
-                // Accumulate J^T * W * r (weighted)
-                sumJtr_x += J_x * residual * weight;
-                sumJtr_y += J_y * residual * weight;
-            }
+        // Floor plan controls
+        document.getElementById('floorPlanUpload').addEventListener('change', (e) => {
+            this.handleFloorPlanUpload(e);
+        });
 
-            // Solve 2x2 system: [sumJtJ_xx, sumJtJ_xy] [delta_x] = -[sumJtr_x]
-            //                   [sumJtJ_xy, sumJtJ_yy] [delta_y]    [sumJtr_y]
-            const det = sumJtJ_xx * sumJtJ_yy - sumJtJ_xy * sumJtJ_xy;
+        document.getElementById('showFloorPlan').addEventListener('change', (e) => {
+            this.floorPlan.show = e.target.checked;
+            this.updateFloorPlan();
+        });
 
-            if (Math.abs(det) < 1e-10) {
-                // Matrix is singular, can't continue
-                break;
-            }
+        document.getElementById('floorPlanOpacity').addEventListener('input', (e) => {
+            this.floorPlan.opacity = parseFloat(e.target.value);
+            document.querySelector('#floorPlanOpacity + .value-display').textContent = e.target.value;
+            this.updateFloorPlan();
+        });
 
-            const delta_x = -(sumJtJ_yy * sumJtr_x - sumJtJ_xy * sumJtr_y) / det;
-            const delta_y = -(sumJtJ_xx * sumJtr_y - sumJtJ_xy * sumJtr_x) / det;
+        document.getElementById('floorPlanScale').addEventListener('input', (e) => {
+            this.floorPlan.scale = parseFloat(e.target.value);
+            document.querySelector('#floorPlanScale + .value-display').textContent = e.target.value;
+            this.updateFloorPlan();
+        });
 
-            // Update position
-            x += delta_x;
-            y += delta_y;
+        document.getElementById('clearFloorPlanBtn').addEventListener('click', () => {
+            this.clearFloorPlan();
+        });
 
-            // Check convergence
-            const deltaLength = Math.sqrt(delta_x * delta_x + delta_y * delta_y);
-            if (deltaLength < convergenceThreshold) {
-                break;
-            }
-        }
+        // Wall detection controls
+        document.getElementById('detectWallsBtn').addEventListener('click', () => {
+            this.detectWallsFromImage();
+        });
 
-        // Validate result is within reasonable bounds
-        if (x < -100 || x > this.width + 100 || y < -100 || y > this.height + 100) {
-            return null;
-        }
+        document.getElementById('cannyThreshold1').addEventListener('input', (e) => {
+            this.wallDetection.cannyThreshold1 = parseInt(e.target.value);
+            document.querySelector('#cannyThreshold1 + .value-display').textContent = e.target.value;
+        });
 
-        return { x, y };
-    }
+        document.getElementById('cannyThreshold2').addEventListener('input', (e) => {
+            this.wallDetection.cannyThreshold2 = parseInt(e.target.value);
+            document.querySelector('#cannyThreshold2 + .value-display').textContent = e.target.value;
+        });
 
-    /**
-     * Geometric trilateration for exactly 3 measurements (closed-form solution)
-     * Used as initial guess for least-squares optimization
-     */
-    geometricTrilateration(measurements) {
-        if (measurements.length !== 3) return null;
+        document.getElementById('houghThreshold').addEventListener('input', (e) => {
+            this.wallDetection.houghThreshold = parseInt(e.target.value);
+            document.querySelector('#houghThreshold + .value-display').textContent = e.target.value;
+        });
 
-        const [m1, m2, m3] = measurements;
+        document.getElementById('minLineLength').addEventListener('input', (e) => {
+            this.wallDetection.minLineLength = parseInt(e.target.value);
+            document.querySelector('#minLineLength + .value-display').textContent = e.target.value;
+        });
 
-        // Convert estimated distances to pixels
-        const r1 = m1.estimatedDistance * this.scale;
-        const r2 = m2.estimatedDistance * this.scale;
-        const r3 = m3.estimatedDistance * this.scale;
+        document.getElementById('maxLineGap').addEventListener('input', (e) => {
+            this.wallDetection.maxLineGap = parseInt(e.target.value);
+            document.querySelector('#maxLineGap + .value-display').textContent = e.target.value;
+        });
 
-        // Radio positions
-        const x1 = m1.radio.x, y1 = m1.radio.y;
-        const x2 = m2.radio.x, y2 = m2.radio.y;
-        const x3 = m3.radio.x, y3 = m3.radio.y;
+        document.getElementById('detectedWallMaterial').addEventListener('change', (e) => {
+            this.wallDetection.detectedMaterial = e.target.value;
+        });
 
-        // Trilateration calculations
-        const A = 2 * (x2 - x1);
-        const B = 2 * (y2 - y1);
-        const C = r1 * r1 - r2 * r2 - x1 * x1 + x2 * x2 - y1 * y1 + y2 * y2;
-        const D = 2 * (x3 - x2);
-        const E = 2 * (y3 - y2);
-        const F = r2 * r2 - r3 * r3 - x2 * x2 + x3 * x3 - y2 * y2 + y3 * y3;
+        document.getElementById('enableWalls').addEventListener('change', (e) => {
+            this.engine.enableWalls = e.target.checked;
+        });
 
-        const denominator = (A * E - B * D);
+        document.getElementById('showWallIntersections').addEventListener('change', (e) => {
+            this.showWallIntersections = e.target.checked;
+        });
 
-        if (Math.abs(denominator) < 0.001) {
-            // Radios are collinear
-            return null;
-        }
+        document.getElementById('enableAngleEffect').addEventListener('change', (e) => {
+            this.engine.enableAngleEffect = e.target.checked;
+        });
 
-        const x = (C * E - F * B) / denominator;
-        const y = (A * F - D * C) / denominator;
+        document.getElementById('enableCumulativeEffect').addEventListener('change', (e) => {
+            this.engine.enableCumulativeEffect = e.target.checked;
+        });
 
-        return { x, y };
-    }
+        document.getElementById('enableMultipath').addEventListener('change', (e) => {
+            this.engine.enableMultipath = e.target.checked;
+        });
 
-    // =========================================================================
-    // Three.js Rendering
-    // =========================================================================
+        document.getElementById('reflectionOrder').addEventListener('change', (e) => {
+            this.engine.reflectionOrder = parseInt(e.target.value);
+        });
 
-    /**
-     * Properly dispose of Three.js resources to prevent memory leaks
-     * @param {THREE.Group} group - Group to dispose
-     */
-    disposeGroup(group) {
-        while (group.children.length > 0) {
-            const object = group.children[0];
+        document.getElementById('multipathCombining').addEventListener('change', (e) => {
+            this.engine.multipathCombining = e.target.value;
+        });
 
-            // Dispose geometry
-            if (object.geometry) {
-                object.geometry.dispose();
-            }
+        document.getElementById('showReflections').addEventListener('change', (e) => {
+            this.showReflections = e.target.checked;
+        });
 
-            // Dispose material(s)
-            if (object.material) {
-                if (Array.isArray(object.material)) {
-                    object.material.forEach(material => {
-                        if (material.map) material.map.dispose();
-                        material.dispose();
-                    });
-                } else {
-                    if (object.material.map) object.material.map.dispose();
-                    object.material.dispose();
-                }
+        // Wall editor controls
+        document.getElementById('drawWallBtn').addEventListener('click', () => {
+            this.drawWallMode = !this.drawWallMode;
+            if (this.drawWallMode) {
+                this.setAddRadioMode(false);
             }
+            const btn = document.getElementById('drawWallBtn');
+            btn.textContent = this.drawWallMode ? '🖊️ Draw Wall Mode (ON)' : '🖊️ Draw Wall Mode (OFF)';
+            btn.style.backgroundColor = this.drawWallMode ? '#4CAF50' : '';
+            this.canvas.style.cursor = this.drawWallMode ? 'crosshair' : 'default';
+            this.updateToolbarState();
+        });
 
-            // Dispose texture
-            if (object.texture) {
-                object.texture.dispose();
-            }
+        document.getElementById('wallMaterial').addEventListener('change', (e) => {
+            this.selectedWallMaterial = e.target.value;
+        });
 
-            // Remove from group
-            group.remove(object);
-        }
-    }
+        document.getElementById('deleteWallBtn').addEventListener('click', () => {
+            this.deleteSelectedWall();
+        });
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
-        this.render();
-    }
+        document.getElementById('clearAllWallsBtn').addEventListener('click', () => {
+            if (confirm('Delete all walls on this floor?')) {
+                this.initializeWalls(); // Replace them with the demo walls
+                this.updateWallCount();
+            }
+        });
 
-    render() {
-        // Perform trilateration and get measurements
-        const measurements = this.performTrilateration();
+        document.getElementById('numRadios').addEventListener('change', (e) => {
+            const count = parseInt(e.target.value);
+            if (count >= 1) {
+                this.setRadioCount(count);
+            }
+            e.target.value = this.numRadios;
+        });
 
-        // Update all visual elements
-        this.updateHeatmap();
-        this.updateRangingCircles(measurements);
-        this.updateDebugLines();
-        this.updateWalls();
-        this.updateWallIntersections(measurements);
-        this.updateRadios();
-        this.updateDevice();
-        this.updateEstimatedPosition();
+        // Radio editor controls
+        document.getElementById('addRadioBtn').addEventListener('click', () => {
+            this.setAddRadioMode(!this.addRadioMode);
+        });
 
-        // Update data tables
-        this.updateDataTables(measurements);
+        document.getElementById('radioLabel').addEventListener('change', (e) => {
+            this.renameSelectedRadio(e.target.value);
+        });
 
-        // Render the scene
-        this.renderer.render(this.scene, this.camera);
-    }
+        document.getElementById('deleteRadioBtn').addEventListener('click', () => {
+            this.deleteSelectedRadio();
+        });
 
-    updateHeatmap() {
-        // Properly dispose of old geometries and materials
-        this.disposeGroup(this.heatmapGroup);
+        const radioParameterInputs = {
+            radioTxPower: 'txPower',
+            radioRssiAt1m: 'rssiAt1m',
+            radioPathLossExponent: 'pathLossExponent',
+            radioZ: 'z',
+            radioAntennaGain: 'antennaGain'
+        };
+        for (const [id, key] of Object.entries(radioParameterInputs)) {
+            document.getElementById(id).addEventListener('change', (e) => {
+                this.setSelectedRadioParameter(key, e.target.value);
+            });
+        }
 
-        if (!this.enableHeatmap) return;
+        const patternSelect = document.getElementById('radioAntennaPattern');
+        for (const [id, pattern] of Object.entries(ANTENNA_PATTERNS)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = pattern.name;
+            patternSelect.appendChild(option);
+        }
+        patternSelect.addEventListener('change', (e) => {
+            this.setSelectedRadioPattern(e.target.value);
+        });
 
-        const resolution = 20;
-        const geometry = new THREE.PlaneGeometry(resolution, resolution);
+        document.getElementById('radioOrientation').addEventListener('input', (e) => {
+            this.setSelectedRadioParameter('orientation', e.target.value);
+        });
 
-        for (let x = 0; x < this.width; x += resolution) {
-            for (let y = 0; y < this.height; y += resolution) {
-                let maxRSSI = -120;
+        document.getElementById('gainTableUpload').addEventListener('change', (e) => {
+            this.handleGainTableUpload(e);
+        });
 
-                for (const radio of this.radios) {
-                    const distance = this.calculateTrueDistance(radio.x, radio.y, x, y);
-                    const transmitter = { x: radio.x, y: radio.y };
-                    const receiver = { x: x, y: y };
-                    const rssi = this.calculateRSSI(distance, transmitter, receiver);
-                    maxRSSI = Math.max(maxRSSI, rssi);
-                }
+        // Scenario controls
+        document.getElementById('saveScenarioBtn').addEventListener('click', () => {
+            this.saveScenarioFile();
+        });
 
-                const normalized = (maxRSSI + 100) / 40;
+        document.getElementById('scenarioUpload').addEventListener('change', (e) => {
+            this.handleScenarioUpload(e);
+        });
+
+        document.getElementById('resetBtn').addEventListener('click', () => {
+            this.stopTracking();
+            this.engine.resetPositionTracker();
+            this.engine.resetParticleFilter();
+            this.initializeRadios();
+            document.getElementById('numRadios').value = this.numRadios;
+            this.device.x = this.width / 2;
+            this.device.y = this.height / 2;
+            this.updateUI();
+        });
+    }
+
+    /**
+     * Build the algorithm selector and comparison checkboxes from the registry
+     */
+    populateAlgorithmControls() {
+        const select = document.getElementById('solverType');
+        const compareList = document.getElementById('compareAlgorithms');
+        select.innerHTML = '';
+        compareList.innerHTML = '';
+
+        for (const [id, algorithm] of Object.entries(POSITIONING_ALGORITHMS)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = algorithm.name;
+            option.selected = id === this.engine.solver;
+            select.appendChild(option);
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.compareAlgorithms.has(id);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.compareAlgorithms.add(id);
+                } else {
+                    this.compareAlgorithms.delete(id);
+                }
+                this.updateRobustLossControls();
+            });
+
+            const swatch = document.createElement('span');
+            swatch.className = 'algorithm-swatch';
+            swatch.style.backgroundColor = this.colorToCSS(algorithm.color);
+
+            label.append(checkbox, swatch, algorithm.name);
+            compareList.appendChild(label);
+        }
+
+        this.updateRobustLossControls();
+    }
+
+    updateRobustLossControls() {
+        const robust = this.engine.solver === 'levenberg-marquardt' ||
+            this.compareAlgorithms.has('levenberg-marquardt');
+        document.getElementById('robustLoss').disabled = !robust;
+        document.getElementById('robustScale').disabled = !robust;
+    }
+
+    colorToCSS(color) {
+        return '#' + color.toString(16).padStart(6, '0');
+    }
+
+    /**
+     * Escape text for HTML markup; labels and names can come from imported files
+     */
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    updateUI() {
+        // Update value displays
+        document.querySelector('#txPower + .value-display').textContent = `${this.engine.txPower} dBm`;
+        document.querySelector('#pathLossExponent + .value-display').textContent = this.engine.pathLossExponent.toFixed(1);
+        document.querySelector('#minRSSI + .value-display').textContent = `${this.engine.minRSSI} dBm`;
+        document.querySelector('#noiseLevel + .value-display').textContent = this.engine.noiseStdDev.toFixed(1);
+
+        // Update Kalman filter parameter displays (Phase 1 improvement)
+        document.querySelector('#kalmanR + .value-display').textContent = this.engine.kalmanR.toFixed(3);
+        document.querySelector('#kalmanQ + .value-display').textContent = this.engine.kalmanQ.toFixed(1);
+
+        // Solver parameter displays
+        document.querySelector('#robustScale + .value-display').textContent = this.engine.robustScale.toFixed(2);
+        document.querySelector('#fingerprintK + .value-display').textContent = this.engine.fingerprintK;
+
+        document.querySelector('#trackerProcessNoise + .value-display').textContent = this.engine.trackerProcessNoise.toFixed(2);
+        document.querySelector('#trackerMeasurementNoise + .value-display').textContent = this.engine.trackerMeasurementNoise.toFixed(1);
+
+        document.querySelector('#particleCount + .value-display').textContent = this.engine.particleCount;
+        document.querySelector('#particleMotion + .value-display').textContent = this.engine.particleMotionStdDev.toFixed(1);
+        document.querySelector('#particleRssiStdDev + .value-display').textContent = this.engine.particleRssiStdDev.toFixed(1);
+
+        document.querySelector('#errorHeatmapTrials + .value-display').textContent = this.errorHeatmap.trials;
+
+        // Benchmark parameter displays
+        document.querySelector('#benchmarkSamples + .value-display').textContent = this.benchmark.samples;
+        document.querySelector('#benchmarkReadings + .value-display').textContent = this.benchmark.readingsPerSample;
+
+        document.querySelector('#walkingSpeed + .value-display').textContent = this.tracking.speed.toFixed(1);
+
+        document.querySelector('#fingerprintSpacing + .value-display').textContent = this.fingerprint.spacing.toFixed(1);
+        document.querySelector('#fingerprintSamples + .value-display').textContent = this.fingerprint.samples;
+        document.querySelector('#calibrationSamples + .value-display').textContent = this.calibration.samples;
+        document.querySelector('#placementIterations + .value-display').textContent = this.placement.iterations;
+        document.querySelector('#datasetSpacing + .value-display').textContent = this.dataset.spacing.toFixed(1);
+        document.querySelector('#datasetReadings + .value-display').textContent = this.dataset.readings;
+    }
+
+    updateToolbarState() {
+        // Update toolbar button states to reflect current settings
+        const updateBtn = (id, active) => {
+            const btn = document.getElementById(id);
+            if (btn) {
+                if (active) {
+                    btn.classList.add('active');
+                } else {
+                    btn.classList.remove('active');
+                }
+            }
+        };
+
+        updateBtn('quickDrawWall', this.drawWallMode);
+        updateBtn('quickEnableWalls', this.engine.enableWalls);
+        updateBtn('quickFloorPlan', this.floorPlan.show);
+        updateBtn('quickNoise', this.engine.enableNoise);
+        updateBtn('quickHeatmap', this.enableHeatmap);
+        updateBtn('quickDebug', this.showDebugLines);
+
+        // Update mode indicator
+        const modeIndicator = document.getElementById('modeIndicator');
+        const modeIcon = modeIndicator.querySelector('.mode-icon');
+        const modeText = modeIndicator.querySelector('.mode-text');
+
+        if (this.drawWallMode) {
+            modeIndicator.classList.add('draw-mode');
+            modeIcon.textContent = '🖊️';
+            modeText.textContent = 'Draw Wall Mode: Click to place wall endpoints';
+        } else if (this.addRadioMode) {
+            modeIndicator.classList.add('draw-mode');
+            modeIcon.textContent = '📡';
+            modeText.textContent = 'Add Radio Mode: Click to place radios, Esc to finish';
+        } else if (this.tracking.drawPathMode) {
+            modeIndicator.classList.add('draw-mode');
+            modeIcon.textContent = '✏️';
+            modeText.textContent = 'Draw Path Mode: Click to add waypoints, Esc to finish';
+        } else {
+            modeIndicator.classList.remove('draw-mode');
+            modeIcon.textContent = '👆';
+            modeText.textContent = 'Click and drag to move radios and device';
+        }
+    }
+
+    /**
+     * Get RSSI color based on strength
+     */
+    getRSSIColor(rssi) {
+        if (rssi >= -60) return '#4CAF50'; // Green - strong
+        if (rssi >= -80) return '#FF9800'; // Orange - medium
+        return '#F44336'; // Red - weak
+    }
+
+    /**
+     * Get RSSI class for styling
+     */
+    getRSSIClass(rssi) {
+        if (rssi >= -60) return 'rssi-strong';
+        if (rssi >= -80) return 'rssi-medium';
+        return 'rssi-weak';
+    }
+
+    // =========================================================================
+    // Trilateration (delegated to the headless PositioningEngine)
+    // =========================================================================
+
+    /**
+     * Locate the device with the engine and report solver problems in the UI
+     * @returns {Array} Measurements used for the fix
+     */
+    performTrilateration() {
+        const player = this.replay.player;
+        const { measurements, position, gdop, floor } = player ?
+            this.engine.solveMeasurements(player.measurements()) :
+            this.engine.locate(this.device);
+        this.estimatedPosition = position;
+        this.estimatedFloor = floor;
+        this.gdop = gdop;
+
+        // A paused replay repeats the same readings; feeding them again would
+        // make the filters overconfident
+        if (!player) {
+            const now = performance.now() / 1000;
+            this.trackedPosition = this.engine.trackPosition(position, now);
+            this.particleEstimate = this.engine.trackParticles(measurements, now);
+        } else if (player.time !== this.replay.lastFixTime) {
+            this.trackedPosition = this.engine.trackPosition(position, player.time);
+            this.particleEstimate = this.engine.trackParticles(measurements, player.time);
+            this.replay.lastFixTime = player.time;
+        }
+
+        const truth = this.getGroundTruth();
+
+        // Solve the same measurements with every algorithm being compared
+        this.comparisonEstimates = [];
+        if (measurements.length >= 3) {
+            const planar = this.engine.projectToFloor(measurements, floor);
+            for (const id of this.compareAlgorithms) {
+                if (id === this.engine.solver) continue;
+
+                const estimate = this.engine.solveWith(id, planar);
+                this.comparisonEstimates.push({
+                    id: id,
+                    algorithm: POSITIONING_ALGORITHMS[id],
+                    position: estimate,
+                    error: estimate && truth ? this.engine.calculateTrueDistance(
+                        truth.x, truth.y, estimate.x, estimate.y
+                    ) : null
+                });
+            }
+        }
+
+        if (this.engine.solver === 'fingerprint-knn' && !this.engine.radioMap) {
+            this.showStatusMessage('No radio map - build or import one in the Fingerprint tab', 'warning');
+        } else if (measurements.length < 3) {
+            this.showStatusMessage('Insufficient radios (need ≥3 with RSSI ≥ ' + this.engine.minRSSI + ' dBm)', 'warning');
+        } else if (this.estimatedPosition && this.gdop > 20) {
+            this.showStatusMessage('Poor radio geometry (GDOP ' + this.formatGDOP(this.gdop) + ') - radios nearly collinear', 'warning');
+        } else if (this.estimatedPosition) {
+            this.hideStatusMessage();
+        } else {
+            this.showStatusMessage('Trilateration failed - unable to find solution', 'warning');
+        }
+
+        return measurements;
+    }
+
+    /**
+     * Restart the noise sequence from a seed, with fresh filters, so a run can
+     * be reproduced exactly
+     */
+    restartNoise(seed) {
+        this.engine.reseed(seed);
+        this.engine.resetKalmanFilters();
+        this.engine.resetPositionTracker();
+        this.engine.resetParticleFilter();
+        document.getElementById('noiseSeed').value = seed;
+    }
+
+    // =========================================================================
+    // Three.js Rendering
+    // =========================================================================
+
+    /**
+     * Properly dispose of Three.js resources to prevent memory leaks
+     * @param {THREE.Group} group - Group to dispose
+     */
+    disposeGroup(group) {
+        while (group.children.length > 0) {
+            const object = group.children[0];
+
+            // Dispose geometry
+            if (object.geometry) {
+                object.geometry.dispose();
+            }
+
+            // Dispose material(s)
+            if (object.material) {
+                if (Array.isArray(object.material)) {
+                    object.material.forEach(material => {
+                        if (material.map) material.map.dispose();
+                        material.dispose();
+                    });
+                } else {
+                    if (object.material.map) object.material.map.dispose();
+                    object.material.dispose();
+                }
+            }
+
+            // Dispose texture
+            if (object.texture) {
+                object.texture.dispose();
+            }
+
+            // Remove from group
+            group.remove(object);
+        }
+    }
+
+    animate(time = performance.now()) {
+        requestAnimationFrame((t) => this.animate(t));
+        this.advanceTracking(time);
+        this.advanceReplay(time);
+        this.render();
+    }
+
+    render() {
+        // Perform trilateration and get measurements
+        const measurements = this.performTrilateration();
+        this.updateTagEstimates();
+        this.recordTrackingSample();
+
+        // Update all visual elements
+        this.updateHeatmap();
+        this.updateRangingCircles(measurements);
+        this.updateDebugLines();
+        this.updateWalls();
+        this.updateWallIntersections(measurements);
+        this.updateRadios();
+        this.updatePlacementProposal();
+        this.updateDevice();
+        this.updateTags();
+        this.updateEstimatedPosition();
+        this.updateTrackedPosition();
+        this.updateParticles();
+        this.updateFingerprint();
+        this.updateCalibrationPoints();
+        this.updateComparisonEstimates();
+        this.updateTrail();
+
+        // Update data tables
+        this.updateDataTables(measurements);
+        this.renderTagTable();
+
+        // Render the scene
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    updateHeatmap() {
+        // Properly dispose of old geometries and materials
+        this.disposeGroup(this.heatmapGroup);
+
+        if (!this.enableHeatmap) return;
+
+        if (this.heatmapMode === 'error') {
+            this.updateErrorHeatmap();
+            return;
+        }
+
+        if (this.heatmapMode === 'gdop') {
+            this.updateGDOPHeatmap();
+            return;
+        }
+
+        const resolution = 20;
+        const geometry = new THREE.PlaneGeometry(resolution, resolution);
+
+        for (let x = 0; x < this.width; x += resolution) {
+            for (let y = 0; y < this.height; y += resolution) {
+                let maxRSSI = -120;
+
+                // Noise-free model: sampling would draw from the seeded noise
+                // stream and feed the live Kalman filters
+                for (const radio of this.engine.radios) {
+                    const receiver = { x: x, y: y };
+                    const distance = this.engine.signalDistance(radio, receiver);
+                    const rssi = this.engine.modelRSSI(distance, radio, receiver);
+                    maxRSSI = Math.max(maxRSSI, rssi);
+                }
+
+                const normalized = (maxRSSI + 100) / 40;
                 const clamped = Math.max(0, Math.min(1, normalized));
 
                 const r = 1 - clamped;
@@ -1301,6 +1526,96 @@ class TrilaterationSimulator {
         }
     }
 
+    /**
+     * Colour each cell by the expected localization error of a device standing
+     * there (mean over several noisy trials), to reveal dead zones
+     */
+    updateErrorHeatmap() {
+        const settings = this.errorHeatmap;
+
+        // Recompute only when radios, walls or model parameters change
+        const signature = this.getErrorMapSignature();
+        if (signature !== settings.signature) {
+            settings.cells = this.engine.computeErrorMap({
+                resolution: settings.resolution,
+                trials: settings.trials
+            });
+            settings.signature = signature;
+        }
+
+        const geometry = new THREE.PlaneGeometry(settings.resolution, settings.resolution);
+
+        for (const cell of settings.cells) {
+            let color;
+            if (cell.error === null) {
+                color = new THREE.Color(0.4, 0.4, 0.4); // No fix possible
+            } else {
+                const clamped = Math.max(0, Math.min(1, cell.error / settings.maxError));
+                color = new THREE.Color(clamped, 1 - clamped, 0);
+            }
+
+            const material = new THREE.MeshBasicMaterial({
+                color: color,
+                transparent: true,
+                opacity: 0.2
+            });
+
+            const mesh = new THREE.Mesh(geometry, material);
+            const threePos = this.canvasToThree(
+                cell.x + settings.resolution / 2,
+                cell.y + settings.resolution / 2
+            );
+            mesh.position.set(threePos.x, threePos.y, -1);
+            this.heatmapGroup.add(mesh);
+        }
+    }
+
+    /**
+     * Colour each cell by the GDOP of the radio layout (green = 1, red ≥ 10)
+     * so installers can see where anchor placement degrades accuracy
+     */
+    updateGDOPHeatmap() {
+        const resolution = 20;
+        const geometry = new THREE.PlaneGeometry(resolution, resolution);
+
+        for (const cell of this.engine.computeGDOPMap(resolution)) {
+            const clamped = Math.max(0, Math.min(1, (cell.gdop - 1) / 9));
+
+            const material = new THREE.MeshBasicMaterial({
+                color: new THREE.Color(clamped, 1 - clamped, 0),
+                transparent: true,
+                opacity: 0.2
+            });
+
+            const mesh = new THREE.Mesh(geometry, material);
+            const threePos = this.canvasToThree(cell.x + resolution / 2, cell.y + resolution / 2);
+            mesh.position.set(threePos.x, threePos.y, -1);
+            this.heatmapGroup.add(mesh);
+        }
+    }
+
+    /**
+     * Key describing everything the error map depends on
+     */
+    getErrorMapSignature() {
+        const engine = this.engine;
+        return JSON.stringify({
+            radios: engine.radios.map(r => [r.x, r.y, ...Object.keys(RADIO_PARAMETERS).map(key => r[key])]),
+            walls: engine.walls.map(w => [w.start.x, w.start.y, w.end.x, w.end.y, w.material, w.attenuation, w.floor]),
+            floors: [engine.floors.length, engine.activeFloor, engine.floorHeight, engine.floorAttenuation],
+            heights: [engine.radioHeight, engine.deviceHeight, engine.estimateHeight],
+            model: [
+                engine.txPower, engine.pathLossExponent, engine.minRSSI,
+                engine.enableNoise, engine.noiseStdDev,
+                engine.enableWalls, engine.enableAngleEffect, engine.enableCumulativeEffect,
+                engine.enableMultipath, engine.reflectionOrder, engine.multipathCombining,
+                engine.solver, engine.robustLoss, engine.robustScale,
+                engine.fingerprintK, engine.fingerprintWeighted, this.fingerprint.revision
+            ],
+            trials: this.errorHeatmap.trials
+        });
+    }
+
     updateRangingCircles(measurements) {
         this.disposeGroup(this.circlesGroup);
 
@@ -1341,33 +1656,65 @@ class TrilaterationSimulator {
     updateDebugLines() {
         this.disposeGroup(this.debugLinesGroup);
 
-        if (!this.showDebugLines) return;
+        if (!this.getGroundTruth()) return;
 
-        const material = new THREE.LineBasicMaterial({
-            color: 0x969696,
-            transparent: true,
-            opacity: 0.3
-        });
+        if (this.showDebugLines) {
+            const material = new THREE.LineBasicMaterial({
+                color: 0x969696,
+                transparent: true,
+                opacity: 0.3
+            });
 
-        for (const radio of this.radios) {
-            const radioPos = this.canvasToThree(radio.x, radio.y);
-            const devicePos = this.canvasToThree(this.device.x, this.device.y);
+            for (const radio of this.engine.radios) {
+                const radioPos = this.canvasToThree(radio.x, radio.y);
+                const devicePos = this.canvasToThree(this.device.x, this.device.y);
 
-            const geometry = new THREE.BufferGeometry().setFromPoints([
-                new THREE.Vector3(radioPos.x, radioPos.y, 0),
-                new THREE.Vector3(devicePos.x, devicePos.y, 0)
-            ]);
+                const geometry = new THREE.BufferGeometry().setFromPoints([
+                    new THREE.Vector3(radioPos.x, radioPos.y, 0),
+                    new THREE.Vector3(devicePos.x, devicePos.y, 0)
+                ]);
 
-            const line = new THREE.Line(geometry, material);
-            this.debugLinesGroup.add(line);
+                const line = new THREE.Line(geometry, material);
+                this.debugLinesGroup.add(line);
+            }
+        }
+
+        if (this.showReflections) {
+            this.renderReflectionRays();
         }
     }
 
-    updateWalls() {
+    /**
+     * Reflected rays from every radio to the device (single bounces brighter
+     * than double bounces)
+     */
+    renderReflectionRays() {
+        const materials = [0.6, 0.3].map(opacity => new THREE.LineBasicMaterial({
+            color: 0x00BCD4,
+            transparent: true,
+            opacity: opacity
+        }));
+
+        for (const radio of this.engine.radios) {
+            for (const path of this.engine.findReflectionPaths(radio, this.device)) {
+                const points = path.points.map(p => {
+                    const pos = this.canvasToThree(p.x, p.y);
+                    return new THREE.Vector3(pos.x, pos.y, 0.1);
+                });
+                const line = new THREE.Line(
+                    new THREE.BufferGeometry().setFromPoints(points),
+                    materials[path.walls.length - 1]
+                );
+                this.debugLinesGroup.add(line);
+            }
+        }
+    }
+
+    updateWalls() {
         this.disposeGroup(this.wallsGroup);
 
         // Render permanent walls
-        const wallsToRender = this.enableWalls ? this.walls : [];
+        const wallsToRender = this.engine.enableWalls ? this.engine.wallsOnFloor(this.engine.activeFloor) : [];
 
         for (const wall of wallsToRender) {
             const isSelected = wall === this.selectedWall;
@@ -1434,12 +1781,203 @@ class TrilaterationSimulator {
         }
     }
 
+    /**
+     * Polar plot of a radio's antenna pattern (0 dB = 60 px, -30 dB = centre)
+     * with a tick along the boresight
+     */
+    renderAntennaLobe(radio, center) {
+        const maxRadius = 60;
+        const floorDb = -30;
+        const points = [];
+
+        for (let i = 0; i <= 72; i++) {
+            const angle = i * 2 * Math.PI / 72;  // Canvas bearing, clockwise from +x
+            const gain = this.engine.antennaPatternGain(radio, {
+                x: radio.x + Math.cos(angle),
+                y: radio.y + Math.sin(angle)
+            });
+            const r = maxRadius * Math.max(0, (gain - floorDb) / -floorDb);
+            // Canvas y points down, Three.js y points up
+            points.push(new THREE.Vector3(center.x + r * Math.cos(angle), center.y - r * Math.sin(angle), 2.9));
+        }
+
+        const lobeMaterial = new THREE.LineBasicMaterial({
+            color: 0x2E7D32,
+            transparent: true,
+            opacity: 0.6
+        });
+        this.radiosGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), lobeMaterial));
+
+        const boresight = (radio.orientation || 0) * Math.PI / 180;
+        const tickGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(center.x, center.y, 2.9),
+            new THREE.Vector3(
+                center.x + (maxRadius + 10) * Math.cos(boresight),
+                center.y - (maxRadius + 10) * Math.sin(boresight),
+                2.9
+            )
+        ]);
+        this.radiosGroup.add(new THREE.Line(tickGeometry, lobeMaterial));
+    }
+
+    // =========================================================================
+    // Radio Editing
+    // =========================================================================
+
+    setAddRadioMode(enabled) {
+        if (enabled === this.addRadioMode) return;
+        this.addRadioMode = enabled;
+
+        if (enabled) {
+            if (this.drawWallMode) {
+                document.getElementById('drawWallBtn').click();
+            }
+            this.setDrawPathMode(false);
+        }
+
+        const btn = document.getElementById('addRadioBtn');
+        btn.textContent = enabled ? '📡 Add Radio Mode (ON)' : '📡 Add Radio Mode (OFF)';
+        btn.style.backgroundColor = enabled ? '#4CAF50' : '';
+        this.canvas.style.cursor = enabled ? 'crosshair' : 'default';
+        this.updateToolbarState();
+    }
+
+    deleteSelectedRadio() {
+        if (!this.selectedRadio) return;
+
+        this.engine.removeRadio(this.selectedRadio);
+        this.selectedRadio = null;
+        this.numRadios = this.currentFloorRadios().length;
+        this.renderRadioEditor();
+    }
+
+    renameSelectedRadio(label) {
+        const errorEl = document.getElementById('radioEditorError');
+        try {
+            this.engine.renameRadio(this.selectedRadio, label);
+            errorEl.textContent = '';
+
+            // Radios match replayed beacons by name, so re-read the log so far
+            if (this.replay.player) {
+                this.seekReplay(this.replay.player.time);
+                this.renderReplayInfo();
+            }
+        } catch (error) {
+            errorEl.textContent = `✗ ${error.message}`;
+        }
+        this.renderRadioEditor(false);
+    }
+
+    /**
+     * Set or clear (empty value = global model) a calibration field of the selected radio
+     */
+    setSelectedRadioParameter(key, value) {
+        const radio = this.selectedRadio;
+        if (!radio) return;
+
+        if (value === '') {
+            delete radio[key];
+        } else if (isFinite(parseFloat(value))) {
+            radio[key] = parseFloat(value);
+        }
+
+        // Filtered RSSI would otherwise drift over from the old calibration
+        this.engine.resetKalmanFilter(radio);
+        this.renderRadioEditor();
+    }
+
+    setSelectedRadioPattern(pattern) {
+        const radio = this.selectedRadio;
+        if (!radio) return;
+
+        const errorEl = document.getElementById('radioEditorError');
+        if (pattern === 'table' && !radio.gainTable) {
+            errorEl.textContent = '✗ Import a gain table first';
+            this.renderRadioEditor(false);
+            return;
+        }
+
+        if (pattern === 'omni') {
+            delete radio.antennaPattern;
+        } else {
+            radio.antennaPattern = pattern;
+        }
+        this.engine.resetKalmanFilter(radio);
+        this.renderRadioEditor();
+    }
+
+    handleGainTableUpload(event) {
+        const file = event.target.files[0];
+        const radio = this.selectedRadio;
+        if (!file || !radio) return;
+
+        const errorEl = document.getElementById('radioEditorError');
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                radio.gainTable = parseGainTable(e.target.result);
+                radio.antennaPattern = 'table';
+                this.engine.resetKalmanFilter(radio);
+                this.renderRadioEditor();
+            } catch (error) {
+                console.error('❌ Gain table error:', error);
+                errorEl.textContent = `✗ ${file.name}: ${error.message}`;
+            }
+        };
+        reader.readAsText(file);
+
+        // Allow re-importing the same file
+        event.target.value = '';
+    }
+
+    /**
+     * Show the selected radio in the Setup tab editor and keep the radio count in sync
+     * @param {Boolean} clearError - Hide a previous rename error
+     */
+    renderRadioEditor(clearError = true) {
+        document.getElementById('numRadios').value = this.currentFloorRadios().length;
+
+        const editorEl = document.getElementById('radioEditor');
+        const hintEl = document.getElementById('radioEditorHint');
+        if (clearError) {
+            document.getElementById('radioEditorError').textContent = '';
+        }
+
+        if (!this.selectedRadio) {
+            editorEl.style.display = 'none';
+            hintEl.style.display = '';
+            return;
+        }
+
+        editorEl.style.display = '';
+        hintEl.style.display = 'none';
+
+        const radio = this.selectedRadio;
+        document.getElementById('radioLabel').value = radio.label;
+        document.getElementById('radioTxPower').value = radio.txPower ?? '';
+        document.getElementById('radioRssiAt1m').value = radio.rssiAt1m ?? '';
+        document.getElementById('radioRssiAt1m').placeholder = this.engine.txPower;
+        document.getElementById('radioPathLossExponent').value = radio.pathLossExponent ?? '';
+        document.getElementById('radioPathLossExponent').placeholder = this.engine.pathLossExponent;
+        document.getElementById('radioZ').value = radio.z ?? '';
+        document.getElementById('radioZ').placeholder = this.engine.radioHeight;
+        document.getElementById('radioAntennaGain').value = radio.antennaGain ?? '';
+        document.getElementById('radioAntennaPattern').value = radio.antennaPattern || 'omni';
+        document.getElementById('radioOrientation').value = radio.orientation || 0;
+        document.querySelector('#radioOrientation + .value-display').textContent = `${radio.orientation || 0}°`;
+
+        const model = this.engine.getRadioModel(radio);
+        document.getElementById('radioModelInfo').textContent =
+            `Expected RSSI @ 1m (boresight): ${model.rssiAt1m.toFixed(1)} dBm, n = ${model.pathLossExponent.toFixed(1)}` +
+            (radio.gainTable ? `, gain table: ${radio.gainTable.length} points` : '');
+    }
+
     deleteSelectedWall() {
         if (!this.selectedWall) return;
 
-        const index = this.walls.indexOf(this.selectedWall);
+        const index = this.engine.walls.indexOf(this.selectedWall);
         if (index > -1) {
-            this.walls.splice(index, 1);
+            this.engine.walls.splice(index, 1);
             this.selectedWall = null;
             this.updateWallCount();
         }
@@ -1448,14 +1986,14 @@ class TrilaterationSimulator {
     updateWallCount() {
         const countEl = document.getElementById('wallCount');
         if (countEl) {
-            countEl.textContent = this.walls.length;
+            countEl.textContent = this.engine.wallsOnFloor(this.engine.activeFloor).length;
         }
     }
 
     updateWallIntersections(measurements) {
         this.disposeGroup(this.wallIntersectionsGroup);
 
-        if (!this.enableWalls || !this.showWallIntersections) return;
+        if (!this.engine.enableWalls || !this.showWallIntersections) return;
 
         for (const m of measurements) {
             if (!m.wallIntersections || m.wallIntersections.length === 0) continue;
@@ -1487,10 +2025,143 @@ class TrilaterationSimulator {
         }
     }
 
+    // =========================================================================
+    // Floors
+    // =========================================================================
+
+    /**
+     * Show another floor: its floor plan, walls and radios are drawn and
+     * edited there, and the device moves to it
+     */
+    setFloor(index) {
+        this.engine.activeFloor = index;
+        this.floorPlan = this.floorPlans[index];
+        this.selectedRadio = null;
+        this.selectedWall = null;
+        this.dragging = null;
+        this.setPlacementProposal(null);
+
+        // The device hears different radios now, so its filters start over
+        this.engine.resetKalmanFilters();
+        this.engine.resetPositionTracker();
+        this.engine.resetParticleFilter();
+
+        this.numRadios = this.currentFloorRadios().length;
+        this.renderRadioEditor();
+        this.updateFloorPlan();
+        this.updateWallCount();
+        this.syncFloorControls();
+        this.updateToolbarState();
+    }
+
+    addFloor() {
+        const index = this.engine.addFloor();
+        this.floorPlans.push(this.createFloorPlan());
+        this.setFloor(index);
+    }
+
+    /**
+     * Delete the floor on display with its radios, walls, tags and floor plan
+     */
+    removeFloor() {
+        const engine = this.engine;
+        const floor = engine.activeFloor;
+        if (engine.floors.length <= 1) return;
+        if (!confirm(`Delete ${engine.floors[floor].name} with its radios and walls?`)) return;
+
+        const plan = this.floorPlans[floor];
+        if (plan.texture) plan.texture.dispose();
+        this.floorPlans.splice(floor, 1);
+
+        this.tags = this.tags.filter(tag => tag.floor !== floor);
+        for (const tag of this.tags) {
+            if (tag.floor > floor) tag.floor--;
+        }
+        document.getElementById('tagPanel').style.display = this.tags.length > 0 ? '' : 'none';
+
+        engine.removeFloor(floor);
+        this.setFloor(engine.activeFloor);
+    }
+
+    /**
+     * Floor selector, floor model and floor plan controls for the floor on display
+     */
+    syncFloorControls() {
+        const engine = this.engine;
+        const select = document.getElementById('floorSelect');
+        select.innerHTML = '';
+        engine.floors.forEach((floor, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = floor.name;
+            select.appendChild(option);
+        });
+        select.value = engine.activeFloor;
+        document.getElementById('removeFloorBtn').disabled = engine.floors.length <= 1;
+        document.getElementById('floorHeight').value = engine.floorHeight;
+        document.getElementById('floorAttenuation').value = engine.floorAttenuation;
+        document.getElementById('radioHeight').value = engine.radioHeight;
+        document.getElementById('deviceHeight').value = engine.deviceHeight;
+        document.getElementById('estimateHeight').checked = engine.estimateHeight;
+
+        document.getElementById('showFloorPlan').checked = this.floorPlan.show;
+        document.getElementById('floorPlanOpacity').value = this.floorPlan.opacity;
+        document.querySelector('#floorPlanOpacity + .value-display').textContent = this.floorPlan.opacity;
+        document.getElementById('floorPlanScale').value = this.floorPlan.scale;
+        document.querySelector('#floorPlanScale + .value-display').textContent = this.floorPlan.scale;
+        document.getElementById('floorPlanInfo').textContent = this.floorPlan.info;
+    }
+
+    /**
+     * Estimated floor and height next to the true ones (multi-floor buildings
+     * and 3D solving only)
+     */
+    renderFloorInfo(truth) {
+        const floors = this.engine.floors;
+        let html = '';
+
+        if (floors.length > 1) {
+            const estimated = this.escapeHTML(floors[this.estimatedFloor].name);
+            const check = truth ? (this.estimatedFloor === this.engine.activeFloor ? ' ✓' : ' ✗') : '';
+            html += `
+                <div class="position-info">
+                    <span class="position-label">Floor:</span>
+                    <span class="position-value">${estimated}${check}${truth ?
+                        ` (true: ${this.escapeHTML(floors[this.engine.activeFloor].name)})` : ''}</span>
+                </div>
+            `;
+        }
+
+        if (this.estimatedPosition.z !== undefined) {
+            html += `
+                <div class="position-info">
+                    <span class="position-label">Estimated Height:</span>
+                    <span class="position-value">${this.estimatedPosition.z.toFixed(2)} m${truth ?
+                        ` (true: ${(truth.z ?? this.engine.deviceHeight).toFixed(2)} m)` : ''}</span>
+                </div>
+            `;
+        }
+
+        return html;
+    }
+
     // =========================================================================
     // Floor Plan Image Handling
     // =========================================================================
 
+    createFloorPlan() {
+        return {
+            image: null,
+            dataURL: null,  // kept so scenarios can embed the image
+            info: '',       // file name and size shown under the upload button
+            texture: null,
+            mesh: null,
+            scale: 40,  // pixels per meter (matches grid)
+            opacity: 0.5,
+            show: false
+        };
+    }
+
     handleFloorPlanUpload(event) {
         const file = event.target.files[0];
         if (!file) return;
@@ -1503,29 +2174,39 @@ class TrilaterationSimulator {
 
         const reader = new FileReader();
         reader.onload = (e) => {
-            const img = new Image();
-            img.onload = () => {
-                this.floorPlan.image = img;
-                this.loadFloorPlanTexture(img);
-
-                // Update UI
-                const info = document.getElementById('floorPlanInfo');
-                info.textContent = `${file.name} (${img.width}×${img.height}px)`;
-
-                // Auto-enable display
-                document.getElementById('showFloorPlan').checked = true;
-                this.floorPlan.show = true;
-            };
-            img.src = e.target.result;
+            this.loadFloorPlanImage(e.target.result, file.name);
         };
         reader.readAsDataURL(file);
     }
 
-    loadFloorPlanTexture(img) {
+    /**
+     * Show a floor plan from a data URL (uploaded file or saved scenario)
+     * @param {Object} plan - Floor plan to load into (defaults to the one on display)
+     */
+    loadFloorPlanImage(dataURL, name, show = true, plan = this.floorPlan) {
+        const img = new Image();
+        img.onload = () => {
+            plan.image = img;
+            plan.dataURL = dataURL;
+            plan.show = show;
+            plan.info = `${name} (${img.width}×${img.height}px)`;
+
+            this.loadFloorPlanTexture(img, plan);
+
+            // Auto-enable display
+            if (plan === this.floorPlan) {
+                document.getElementById('showFloorPlan').checked = show;
+                document.getElementById('floorPlanInfo').textContent = plan.info;
+            }
+        };
+        img.src = dataURL;
+    }
+
+    loadFloorPlanTexture(img, plan = this.floorPlan) {
         // Create texture from image
         const texture = new THREE.Texture(img);
         texture.needsUpdate = true;
-        this.floorPlan.texture = texture;
+        plan.texture = texture;
 
         // Update the display
         this.updateFloorPlan();
@@ -1566,6 +2247,8 @@ class TrilaterationSimulator {
         this.disposeGroup(this.floorPlanGroup);
 
         this.floorPlan.image = null;
+        this.floorPlan.dataURL = null;
+        this.floorPlan.info = '';
         this.floorPlan.texture = null;
         this.floorPlan.mesh = null;
         this.floorPlan.show = false;
@@ -1603,17 +2286,19 @@ class TrilaterationSimulator {
             try {
                 const detectedWalls = this.runWallDetection(this.floorPlan.image);
 
-                // Convert detected lines to Wall objects
+                // Convert detected lines to Wall objects on the floor on display
                 const newWalls = detectedWalls.map(line => {
-                    return new Wall(
+                    const wall = new Wall(
                         { x: line.x1, y: line.y1 },
                         { x: line.x2, y: line.y2 },
                         this.wallDetection.detectedMaterial
                     );
+                    wall.floor = this.engine.activeFloor;
+                    return wall;
                 });
 
                 // Add to existing walls
-                this.walls.push(...newWalls);
+                this.engine.walls.push(...newWalls);
 
                 // Update UI
                 statusEl.textContent = `✓ Detected ${newWalls.length} walls`;
@@ -1623,7 +2308,7 @@ class TrilaterationSimulator {
                 // Auto-enable walls
                 if (newWalls.length > 0) {
                     document.getElementById('enableWalls').checked = true;
-                    this.enableWalls = true;
+                    this.engine.enableWalls = true;
                 }
 
                 console.log(`✅ Detected ${newWalls.length} walls from floor plan`);
@@ -1788,261 +2473,1982 @@ class TrilaterationSimulator {
         return merged;
     }
 
-    /**
-     * Calculate distance between two lines
-     */
-    lineToLineDistance(line1, line2) {
-        const midX1 = (line1.x1 + line1.x2) / 2;
-        const midY1 = (line1.y1 + line1.y2) / 2;
-        const midX2 = (line2.x1 + line2.x2) / 2;
-        const midY2 = (line2.y1 + line2.y2) / 2;
+    /**
+     * Calculate distance between two lines
+     */
+    lineToLineDistance(line1, line2) {
+        const midX1 = (line1.x1 + line1.x2) / 2;
+        const midY1 = (line1.y1 + line1.y2) / 2;
+        const midX2 = (line2.x1 + line2.x2) / 2;
+        const midY2 = (line2.y1 + line2.y2) / 2;
+
+        return Math.sqrt((midX2 - midX1) ** 2 + (midY2 - midY1) ** 2);
+    }
+
+    /**
+     * Average multiple lines into a single line
+     */
+    averageLines(lines) {
+        const n = lines.length;
+        const avgX1 = lines.reduce((sum, l) => sum + l.x1, 0) / n;
+        const avgY1 = lines.reduce((sum, l) => sum + l.y1, 0) / n;
+        const avgX2 = lines.reduce((sum, l) => sum + l.x2, 0) / n;
+        const avgY2 = lines.reduce((sum, l) => sum + l.y2, 0) / n;
+
+        const length = Math.sqrt((avgX2 - avgX1) ** 2 + (avgY2 - avgY1) ** 2);
+
+        return {
+            x1: Math.round(avgX1),
+            y1: Math.round(avgY1),
+            x2: Math.round(avgX2),
+            y2: Math.round(avgY2),
+            length
+        };
+    }
+
+    updateRadios() {
+        this.disposeGroup(this.radiosGroup);
+        this.interactiveObjects = [];
+
+        for (const radio of this.engine.radios) {
+            const threePos = this.canvasToThree(radio.x, radio.y);
+
+            // Radios on other floors are shown faded and can't be picked
+            if ((radio.floor || 0) !== this.engine.activeFloor) {
+                const ghost = new THREE.Mesh(
+                    new THREE.RingGeometry(radio.radius - 2, radio.radius, 32),
+                    new THREE.MeshBasicMaterial({ color: 0x9E9E9E, transparent: true, opacity: 0.6, side: THREE.DoubleSide })
+                );
+                ghost.position.set(threePos.x, threePos.y, 2.9);
+                this.radiosGroup.add(ghost);
+                continue;
+            }
+
+            // Radio circle
+            const geometry = new THREE.CircleGeometry(radio.radius, 32);
+            const material = new THREE.MeshBasicMaterial({
+                color: 0x4CAF50,
+                side: THREE.DoubleSide
+            });
+            const circle = new THREE.Mesh(geometry, material);
+            circle.position.set(threePos.x, threePos.y, 3);
+            circle.userData = { type: 'radio', radio: radio };
+            this.radiosGroup.add(circle);
+            this.interactiveObjects.push(circle);
+
+            // Border
+            const borderGeometry = new THREE.RingGeometry(radio.radius - 0.5, radio.radius + 1.5, 32);
+            const borderMaterial = new THREE.MeshBasicMaterial({
+                color: 0x2E7D32,
+                side: THREE.DoubleSide
+            });
+            const border = new THREE.Mesh(borderGeometry, borderMaterial);
+            border.position.set(threePos.x, threePos.y, 3.1);
+            this.radiosGroup.add(border);
+
+            // Directional antenna lobe
+            if (radio.antennaPattern && radio.antennaPattern !== 'omni') {
+                this.renderAntennaLobe(radio, threePos);
+            }
+
+            // Selection ring
+            if (radio === this.selectedRadio) {
+                const ringGeometry = new THREE.RingGeometry(radio.radius + 4, radio.radius + 7, 32);
+                const ringMaterial = new THREE.MeshBasicMaterial({
+                    color: 0xFF9800,
+                    side: THREE.DoubleSide
+                });
+                const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+                ring.position.set(threePos.x, threePos.y, 3.2);
+                this.radiosGroup.add(ring);
+            }
+        }
+    }
+
+    updateDevice() {
+        this.disposeGroup(this.deviceGroup);
+
+        // Nothing to show while replaying a log without ground truth
+        if (!this.getGroundTruth()) return;
+
+        const threePos = this.canvasToThree(this.device.x, this.device.y);
+
+        // Device circle
+        const geometry = new THREE.CircleGeometry(this.device.radius, 32);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xFF5722,
+            side: THREE.DoubleSide
+        });
+        const circle = new THREE.Mesh(geometry, material);
+        circle.position.set(threePos.x, threePos.y, 3);
+        circle.userData = { type: 'device', device: this.device };
+        this.deviceGroup.add(circle);
+        this.interactiveObjects.push(circle);
+
+        // Border
+        const borderGeometry = new THREE.RingGeometry(this.device.radius - 0.5, this.device.radius + 1.5, 32);
+        const borderMaterial = new THREE.MeshBasicMaterial({
+            color: 0xD84315,
+            side: THREE.DoubleSide
+        });
+        const border = new THREE.Mesh(borderGeometry, borderMaterial);
+        border.position.set(threePos.x, threePos.y, 3.1);
+        this.deviceGroup.add(border);
+
+        // Cross marker
+        const crossMaterial = new THREE.LineBasicMaterial({ color: 0xFFC107 });
+        const crossSize = 8;
+
+        const hLine = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(threePos.x - crossSize, threePos.y, 3.2),
+            new THREE.Vector3(threePos.x + crossSize, threePos.y, 3.2)
+        ]);
+        this.deviceGroup.add(new THREE.Line(hLine, crossMaterial));
+
+        const vLine = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(threePos.x, threePos.y - crossSize, 3.2),
+            new THREE.Vector3(threePos.x, threePos.y + crossSize, 3.2)
+        ]);
+        this.deviceGroup.add(new THREE.Line(vLine, crossMaterial));
+    }
+
+    updateEstimatedPosition() {
+        this.disposeGroup(this.estimatedGroup);
+
+        if (!this.estimatedPosition) return;
+
+        const threePos = this.canvasToThree(this.estimatedPosition.x, this.estimatedPosition.y);
+
+        // Estimated position circle
+        const geometry = new THREE.CircleGeometry(10, 32);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x2196F3,
+            side: THREE.DoubleSide
+        });
+        const circle = new THREE.Mesh(geometry, material);
+        circle.position.set(threePos.x, threePos.y, 2);
+        this.estimatedGroup.add(circle);
+
+        // Border
+        const borderGeometry = new THREE.RingGeometry(9.5, 11.5, 32);
+        const borderMaterial = new THREE.MeshBasicMaterial({
+            color: 0x1565C0,
+            side: THREE.DoubleSide
+        });
+        const border = new THREE.Mesh(borderGeometry, borderMaterial);
+        border.position.set(threePos.x, threePos.y, 2.1);
+        this.estimatedGroup.add(border);
+
+        // 95% confidence ellipse from the solver covariance
+        if (this.estimatedPosition.covariance) {
+            this.renderConfidenceEllipse(threePos, this.estimatedPosition.covariance);
+        }
+
+        // Error line
+        if (!this.getGroundTruth()) return;
+        const devicePos = this.canvasToThree(this.device.x, this.device.y);
+        const lineMaterial = new THREE.LineDashedMaterial({
+            color: 0xff0000,
+            transparent: true,
+            opacity: 0.5,
+            dashSize: 5,
+            gapSize: 5
+        });
+
+        const lineGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(devicePos.x, devicePos.y, 2.5),
+            new THREE.Vector3(threePos.x, threePos.y, 2.5)
+        ]);
+        const line = new THREE.Line(lineGeometry, lineMaterial);
+        line.computeLineDistances();
+        this.estimatedGroup.add(line);
+    }
+
+    /**
+     * Draw the tracker output as a green ring with its velocity vector (1 s ahead)
+     */
+    updateTrackedPosition() {
+        this.disposeGroup(this.trackedGroup);
+
+        if (!this.trackedPosition) return;
+
+        const tracked = this.trackedPosition;
+        const threePos = this.canvasToThree(tracked.x, tracked.y);
+
+        const ringGeometry = new THREE.RingGeometry(11, 14, 32);
+        const ringMaterial = new THREE.MeshBasicMaterial({
+            color: 0x4CAF50,
+            side: THREE.DoubleSide
+        });
+        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        ring.position.set(threePos.x, threePos.y, 2.2);
+        this.trackedGroup.add(ring);
+
+        const aheadPos = this.canvasToThree(tracked.x + tracked.vx, tracked.y + tracked.vy);
+        const lineGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(threePos.x, threePos.y, 2.2),
+            new THREE.Vector3(aheadPos.x, aheadPos.y, 2.2)
+        ]);
+        const lineMaterial = new THREE.LineBasicMaterial({ color: 0x2E7D32 });
+        this.trackedGroup.add(new THREE.Line(lineGeometry, lineMaterial));
+    }
+
+    /**
+     * Draw the particle cloud and the particle filter estimate (purple diamond)
+     */
+    updateParticles() {
+        this.disposeGroup(this.particleGroup);
+
+        if (!this.particleEstimate) return;
+
+        if (this.showParticles) {
+            const positions = [];
+            for (const p of this.engine.particleFilter.particles) {
+                const pos = this.canvasToThree(p.x, p.y);
+                positions.push(pos.x, pos.y, 1.5);
+            }
+
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            const material = new THREE.PointsMaterial({
+                color: 0x673AB7,
+                size: 3,
+                sizeAttenuation: false,
+                transparent: true,
+                opacity: 0.5
+            });
+            this.particleGroup.add(new THREE.Points(geometry, material));
+        }
+
+        const threePos = this.canvasToThree(this.particleEstimate.x, this.particleEstimate.y);
+        const diamondGeometry = new THREE.RingGeometry(8, 12, 4);
+        const diamondMaterial = new THREE.MeshBasicMaterial({
+            color: 0x673AB7,
+            side: THREE.DoubleSide
+        });
+        const diamond = new THREE.Mesh(diamondGeometry, diamondMaterial);
+        diamond.position.set(threePos.x, threePos.y, 2.3);
+        this.particleGroup.add(diamond);
+    }
+
+    /**
+     * Draw the radio map reference points (optional) and the k matched
+     * fingerprints with lines to the fingerprinting estimate
+     */
+    updateFingerprint() {
+        this.disposeGroup(this.fingerprintGroup);
+
+        const radioMap = this.engine.radioMap;
+        if (!radioMap) return;
+
+        if (this.fingerprint.showMap) {
+            const positions = [];
+            for (const point of radioMap.points) {
+                const pos = this.canvasToThree(point.x, point.y);
+                positions.push(pos.x, pos.y, 0.4);
+            }
+
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            const material = new THREE.PointsMaterial({
+                color: 0xB0BEC5,
+                size: 3,
+                sizeAttenuation: false
+            });
+            this.fingerprintGroup.add(new THREE.Points(geometry, material));
+        }
+
+        const estimate = this.getFingerprintEstimate();
+        if (!estimate || !estimate.neighbors) return;
+
+        const estimatePos = this.canvasToThree(estimate.x, estimate.y);
+        const markerGeometry = new THREE.PlaneGeometry(8, 8);
+        const markerMaterial = new THREE.MeshBasicMaterial({ color: 0x607D8B });
+        const lineMaterial = new THREE.LineBasicMaterial({
+            color: 0x607D8B,
+            transparent: true,
+            opacity: 0.6
+        });
+
+        for (const neighbor of estimate.neighbors) {
+            const pos = this.canvasToThree(neighbor.x, neighbor.y);
+            const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+            marker.position.set(pos.x, pos.y, 1.8);
+            this.fingerprintGroup.add(marker);
+
+            const geometry = new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(pos.x, pos.y, 1.8),
+                new THREE.Vector3(estimatePos.x, estimatePos.y, 1.8)
+            ]);
+            this.fingerprintGroup.add(new THREE.Line(geometry, lineMaterial));
+        }
+    }
+
+    /**
+     * Fingerprinting result, whether it is the main solver or being compared
+     */
+    getFingerprintEstimate() {
+        if (this.engine.solver === 'fingerprint-knn') {
+            return this.estimatedPosition;
+        }
+        const comparison = this.comparisonEstimates.find(e => e.id === 'fingerprint-knn');
+        return comparison ? comparison.position : null;
+    }
+
+    /**
+     * Draw the estimates of the algorithms being compared, each in its colour
+     * with a thin line to the true position
+     */
+    updateComparisonEstimates() {
+        this.disposeGroup(this.comparisonGroup);
+
+        const truth = this.getGroundTruth();
+        const devicePos = truth && this.canvasToThree(truth.x, truth.y);
+
+        for (const estimate of this.comparisonEstimates) {
+            if (!estimate.position) continue;
+
+            const threePos = this.canvasToThree(estimate.position.x, estimate.position.y);
+            const color = estimate.algorithm.color;
+
+            const marker = new THREE.Mesh(
+                new THREE.CircleGeometry(7, 32),
+                new THREE.MeshBasicMaterial({ color: color, side: THREE.DoubleSide })
+            );
+            marker.position.set(threePos.x, threePos.y, 1.95);
+            this.comparisonGroup.add(marker);
+
+            const border = new THREE.Mesh(
+                new THREE.RingGeometry(7, 8.5, 32),
+                new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide })
+            );
+            border.position.set(threePos.x, threePos.y, 1.96);
+            this.comparisonGroup.add(border);
+
+            if (!truth) continue;
+            const line = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints([
+                    new THREE.Vector3(devicePos.x, devicePos.y, 2.4),
+                    new THREE.Vector3(threePos.x, threePos.y, 2.4)
+                ]),
+                new THREE.LineBasicMaterial({ color: color, transparent: true, opacity: 0.5 })
+            );
+            this.comparisonGroup.add(line);
+        }
+    }
+
+    /**
+     * Draw the confidence ellipse of a fix around its marker
+     * @param {Object} center - Three.js position of the estimate
+     * @param {Object} covariance - { xx, xy, yy } in canvas pixels²
+     */
+    renderConfidenceEllipse(center, covariance) {
+        const ellipse = covarianceEllipse(covariance, this.confidenceLevel);
+
+        // Skip degenerate (noise-free) ellipses hidden under the marker
+        if (ellipse.major < 1) return;
+
+        const curve = new THREE.EllipseCurve(0, 0, ellipse.major, Math.max(ellipse.minor, 0.5), 0, 2 * Math.PI);
+        const points = curve.getPoints(64);
+
+        // Canvas y points down, Three.js y points up, so the angle flips sign
+        const outline = new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: 0x1565C0, transparent: true, opacity: 0.8 })
+        );
+        outline.position.set(center.x, center.y, 2.2);
+        outline.rotation.z = -ellipse.angle;
+        this.estimatedGroup.add(outline);
+
+        const fill = new THREE.Mesh(
+            new THREE.ShapeGeometry(new THREE.Shape(points)),
+            new THREE.MeshBasicMaterial({
+                color: 0x2196F3,
+                transparent: true,
+                opacity: 0.12,
+                side: THREE.DoubleSide
+            })
+        );
+        fill.position.set(center.x, center.y, 1.8);
+        fill.rotation.z = -ellipse.angle;
+        this.estimatedGroup.add(fill);
+    }
+
+    // =========================================================================
+    // UI Updates
+    // =========================================================================
+
+    updateDataTables(measurements) {
+        // Radio data table
+        let tableHTML = '<table class="data-table"><thead><tr>' +
+            '<th>Radio</th><th>RSSI<br/>(dBm)</th><th>Est. Dist<br/>(m)</th><th>True Dist<br/>(m)</th>' +
+            '</tr></thead><tbody>';
+
+        const truth = this.getGroundTruth();
+
+        // Create a map of all radios with their data
+        const dataMap = new Map();
+        for (const m of measurements) {
+            dataMap.set(m.radio.label, m);
+        }
+
+        // Add rows for all radios
+        for (const radio of this.engine.radios) {
+            const data = dataMap.get(radio.label);
+            if (data) {
+                const rssiClass = this.getRSSIClass(data.rssi);
+                tableHTML += `<tr>
+                    <td><strong>${this.escapeHTML(radio.label)}</strong></td>
+                    <td class="${rssiClass}">${data.rssi.toFixed(1)}</td>
+                    <td>${data.estimatedDistance.toFixed(2)}</td>
+                    <td>${data.trueDistance !== null ? data.trueDistance.toFixed(2) : '-'}</td>
+                </tr>`;
+            } else {
+                const trueDistance = truth ? this.engine.signalDistance(radio, truth).toFixed(2) : '-';
+                tableHTML += `<tr>
+                    <td><strong>${this.escapeHTML(radio.label)}</strong></td>
+                    <td class="rssi-weak">< ${this.engine.minRSSI}</td>
+                    <td>-</td>
+                    <td>${trueDistance}</td>
+                </tr>`;
+            }
+        }
+
+        tableHTML += '</tbody></table>';
+        document.getElementById('radioDataTable').innerHTML = tableHTML;
+
+        // Position data
+        let posHTML = `
+            <div class="position-info">
+                <span class="position-label">True Position:</span>
+                <span class="position-value">${truth ?
+                    `(${(truth.x / this.scale).toFixed(2)}, ${(truth.y / this.scale).toFixed(2)}) m` : 'Unknown (no ground truth in log)'}</span>
+            </div>
+        `;
+
+        if (this.estimatedPosition) {
+            const estXm = this.estimatedPosition.x / this.scale;
+            const estYm = this.estimatedPosition.y / this.scale;
+            const error = truth ? this.engine.calculateTrueDistance(
+                truth.x, truth.y,
+                this.estimatedPosition.x, this.estimatedPosition.y
+            ).toFixed(2) + ' m' : 'N/A';
+
+            posHTML += `
+                <div class="position-info">
+                    <span class="position-label">Estimated Position:</span>
+                    <span class="position-value">(${estXm.toFixed(2)}, ${estYm.toFixed(2)}) m</span>
+                </div>
+                ${this.renderFloorInfo(truth)}
+                <div class="position-info">
+                    <span class="position-label">Position Error:</span>
+                    <span class="position-value" style="color: #F44336;">${error}</span>
+                </div>
+                ${this.renderUncertaintyInfo()}
+                <div class="position-info">
+                    <span class="position-label">GDOP:</span>
+                    <span class="position-value">${this.formatGDOP(this.gdop)} (${rateGDOP(this.gdop)})</span>
+                </div>
+                <div class="position-info">
+                    <span class="position-label">Active Radios:</span>
+                    <span class="position-value">${measurements.length} / ${this.engine.radios.length}</span>
+                </div>
+            `;
+        } else {
+            posHTML += `
+                <div class="position-info">
+                    <span class="position-label">Estimated Position:</span>
+                    <span class="position-value" style="color: #F44336;">N/A</span>
+                </div>
+                <div class="position-info">
+                    <span class="position-label">Active Radios:</span>
+                    <span class="position-value">${measurements.length} / ${this.engine.radios.length}</span>
+                </div>
+            `;
+        }
+
+        posHTML += this.renderTrackedInfo();
+        posHTML += this.renderParticleInfo();
+        posHTML += this.renderComparisonInfo();
+
+        document.getElementById('positionData').innerHTML = posHTML;
+    }
+
+    /**
+     * Standard deviations and confidence ellipse of the current fix (meters)
+     */
+    renderUncertaintyInfo() {
+        const covariance = this.estimatedPosition.covariance;
+        if (!covariance) return '';
+
+        const sigmaX = Math.sqrt(Math.max(0, covariance.xx)) / this.scale;
+        const sigmaY = Math.sqrt(Math.max(0, covariance.yy)) / this.scale;
+        const ellipse = covarianceEllipse(covariance, this.confidenceLevel);
+        const angleDeg = ellipse.angle * 180 / Math.PI;
+
+        return `
+                <div class="position-info">
+                    <span class="position-label">Std Dev (σx, σy):</span>
+                    <span class="position-value">(${sigmaX.toFixed(2)}, ${sigmaY.toFixed(2)}) m</span>
+                </div>
+                <div class="position-info">
+                    <span class="position-label">${Math.round(this.confidenceLevel * 100)}% Ellipse:</span>
+                    <span class="position-value">${(ellipse.major / this.scale).toFixed(2)} × ${(ellipse.minor / this.scale).toFixed(2)} m @ ${angleDeg.toFixed(0)}°</span>
+                </div>
+        `;
+    }
+
+    /**
+     * Tracked position, its error and speed
+     */
+    renderTrackedInfo() {
+        const tracked = this.trackedPosition;
+        if (!tracked) return '';
+
+        const truth = this.getGroundTruth();
+        const error = truth ?
+            this.engine.calculateTrueDistance(truth.x, truth.y, tracked.x, tracked.y).toFixed(2) + ' m' : 'N/A';
+        const speed = Math.hypot(tracked.vx, tracked.vy) / this.scale;
+
+        return `
+                <div class="position-info">
+                    <span class="position-label">Tracked Position:</span>
+                    <span class="position-value">(${(tracked.x / this.scale).toFixed(2)}, ${(tracked.y / this.scale).toFixed(2)}) m</span>
+                </div>
+                <div class="position-info">
+                    <span class="position-label">Tracked Error:</span>
+                    <span class="position-value" style="color: #4CAF50;">${error}</span>
+                </div>
+                <div class="position-info">
+                    <span class="position-label">Tracked Speed:</span>
+                    <span class="position-value">${speed.toFixed(2)} m/s</span>
+                </div>
+        `;
+    }
+
+    /**
+     * Particle filter estimate, its error and effective particle count
+     */
+    renderParticleInfo() {
+        const estimate = this.particleEstimate;
+        if (!estimate) return '';
+
+        const truth = this.getGroundTruth();
+        const error = truth ?
+            this.engine.calculateTrueDistance(truth.x, truth.y, estimate.x, estimate.y).toFixed(2) + ' m' : 'N/A';
+
+        return `
+                <div class="position-info">
+                    <span class="position-label">Particle Estimate:</span>
+                    <span class="position-value">(${(estimate.x / this.scale).toFixed(2)}, ${(estimate.y / this.scale).toFixed(2)}) m</span>
+                </div>
+                <div class="position-info">
+                    <span class="position-label">Particle Error:</span>
+                    <span class="position-value" style="color: #673AB7;">${error}</span>
+                </div>
+                <div class="position-info">
+                    <span class="position-label">Effective Particles:</span>
+                    <span class="position-value">${Math.round(estimate.effectiveSampleSize)} / ${this.engine.particleCount}</span>
+                </div>
+        `;
+    }
+
+    /**
+     * Position error of each compared algorithm
+     */
+    renderComparisonInfo() {
+        if (this.comparisonEstimates.length === 0) return '';
+
+        let html = '<table class="data-table"><thead><tr>' +
+            '<th>Algorithm</th><th>Error<br/>(m)</th>' +
+            '</tr></thead><tbody>';
+
+        for (const estimate of this.comparisonEstimates) {
+            const error = estimate.error !== null ? estimate.error.toFixed(2) : 'N/A';
+            html += `<tr>
+                <td><span class="algorithm-swatch" style="background-color: ${this.colorToCSS(estimate.algorithm.color)};"></span>
+                    ${this.escapeHTML(estimate.algorithm.name)}</td>
+                <td>${error}</td>
+            </tr>`;
+        }
+
+        html += '</tbody></table>';
+        return html;
+    }
+
+    formatGDOP(gdop) {
+        return isFinite(gdop) ? gdop.toFixed(2) : '∞';
+    }
+
+    showStatusMessage(message, type = 'error') {
+        const msgEl = document.getElementById('statusMessage');
+        msgEl.textContent = message;
+        msgEl.className = `status-message show ${type}`;
+    }
+
+    hideStatusMessage() {
+        const msgEl = document.getElementById('statusMessage');
+        msgEl.classList.remove('show');
+    }
+
+    // =========================================================================
+    // Accuracy Benchmark (Monte Carlo)
+    // =========================================================================
+
+    /**
+     * Sample many device positions across the current layout and report
+     * error statistics with a CDF chart
+     */
+    runBenchmark() {
+        const resultsEl = document.getElementById('benchmarkResults');
+        const btnEl = document.getElementById('runBenchmarkBtn');
+
+        if (!(this.benchmark.samples > 0)) {
+            resultsEl.innerHTML = '<small style="color: #F44336;">✗ Enter a positive number of positions</small>';
+            return;
+        }
+
+        resultsEl.innerHTML = '<small style="color: #FF9800;">Running benchmark...</small>';
+        btnEl.disabled = true;
+
+        // Use setTimeout to allow UI to update
+        setTimeout(() => {
+            try {
+                const result = this.engine.runBenchmark({
+                    samples: this.benchmark.samples,
+                    mode: this.benchmark.mode,
+                    readingsPerSample: this.benchmark.readingsPerSample
+                });
+
+                this.benchmark.previousResult = this.benchmark.result;
+                this.benchmark.result = result;
+
+                this.renderBenchmarkResults();
+                this.drawBenchmarkCDF();
+
+                console.log(`✅ Benchmark: ${result.samples} positions, CEP50 ${result.cep50.toFixed(2)} m`);
+            } catch (error) {
+                console.error('❌ Benchmark error:', error);
+                resultsEl.innerHTML = `<small style="color: #F44336;">✗ Benchmark failed: ${this.escapeHTML(error.message)}</small>`;
+            } finally {
+                btnEl.disabled = false;
+            }
+        }, 10);
+    }
+
+    renderBenchmarkResults() {
+        const result = this.benchmark.result;
+        const previous = this.benchmark.previousResult;
+
+        const format = (value) => isNaN(value) ? '-' : value.toFixed(2);
+        const rows = [
+            ['Mean Error', 'mean'],
+            ['Median Error', 'median'],
+            ['RMSE', 'rmse'],
+            ['CEP50', 'cep50'],
+            ['CEP90', 'cep90'],
+            ['Max Error', 'max']
+        ];
+
+        let html = '<table class="data-table"><thead><tr>' +
+            '<th>Metric</th><th>Current<br/>(m)</th><th>Previous<br/>(m)</th>' +
+            '</tr></thead><tbody>';
+
+        for (const [label, key] of rows) {
+            html += `<tr>
+                <td><strong>${this.escapeHTML(label)}</strong></td>
+                <td>${format(result[key])}</td>
+                <td>${previous ? format(previous[key]) : '-'}</td>
+            </tr>`;
+        }
+
+        html += `<tr>
+            <td><strong>Failure Rate</strong></td>
+            <td>${(result.failureRate * 100).toFixed(1)}%</td>
+            <td>${previous ? (previous.failureRate * 100).toFixed(1) + '%' : '-'}</td>
+        </tr>`;
+        html += '</tbody></table>';
+
+        html += `<small style="color: #666;">${result.samples} positions, ${result.failures} without a fix</small>`;
+
+        document.getElementById('benchmarkResults').innerHTML = html;
+    }
+
+    /**
+     * Draw the cumulative distribution of position errors (2D canvas)
+     * Current run in blue, previous run in grey for comparison
+     */
+    drawBenchmarkCDF() {
+        const canvas = document.getElementById('benchmarkChart');
+        const ctx = canvas.getContext('2d');
+        const result = this.benchmark.result;
+        const previous = this.benchmark.previousResult;
+
+        const pad = { left: 30, right: 10, top: 10, bottom: 24 };
+        const plotWidth = canvas.width - pad.left - pad.right;
+        const plotHeight = canvas.height - pad.top - pad.bottom;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // X axis spans up to the 99th percentile error of either run
+        let maxError = percentile(result.errors, 0.99) || 1;
+        if (previous && previous.errors.length > 0) {
+            maxError = Math.max(maxError, percentile(previous.errors, 0.99));
+        }
+
+        const toX = (error) => pad.left + Math.min(1, error / maxError) * plotWidth;
+        const toY = (fraction) => pad.top + (1 - fraction) * plotHeight;
+
+        // Axes and labels
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(pad.left, pad.top, plotWidth, plotHeight);
+
+        ctx.fillStyle = '#666';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText('1.0', pad.left - 4, toY(1) + 4);
+        ctx.fillText('0.5', pad.left - 4, toY(0.5) + 4);
+        ctx.fillText('0', pad.left - 4, toY(0) + 4);
+        ctx.textAlign = 'center';
+        ctx.fillText('0', toX(0), canvas.height - 10);
+        ctx.fillText(`${maxError.toFixed(1)} m`, toX(maxError) - 10, canvas.height - 10);
+        ctx.fillText('Position error', pad.left + plotWidth / 2, canvas.height - 2);
+
+        // CDF counts failed fixes as never reaching any error radius
+        const drawCurve = (data, color) => {
+            if (data.errors.length === 0) return;
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(toX(0), toY(0));
+            data.errors.forEach((error, i) => {
+                ctx.lineTo(toX(error), toY((i + 1) / data.samples));
+            });
+            ctx.stroke();
+        };
+
+        if (previous) drawCurve(previous, '#bbbbbb');
+        drawCurve(result, '#2196F3');
+
+        // CEP50 / CEP90 markers for the current run
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = '#F44336';
+        ctx.lineWidth = 1;
+        for (const [cep, label] of [[result.cep50, 'CEP50'], [result.cep90, 'CEP90']]) {
+            if (isNaN(cep)) continue;
+            ctx.beginPath();
+            ctx.moveTo(toX(cep), toY(0));
+            ctx.lineTo(toX(cep), toY(1));
+            ctx.stroke();
+            ctx.fillStyle = '#F44336';
+            ctx.fillText(label, toX(cep), pad.top + 10);
+        }
+        ctx.setLineDash([]);
+    }
+
+    // =========================================================================
+    // Tags (extra receivers)
+    // =========================================================================
+
+    /**
+     * Replace the tags with a number of tags at random positions on the floor on display
+     * @param {Number} count - 0 removes all tags
+     */
+    scatterTags(count) {
+        const margin = 20;
+        this.tags = [];
+        for (let i = 0; i < (count || 0); i++) {
+            this.tags.push({
+                label: `T${i + 1}`,
+                x: margin + Math.random() * (this.width - 2 * margin),
+                y: margin + Math.random() * (this.height - 2 * margin),
+                floor: this.engine.activeFloor,
+                radius: 6,
+                // Golden-angle hues stay distinct for dozens of tags
+                color: new THREE.Color().setHSL((i * 0.618034) % 1, 0.75, 0.45).getHex(),
+                estimate: null,
+                error: null,
+                heard: 0
+            });
+        }
+        document.getElementById('tagPanel').style.display = this.tags.length > 0 ? '' : 'none';
+    }
+
+    /**
+     * Locate every tag through its own RSSI filters
+     */
+    updateTagEstimates() {
+        for (const tag of this.tags) {
+            const { measurements, position } = this.engine.locateTag(tag);
+            tag.estimate = position;
+            tag.heard = measurements.length;
+            tag.error = position ?
+                this.engine.calculateTrueDistance(tag.x, tag.y, position.x, position.y) : null;
+        }
+    }
+
+    /**
+     * Draw each tag (square), its estimate (ring) and the error line between
+     * them in the tag's colour
+     */
+    updateTags() {
+        this.disposeGroup(this.tagsGroup);
+
+        for (const tag of this.tags) {
+            if (tag.floor !== this.engine.activeFloor) continue;
+
+            const pos = this.canvasToThree(tag.x, tag.y);
+
+            const border = new THREE.Mesh(
+                new THREE.PlaneGeometry(2 * tag.radius + 2, 2 * tag.radius + 2),
+                new THREE.MeshBasicMaterial({ color: 0xffffff })
+            );
+            border.position.set(pos.x, pos.y, 2.95);
+            this.tagsGroup.add(border);
+
+            const marker = new THREE.Mesh(
+                new THREE.PlaneGeometry(2 * tag.radius, 2 * tag.radius),
+                new THREE.MeshBasicMaterial({ color: tag.color })
+            );
+            marker.position.set(pos.x, pos.y, 3);
+            marker.userData = { type: 'tag', tag: tag };
+            this.tagsGroup.add(marker);
+            this.interactiveObjects.push(marker);
+
+            if (!tag.estimate) continue;
+
+            const estimatePos = this.canvasToThree(tag.estimate.x, tag.estimate.y);
+            const ring = new THREE.Mesh(
+                new THREE.RingGeometry(4, 6, 24),
+                new THREE.MeshBasicMaterial({ color: tag.color, side: THREE.DoubleSide })
+            );
+            ring.position.set(estimatePos.x, estimatePos.y, 2.6);
+            this.tagsGroup.add(ring);
+
+            const line = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints([
+                    new THREE.Vector3(pos.x, pos.y, 2.5),
+                    new THREE.Vector3(estimatePos.x, estimatePos.y, 2.5)
+                ]),
+                new THREE.LineDashedMaterial({ color: tag.color, dashSize: 4, gapSize: 3 })
+            );
+            line.computeLineDistances();
+            this.tagsGroup.add(line);
+        }
+    }
+
+    /**
+     * Per-tag errors plus a summary across tags in the data panel
+     */
+    renderTagTable() {
+        if (this.tags.length === 0) return;
+
+        const errors = this.tags.filter(tag => tag.error !== null).map(tag => tag.error);
+        const stats = computeErrorStatistics(errors, this.tags.length - errors.length);
+        const format = (value) => isNaN(value) ? '-' : value.toFixed(2);
+
+        let html = `<div class="position-info">
+                <span class="position-label">Error (mean / median / max):</span>
+                <span class="position-value">${format(stats.mean)} / ${format(stats.median)} / ${format(stats.max)} m</span>
+            </div>
+            <div class="position-info">
+                <span class="position-label">Tags without a fix:</span>
+                <span class="position-value">${stats.failures} / ${this.tags.length}</span>
+            </div>`;
+
+        html += '<table class="data-table"><thead><tr>' +
+            '<th>Tag</th><th>Radios</th><th>Error<br/>(m)</th>' +
+            '</tr></thead><tbody>';
+        for (const tag of this.tags) {
+            html += `<tr>
+                <td><span class="algorithm-swatch" style="background-color: ${this.colorToCSS(tag.color)};"></span>
+                    ${this.escapeHTML(tag.label)}</td>
+                <td>${tag.heard}</td>
+                <td>${tag.error !== null ? tag.error.toFixed(2) : 'N/A'}</td>
+            </tr>`;
+        }
+        html += '</tbody></table>';
+
+        document.getElementById('tagDataTable').innerHTML = html;
+    }
+
+    // =========================================================================
+    // Anchor Placement Optimizer
+    // =========================================================================
+
+    optimizePlacement() {
+        const resultsEl = document.getElementById('placementResults');
+        const btnEl = document.getElementById('optimizePlacementBtn');
+        const count = parseInt(document.getElementById('placementCount').value);
+
+        if (!(count >= 3)) {
+            resultsEl.innerHTML = '<small style="color: #F44336;">✗ The radio budget must be at least 3</small>';
+            return;
+        }
+
+        resultsEl.innerHTML = '<small style="color: #FF9800;">Optimizing placement...</small>';
+        btnEl.disabled = true;
+
+        // Use setTimeout to allow UI to update
+        setTimeout(() => {
+            try {
+                const margin = this.placement.margin * this.scale;
+                const result = this.engine.optimizeAnchorPlacement({
+                    count: count,
+                    iterations: this.placement.iterations,
+                    objective: this.placement.objective,
+                    margin: margin
+                });
+
+                this.setPlacementProposal({
+                    radios: result.radios,
+                    before: this.currentFloorRadios().length >= 3 ?
+                        this.engine.evaluatePlacement(this.currentFloorRadios(), { margin }) : null,
+                    after: this.engine.evaluatePlacement(result.radios, { margin })
+                });
+            } catch (error) {
+                console.error('❌ Placement optimizer error:', error);
+                resultsEl.innerHTML = `<small style="color: #F44336;">✗ ${this.escapeHTML(error.message)}</small>`;
+            } finally {
+                btnEl.disabled = false;
+            }
+        }, 10);
+    }
+
+    setPlacementProposal(proposal) {
+        this.placement.proposal = proposal;
+        document.getElementById('placementActions').style.display = proposal ? '' : 'none';
+
+        if (proposal) {
+            this.renderPlacementResults();
+        } else {
+            document.getElementById('placementResults').innerHTML = '';
+        }
+    }
+
+    /**
+     * Move the radios to the proposed positions, adding or removing radios to
+     * match the budget
+     */
+    applyPlacement() {
+        const proposal = this.placement.proposal;
+        if (!proposal) return;
+
+        const radios = this.currentFloorRadios();
+        for (const radio of radios.slice(proposal.radios.length)) {
+            this.engine.removeRadio(radio);
+        }
+        proposal.radios.forEach((position, i) => {
+            if (i < radios.length) {
+                radios[i].x = position.x;
+                radios[i].y = position.y;
+            } else {
+                this.engine.addRadio({ x: position.x, y: position.y, radius: 10, floor: this.engine.activeFloor });
+            }
+        });
+        this.engine.resetKalmanFilters();
+
+        if (!this.engine.radios.includes(this.selectedRadio)) {
+            this.selectedRadio = null;
+        }
+        this.numRadios = this.currentFloorRadios().length;
+        this.setPlacementProposal(null);
+        this.renderRadioEditor();
+    }
+
+    /**
+     * Before/after benchmark of the proposal (same seeded noise for both)
+     */
+    renderPlacementResults() {
+        const { before, after } = this.placement.proposal;
+
+        const format = (stats, key) => {
+            if (!stats) return '-';
+            const value = stats[key];
+            if (key === 'failureRate' || key === 'coverage') return `${(value * 100).toFixed(1)}%`;
+            return isFinite(value) ? value.toFixed(2) : '-';
+        };
+        const rows = [
+            ['Mean Error (m)', 'mean'],
+            ['Median Error (m)', 'median'],
+            ['CEP90 (m)', 'cep90'],
+            ['Failure Rate', 'failureRate'],
+            ['Mean GDOP', 'meanGdop'],
+            ['Coverage (≥3 radios)', 'coverage']
+        ];
+
+        let html = '<table class="data-table"><thead><tr>' +
+            '<th>Metric</th><th>Current</th><th>Proposed</th>' +
+            '</tr></thead><tbody>';
+        for (const [label, key] of rows) {
+            html += `<tr>
+                <td><strong>${this.escapeHTML(label)}</strong></td>
+                <td>${format(before, key)}</td>
+                <td>${format(after, key)}</td>
+            </tr>`;
+        }
+        html += '</tbody></table>';
+        html += `<small style="color: #666;">${after.samples} benchmark positions, noise σ = ${this.engine.noiseStdDev} dB ${this.engine.enableNoise ? '' : '(noise off)'}</small>`;
+
+        document.getElementById('placementResults').innerHTML = html;
+    }
+
+    /**
+     * Draw proposed radio positions as dashed orange circles, linked to the
+     * radios they would replace
+     */
+    updatePlacementProposal() {
+        this.disposeGroup(this.placementGroup);
+
+        const proposal = this.placement.proposal;
+        if (!proposal) return;
+
+        // The proposal replaces the active floor's radios (see applyPlacement)
+        const radios = this.currentFloorRadios();
+        const material = new THREE.LineDashedMaterial({ color: 0xFF9800, dashSize: 4, gapSize: 3 });
+        proposal.radios.forEach((position, i) => {
+            const pos = this.canvasToThree(position.x, position.y);
+            const circle = new THREE.EllipseCurve(pos.x, pos.y, 12, 12, 0, 2 * Math.PI);
+            const outline = new THREE.LineLoop(
+                new THREE.BufferGeometry().setFromPoints(circle.getPoints(32).map(p => new THREE.Vector3(p.x, p.y, 3.3))),
+                material
+            );
+            outline.computeLineDistances();
+            this.placementGroup.add(outline);
+
+            const radio = radios[i];
+            if (!radio) return;
+            const from = this.canvasToThree(radio.x, radio.y);
+            const line = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints([
+                    new THREE.Vector3(from.x, from.y, 3.3),
+                    new THREE.Vector3(pos.x, pos.y, 3.3)
+                ]),
+                material
+            );
+            line.computeLineDistances();
+            this.placementGroup.add(line);
+        });
+    }
+
+    // =========================================================================
+    // Scenarios (save / load / autosave)
+    // =========================================================================
+
+    /**
+     * Complete scenario: engine floors, radios, walls and settings plus device
+     * and floor plans
+     * @param {Boolean} includeImage - Embed the floor plan images as data URLs
+     */
+    createScenario(includeImage = true) {
+        const scenario = this.engine.exportScenario();
+
+        scenario.device = { x: this.device.x / this.scale, y: this.device.y / this.scale };
+        if (this.engine.activeFloor) {
+            scenario.device.floor = this.engine.activeFloor;
+        }
+        scenario.floors.forEach((floor, i) => {
+            const plan = this.floorPlans[i];
+            floor.floorPlan = {
+                scale: plan.scale,
+                opacity: plan.opacity,
+                show: plan.show
+            };
+            if (includeImage && plan.dataURL) {
+                floor.floorPlan.image = plan.dataURL;
+            }
+        });
+
+        return scenario;
+    }
+
+    /**
+     * Load a scenario, leaving the current one untouched if it is invalid
+     * @throws {Error} When the scenario fails validation
+     */
+    applyScenario(data) {
+        this.engine.importScenario(data);
+        this.stopTracking();
+
+        for (const radio of this.engine.radios) {
+            radio.radius = 10;
+        }
+        this.numRadios = this.currentFloorRadios().length;
+        this.selectedRadio = null;
+        this.selectedWall = null;
+        this.dragging = null;
+        this.renderRadioEditor();
+
+        if (data.device) {
+            this.device.x = data.device.x * this.scale;
+            this.device.y = data.device.y * this.scale;
+        }
+
+        // One floor plan per floor (single-floor files keep it at the top level)
+        for (const plan of this.floorPlans) {
+            if (plan.texture) plan.texture.dispose();
+        }
+        this.floorPlans = this.engine.floors.map(() => this.createFloorPlan());
+        (data.floors || [{ floorPlan: data.floorPlan }]).forEach((floor, i) => {
+            const saved = floor.floorPlan;
+            if (!saved) return;
+
+            const plan = this.floorPlans[i];
+            Object.assign(plan, {
+                scale: saved.scale ?? plan.scale,
+                opacity: saved.opacity ?? plan.opacity,
+                show: Boolean(saved.show)
+            });
+            if (saved.image) {
+                this.loadFloorPlanImage(saved.image, 'Scenario floor plan', plan.show, plan);
+            }
+        });
+        this.floorPlan = this.floorPlans[this.engine.activeFloor];
+        this.updateFloorPlan();
+        this.tags = this.tags.filter(tag => tag.floor < this.engine.floors.length);
+
+        this.syncControls();
+        this.updateWallCount();
+    }
+
+    /**
+     * Set every control to the current engine and simulator state
+     */
+    syncControls() {
+        const engine = this.engine;
+        const setValue = (id, value) => { document.getElementById(id).value = value; };
+        const setChecked = (id, checked) => { document.getElementById(id).checked = checked; };
+
+        setValue('txPower', engine.txPower);
+        setValue('pathLossExponent', engine.pathLossExponent);
+        setValue('minRSSI', engine.minRSSI);
+        setChecked('enableNoise', engine.enableNoise);
+        setValue('noiseLevel', engine.noiseStdDev);
+        setValue('noiseSeed', engine.seed);
+        document.getElementById('noiseLevel').disabled = !engine.enableNoise;
+        setChecked('enableKalmanFilter', engine.enableKalmanFilter);
+        setValue('kalmanR', engine.kalmanR);
+        setValue('kalmanQ', engine.kalmanQ);
+
+        setChecked('enableWalls', engine.enableWalls);
+        setChecked('enableAngleEffect', engine.enableAngleEffect);
+        setChecked('enableCumulativeEffect', engine.enableCumulativeEffect);
+        setChecked('enableMultipath', engine.enableMultipath);
+        setValue('reflectionOrder', engine.reflectionOrder);
+        setValue('multipathCombining', engine.multipathCombining);
+
+        setValue('solverType', engine.solver);
+        setValue('robustLoss', engine.robustLoss);
+        setValue('robustScale', engine.robustScale);
+        setChecked('enablePositionTracking', engine.enablePositionTracking);
+        setValue('trackerProcessNoise', engine.trackerProcessNoise);
+        setValue('trackerMeasurementNoise', engine.trackerMeasurementNoise);
+        setChecked('enableParticleFilter', engine.enableParticleFilter);
+        setValue('particleCount', engine.particleCount);
+        setValue('particleMotion', engine.particleMotionStdDev);
+        setValue('particleRssiStdDev', engine.particleRssiStdDev);
+        setValue('fingerprintK', engine.fingerprintK);
+        setChecked('fingerprintWeighted', engine.fingerprintWeighted);
+
+        setValue('numRadios', this.numRadios);
+
+        this.syncFloorControls();
+
+        this.updateRobustLossControls();
+        this.updateUI();
+        this.updateToolbarState();
+    }
+
+    saveScenarioFile() {
+        this.downloadFile('scenario.json', JSON.stringify(this.createScenario(), null, 2), 'application/json');
+    }
+
+    handleScenarioUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const infoEl = document.getElementById('scenarioInfo');
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                let data;
+                try {
+                    data = JSON.parse(e.target.result);
+                } catch (error) {
+                    throw new Error(`Invalid scenario: not valid JSON (${error.message})`);
+                }
+
+                this.applyScenario(data);
+                infoEl.textContent = `✓ Loaded ${file.name}`;
+                infoEl.style.color = '#4CAF50';
+            } catch (error) {
+                console.error('❌ Scenario load error:', error);
+                infoEl.textContent = `✗ ${file.name}: ${error.message}`;
+                infoEl.style.color = '#F44336';
+            }
+        };
+        reader.readAsText(file);
+
+        // Allow re-loading the same file
+        event.target.value = '';
+    }
+
+    /**
+     * Store the scenario in localStorage when it has changed
+     * The floor plan image is left out to stay within storage quotas
+     */
+    autosave() {
+        const json = JSON.stringify(this.createScenario(false));
+        if (json === this.scenario.lastSaved) return;
+
+        try {
+            localStorage.setItem(this.scenario.storageKey, json);
+            this.scenario.lastSaved = json;
+        } catch (error) {
+            console.warn('⚠️ Scenario autosave failed:', error);
+        }
+    }
+
+    restoreAutosave() {
+        let json = null;
+        try {
+            json = localStorage.getItem(this.scenario.storageKey);
+            if (!json) return;
+
+            this.applyScenario(JSON.parse(json));
+            this.scenario.lastSaved = json;
+            console.log('✅ Restored autosaved scenario');
+        } catch (error) {
+            // A stale or corrupt autosave must not block startup
+            console.warn('⚠️ Discarding autosaved scenario:', error);
+            if (json) localStorage.removeItem(this.scenario.storageKey);
+        }
+    }
+
+    // =========================================================================
+    // RSSI Fingerprinting
+    // =========================================================================
+
+    buildRadioMap() {
+        const infoEl = document.getElementById('radioMapInfo');
+        const btnEl = document.getElementById('buildRadioMapBtn');
+
+        infoEl.textContent = 'Surveying radio map...';
+        btnEl.disabled = true;
+
+        // Use setTimeout to allow UI to update
+        setTimeout(() => {
+            try {
+                this.engine.buildRadioMap({
+                    spacing: this.fingerprint.spacing,
+                    samples: this.fingerprint.samples
+                });
+                this.fingerprint.revision++;
+                this.renderRadioMapInfo();
+            } catch (error) {
+                console.error('❌ Radio map error:', error);
+                infoEl.textContent = `✗ ${error.message}`;
+            } finally {
+                btnEl.disabled = false;
+            }
+        }, 10);
+    }
+
+    handleRadioMapUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const infoEl = document.getElementById('radioMapInfo');
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                this.engine.importRadioMap(JSON.parse(e.target.result));
+                this.fingerprint.revision++;
+                this.renderRadioMapInfo(file.name);
+            } catch (error) {
+                console.error('❌ Radio map import error:', error);
+                infoEl.textContent = `✗ ${file.name}: ${error.message}`;
+            }
+        };
+        reader.readAsText(file);
+
+        // Allow re-importing the same file
+        event.target.value = '';
+    }
+
+    exportRadioMap() {
+        try {
+            this.downloadFile('radio-map.json', JSON.stringify(this.engine.exportRadioMap()), 'application/json');
+        } catch (error) {
+            document.getElementById('radioMapInfo').textContent = `✗ ${error.message}`;
+        }
+    }
+
+    /**
+     * Save text as a file through a temporary download link
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    renderRadioMapInfo(source = null) {
+        const radioMap = this.engine.radioMap;
+        const labels = this.engine.radios.map(r => r.label);
+        const missing = labels.filter(label => !radioMap.radios.includes(label));
+
+        let text = `${source ? source + ': ' : ''}${radioMap.points.length} reference points, ` +
+            `${radioMap.radios.length} radios` +
+            (radioMap.spacing ? `, ${radioMap.spacing} m spacing` : '');
+        if (missing.length > 0) {
+            text += ` (not in map: ${missing.join(', ')})`;
+        }
+
+        document.getElementById('radioMapInfo').textContent = text;
+    }
+
+    // =========================================================================
+    // Path-Loss Calibration
+    // =========================================================================
+
+    recordCalibrationPoint() {
+        const samples = this.engine.collectCalibrationSamples(
+            { x: this.device.x, y: this.device.y },
+            this.calibration.samples
+        );
+        this.setCalibrationSamples([...this.calibration.data, ...samples]);
+    }
+
+    /**
+     * Replace the survey; any previous fit no longer describes it
+     */
+    setCalibrationSamples(samples) {
+        this.calibration.data = samples;
+        this.calibration.fit = null;
+        document.getElementById('calibrationResult').innerHTML = '';
+        document.getElementById('applyCalibrationBtn').disabled = true;
+        this.renderCalibrationInfo();
+    }
+
+    handleCalibrationUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const infoEl = document.getElementById('calibrationInfo');
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const samples = parseCalibrationSamples(e.target.result).map(sample => ({
+                    ...sample,
+                    x: sample.x * this.scale,
+                    y: sample.y * this.scale
+                }));
+                this.setCalibrationSamples([...this.calibration.data, ...samples]);
+            } catch (error) {
+                console.error('❌ Calibration import error:', error);
+                infoEl.textContent = `✗ ${file.name}: ${error.message}`;
+            }
+        };
+        reader.readAsText(file);
+
+        // Allow re-importing the same file
+        event.target.value = '';
+    }
+
+    exportCalibrationSamples() {
+        if (this.calibration.data.length === 0) {
+            document.getElementById('calibrationInfo').textContent = '✗ No samples to export';
+            return;
+        }
+
+        const lines = ['x,y,radio,rssi', ...this.calibration.data.map(s =>
+            `${(s.x / this.scale).toFixed(3)},${(s.y / this.scale).toFixed(3)},${csvField(s.radio)},${s.rssi.toFixed(2)}`
+        )];
+        this.downloadFile('calibration-samples.csv', lines.join('\n') + '\n', 'text/csv');
+    }
+
+    renderCalibrationInfo() {
+        const data = this.calibration.data;
+        const points = new Set(data.map(s => `${s.x},${s.y}`)).size;
+
+        document.getElementById('calibrationInfo').textContent = data.length === 0 ?
+            'No samples' :
+            `${data.length} samples at ${points} point${points === 1 ? '' : 's'}`;
+    }
+
+    fitCalibration() {
+        const resultEl = document.getElementById('calibrationResult');
+        const applyBtn = document.getElementById('applyCalibrationBtn');
+
+        try {
+            this.calibration.fit = this.engine.fitPathLossModel(this.calibration.data);
+            this.renderCalibrationResult();
+            applyBtn.disabled = false;
+        } catch (error) {
+            console.error('❌ Calibration fit error:', error);
+            this.calibration.fit = null;
+            const message = document.createElement('small');
+            message.style.color = '#c62828';
+            message.textContent = `✗ ${error.message}`;
+            resultEl.replaceChildren(message);
+            applyBtn.disabled = true;
+        }
+    }
+
+    applyCalibration() {
+        const fit = this.calibration.fit;
+        if (!fit) return;
+
+        // Round to the precision the controls display
+        this.engine.applyCalibration({
+            ...fit,
+            txPower: Math.round(fit.txPower * 10) / 10,
+            pathLossExponent: Math.round(fit.pathLossExponent * 100) / 100
+        });
+        this.syncControls();
+        this.renderCalibrationResult();
+    }
+
+    /**
+     * Fitted vs current parameters, overall fit quality and per-radio residuals
+     */
+    renderCalibrationResult() {
+        const fit = this.calibration.fit;
+        const engine = this.engine;
+
+        const materialLoss = (material) => {
+            const wall = engine.walls.find(w => w.material === material);
+            return wall ? wall.attenuation : WALL_MATERIALS[material].attenuation;
+        };
+        const rows = [
+            ['Tx Power (dBm)', engine.txPower, fit.txPower],
+            ['Path Loss Exp.', engine.pathLossExponent, fit.pathLossExponent],
+            ...Object.entries(fit.wallAttenuation).map(([material, loss]) =>
+                [`${WALL_MATERIALS[material].name} (dB)`, materialLoss(material), loss]
+            )
+        ];
+
+        let html = `<div class="position-info">
+                <span class="position-label">Residuals:</span>
+                <span class="position-value">RMSE ${fit.rmse.toFixed(2)} dB, R² ${fit.rSquared.toFixed(3)}</span>
+            </div>`;
+
+        html += '<table class="data-table"><thead><tr><th>Parameter</th><th>Current</th><th>Fitted</th></tr></thead><tbody>';
+        for (const [label, current, fitted] of rows) {
+            html += `<tr><td><strong>${this.escapeHTML(label)}</strong></td><td>${current.toFixed(2)}</td><td>${fitted.toFixed(2)}</td></tr>`;
+        }
+        html += '</tbody></table>';
+
+        // A radio with a large bias is likely mis-calibrated or obstructed
+        html += '<table class="data-table"><thead><tr><th>Radio</th><th>Samples</th><th>Bias<br/>(dB)</th><th>RMSE<br/>(dB)</th></tr></thead><tbody>';
+        for (const radio of engine.radios) {
+            const residuals = fit.residuals.filter(r => r.radio === radio.label).map(r => r.residual);
+            if (residuals.length === 0) continue;
+
+            const bias = residuals.reduce((sum, r) => sum + r, 0) / residuals.length;
+            const rmse = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length);
+            html += `<tr><td><strong>${this.escapeHTML(radio.label)}</strong></td><td>${residuals.length}</td>` +
+                `<td>${bias.toFixed(2)}</td><td>${rmse.toFixed(2)}</td></tr>`;
+        }
+        html += '</tbody></table>';
+
+        document.getElementById('calibrationResult').innerHTML = html;
+    }
+
+    /**
+     * Mark the surveyed calibration points (brown squares)
+     */
+    updateCalibrationPoints() {
+        this.disposeGroup(this.calibrationGroup);
+        if (this.calibration.data.length === 0) return;
+
+        const seen = new Set();
+        const material = new THREE.LineBasicMaterial({ color: 0x795548 });
+
+        for (const sample of this.calibration.data) {
+            const key = `${sample.x},${sample.y}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            const pos = this.canvasToThree(sample.x, sample.y);
+            const corners = [[-5, -5], [5, -5], [5, 5], [-5, 5]].map(([dx, dy]) =>
+                new THREE.Vector3(pos.x + dx, pos.y + dy, 2.2)
+            );
+            const geometry = new THREE.BufferGeometry().setFromPoints(corners);
+            this.calibrationGroup.add(new THREE.LineLoop(geometry, material));
+        }
+    }
+
+    // =========================================================================
+    // Log Replay (recorded RSSI scans)
+    // =========================================================================
+
+    handleRssiLogUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const infoEl = document.getElementById('replayInfo');
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const player = new RssiLogPlayer(this.engine, parseRssiLog(e.target.result));
+
+                this.stopTracking();
+                this.dragging = null;
+                Object.assign(this.replay, {
+                    player: player,
+                    source: file.name,
+                    playing: false,
+                    lastFrameTime: null
+                });
+                this.seekReplay(0);
+
+                const seekEl = document.getElementById('replaySeek');
+                seekEl.max = player.duration;
+                document.getElementById('replayControls').style.display = '';
+                this.renderReplayInfo();
+            } catch (error) {
+                console.error('❌ RSSI log import error:', error);
+                infoEl.textContent = `✗ ${file.name}: ${error.message}`;
+            }
+        };
+        reader.readAsText(file);
+
+        // Allow re-importing the same file
+        event.target.value = '';
+    }
+
+    /**
+     * Unload the log and return to the simulated RSSI source
+     */
+    closeReplay() {
+        if (!this.replay.player) return;
+
+        this.setReplayPlaying(false);
+        this.replay.player = null;
+        this.replay.source = null;
+
+        this.engine.resetKalmanFilters();
+        this.engine.resetPositionTracker();
+        this.engine.resetParticleFilter();
+
+        document.getElementById('replayControls').style.display = 'none';
+        document.getElementById('replayInfo').textContent = 'No log loaded';
+    }
+
+    setReplayPlaying(playing) {
+        const player = this.replay.player;
+        if (!player) return;
+
+        // Play from the start again once the end has been reached
+        if (playing && player.finished) this.seekReplay(0);
+
+        this.replay.playing = playing;
+        this.replay.lastFrameTime = null;
+        document.getElementById('replayPlayBtn').textContent = playing ? '⏸️ Pause' : '▶️ Play';
+    }
+
+    /**
+     * Jump to a log time; the filters restart so the estimate only reflects
+     * readings up to that time
+     * @param {Number} time - Seconds since the first reading
+     */
+    seekReplay(time) {
+        const player = this.replay.player;
+        if (!player) return;
+
+        player.seek(time);
+        this.engine.resetPositionTracker();
+        this.engine.resetParticleFilter();
+        this.replay.lastFixTime = null;
+        this.syncReplayPosition();
+    }
+
+    /**
+     * Advance a playing log by the (speed-scaled) time since the last frame
+     * @param {Number} time - Frame timestamp in milliseconds
+     */
+    advanceReplay(time) {
+        const replay = this.replay;
+        if (!replay.player || !replay.playing) return;
+
+        // Clamp long frames (e.g. a background tab) as in tracking mode
+        const dt = replay.lastFrameTime === null ? 0 :
+            Math.min(0.1, (time - replay.lastFrameTime) / 1000);
+        replay.lastFrameTime = time;
+
+        replay.player.advance(replay.player.time + dt * replay.speed);
+        this.syncReplayPosition();
+
+        if (replay.player.finished) {
+            this.setReplayPlaying(false);
+        }
+    }
+
+    /**
+     * Move the device to the logged ground truth and update the seek bar
+     */
+    syncReplayPosition() {
+        const player = this.replay.player;
+
+        const truth = player.groundTruth();
+        if (truth) {
+            this.device.x = truth.x;
+            this.device.y = truth.y;
+        }
+
+        document.getElementById('replaySeek').value = player.time;
+        document.querySelector('#replaySeek + .value-display').textContent =
+            `${player.time.toFixed(1)} / ${player.duration.toFixed(1)} s`;
+    }
+
+    renderReplayInfo() {
+        const player = this.replay.player;
+        const unmatched = player.unmatchedBeacons();
+        const matched = player.beacons.length - unmatched.length;
+
+        let text = `${this.replay.source}: ${player.records.length} readings, ` +
+            `${player.duration.toFixed(1)} s, ${matched}/${player.beacons.length} beacons matched, ` +
+            (player.hasGroundTruth ? 'with ground truth' : 'no ground truth');
+        if (unmatched.length > 0) {
+            text += ` (rename radios to match: ${unmatched.slice(0, 5).join(', ')}${unmatched.length > 5 ? ', ...' : ''})`;
+        }
+
+        document.getElementById('replayInfo').textContent = text;
+    }
+
+    // =========================================================================
+    // Dataset Export
+    // =========================================================================
+
+    /**
+     * Simulate the device path or a sampling grid with the dataset seed and
+     * download the readings
+     * @param {String} format - 'csv' or 'json'
+     */
+    exportDataset(format) {
+        const infoEl = document.getElementById('datasetInfo');
+        const settings = this.dataset;
+
+        infoEl.textContent = 'Generating dataset...';
+
+        // Use setTimeout to allow UI to update
+        setTimeout(() => {
+            try {
+                const samples = settings.source === 'grid' ?
+                    sampleGrid(this.width, this.height, settings.spacing * this.scale, settings.readings, settings.interval) :
+                    sampleTrajectory(this.buildTrajectory(), this.tracking.speed * this.scale, settings.interval);
+                const dataset = this.engine.generateDataset(samples, { seed: settings.seed });
+
+                if (format === 'csv') {
+                    this.downloadFile('rssi-dataset.csv', datasetToCSV(dataset), 'text/csv');
+                } else {
+                    this.downloadFile('rssi-dataset.json', JSON.stringify(dataset), 'application/json');
+                }
 
-        return Math.sqrt((midX2 - midX1) ** 2 + (midY2 - midY1) ** 2);
+                const errors = dataset.samples.filter(s => s.error !== null).map(s => s.error);
+                const stats = computeErrorStatistics(errors, dataset.samples.length - errors.length);
+                infoEl.textContent = `${dataset.samples.length} samples, seed ${dataset.seed}, ` +
+                    `RMSE ${isNaN(stats.rmse) ? '-' : stats.rmse.toFixed(2)} m, ` +
+                    `${(stats.failureRate * 100).toFixed(1)}% without a fix`;
+            } catch (error) {
+                console.error('❌ Dataset export error:', error);
+                infoEl.textContent = `✗ ${error.message}`;
+            }
+        }, 10);
     }
 
     /**
-     * Average multiple lines into a single line
+     * Position the estimates are scored against: the device, or nothing while
+     * replaying a log without ground truth
      */
-    averageLines(lines) {
-        const n = lines.length;
-        const avgX1 = lines.reduce((sum, l) => sum + l.x1, 0) / n;
-        const avgY1 = lines.reduce((sum, l) => sum + l.y1, 0) / n;
-        const avgX2 = lines.reduce((sum, l) => sum + l.x2, 0) / n;
-        const avgY2 = lines.reduce((sum, l) => sum + l.y2, 0) / n;
+    getGroundTruth() {
+        const player = this.replay.player;
+        return player && !player.hasGroundTruth ? null : this.device;
+    }
 
-        const length = Math.sqrt((avgX2 - avgX1) ** 2 + (avgY2 - avgY1) ** 2);
+    // =========================================================================
+    // Tracking Mode (device walking a path)
+    // =========================================================================
 
-        return {
-            x1: Math.round(avgX1),
-            y1: Math.round(avgY1),
-            x2: Math.round(avgX2),
-            y2: Math.round(avgY2),
-            length
-        };
-    }
+    setDrawPathMode(enabled) {
+        if (enabled === this.tracking.drawPathMode) return;
+        this.tracking.drawPathMode = enabled;
 
-    updateRadios() {
-        this.disposeGroup(this.radiosGroup);
-        this.interactiveObjects = [];
+        if (enabled) {
+            // Wall, path and radio placement share the canvas clicks
+            if (this.drawWallMode) {
+                document.getElementById('drawWallBtn').click();
+            }
+            this.setAddRadioMode(false);
+            this.tracking.drawnWaypoints = [];
+            this.tracking.preset = 'drawn';
+            document.getElementById('trajectoryPreset').value = 'drawn';
+        }
 
-        for (const radio of this.radios) {
-            const threePos = this.canvasToThree(radio.x, radio.y);
+        const btn = document.getElementById('drawPathBtn');
+        btn.textContent = enabled ? '✏️ Draw Path Mode (ON)' : '✏️ Draw Path Mode (OFF)';
+        btn.style.backgroundColor = enabled ? '#4CAF50' : '';
+        this.canvas.style.cursor = enabled ? 'crosshair' : 'default';
+        this.updateToolbarState();
+    }
 
-            // Radio circle
-            const geometry = new THREE.CircleGeometry(radio.radius, 32);
-            const material = new THREE.MeshBasicMaterial({
-                color: 0x4CAF50,
-                side: THREE.DoubleSide
-            });
-            const circle = new THREE.Mesh(geometry, material);
-            circle.position.set(threePos.x, threePos.y, 3);
-            circle.userData = { type: 'radio', radio: radio };
-            this.radiosGroup.add(circle);
-            this.interactiveObjects.push(circle);
+    buildTrajectory() {
+        if (this.tracking.preset === 'drawn') {
+            if (this.tracking.drawnWaypoints.length < 2) {
+                throw new Error('Draw a path with at least 2 waypoints first');
+            }
+            return new Trajectory(this.tracking.drawnWaypoints, { loop: this.tracking.loop });
+        }
 
-            // Border
-            const borderGeometry = new THREE.RingGeometry(radio.radius - 0.5, radio.radius + 1.5, 32);
-            const borderMaterial = new THREE.MeshBasicMaterial({
-                color: 0x2E7D32,
-                side: THREE.DoubleSide
-            });
-            const border = new THREE.Mesh(borderGeometry, borderMaterial);
-            border.position.set(threePos.x, threePos.y, 3.1);
-            this.radiosGroup.add(border);
+        const preset = createPresetTrajectory(this.tracking.preset, this.width, this.height);
+        if (this.tracking.loop && !preset.loop) {
+            return new Trajectory(preset.waypoints, { loop: true });
         }
+        return preset;
     }
 
-    updateDevice() {
-        this.disposeGroup(this.deviceGroup);
+    startTracking() {
+        const statsEl = document.getElementById('trackingStats');
 
-        const threePos = this.canvasToThree(this.device.x, this.device.y);
+        let trajectory;
+        try {
+            trajectory = this.buildTrajectory();
+        } catch (error) {
+            statsEl.innerHTML = `<small style="color: #F44336;">✗ ${this.escapeHTML(error.message)}</small>`;
+            return;
+        }
 
-        // Device circle
-        const geometry = new THREE.CircleGeometry(this.device.radius, 32);
-        const material = new THREE.MeshBasicMaterial({
-            color: 0xFF5722,
-            side: THREE.DoubleSide
+        this.setDrawPathMode(false);
+        this.dragging = null;
+        this.closeReplay();
+
+        Object.assign(this.tracking, {
+            active: true,
+            trajectory: trajectory,
+            distance: 0,
+            elapsed: 0,
+            lastFrameTime: null,
+            lastSampleTime: -Infinity,
+            trail: [],
+            scores: {}
         });
-        const circle = new THREE.Mesh(geometry, material);
-        circle.position.set(threePos.x, threePos.y, 3);
-        circle.userData = { type: 'device', device: this.device };
-        this.deviceGroup.add(circle);
-        this.interactiveObjects.push(circle);
 
-        // Border
-        const borderGeometry = new THREE.RingGeometry(this.device.radius - 0.5, this.device.radius + 1.5, 32);
-        const borderMaterial = new THREE.MeshBasicMaterial({
-            color: 0xD84315,
-            side: THREE.DoubleSide
-        });
-        const border = new THREE.Mesh(borderGeometry, borderMaterial);
-        border.position.set(threePos.x, threePos.y, 3.1);
-        this.deviceGroup.add(border);
+        // Start every run from fresh RSSI filters, a new track and particle cloud
+        this.engine.resetKalmanFilters();
+        this.engine.resetPositionTracker();
+        this.engine.resetParticleFilter();
 
-        // Cross marker
-        const crossMaterial = new THREE.LineBasicMaterial({ color: 0xFFC107 });
-        const crossSize = 8;
+        const start = trajectory.positionAt(0);
+        this.device.x = start.x;
+        this.device.y = start.y;
 
-        const hLine = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(threePos.x - crossSize, threePos.y, 3.2),
-            new THREE.Vector3(threePos.x + crossSize, threePos.y, 3.2)
-        ]);
-        this.deviceGroup.add(new THREE.Line(hLine, crossMaterial));
+        document.getElementById('startTrackingBtn').textContent = '⏹️ Stop Tracking';
+        this.renderTrackingStats();
+    }
 
-        const vLine = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(threePos.x, threePos.y - crossSize, 3.2),
-            new THREE.Vector3(threePos.x, threePos.y + crossSize, 3.2)
-        ]);
-        this.deviceGroup.add(new THREE.Line(vLine, crossMaterial));
+    stopTracking() {
+        if (!this.tracking.active) return;
+
+        this.tracking.active = false;
+        this.tracking.lastFrameTime = null;
+
+        document.getElementById('startTrackingBtn').textContent = '▶️ Start Tracking';
+        this.renderTrackingStats();
     }
 
-    updateEstimatedPosition() {
-        this.disposeGroup(this.estimatedGroup);
+    /**
+     * Move the device along its trajectory by the time elapsed since the last frame
+     * @param {Number} time - Frame timestamp in milliseconds
+     */
+    advanceTracking(time) {
+        const tracking = this.tracking;
+        if (!tracking.active) return;
+
+        // Clamp long frames (e.g. a background tab) so the device doesn't jump
+        const dt = tracking.lastFrameTime === null ? 0 :
+            Math.min(0.1, (time - tracking.lastFrameTime) / 1000);
+        tracking.lastFrameTime = time;
+        tracking.elapsed += dt;
+        tracking.distance += tracking.speed * this.scale * dt;
+
+        const position = tracking.trajectory.positionAt(tracking.distance);
+        this.device.x = position.x;
+        this.device.y = position.y;
+    }
 
-        if (!this.estimatedPosition) return;
+    /**
+     * Record the true and estimated positions at the sample rate and
+     * finish the run once an open path has been walked
+     */
+    recordTrackingSample() {
+        const tracking = this.tracking;
+        if (!tracking.active) return;
 
-        const threePos = this.canvasToThree(this.estimatedPosition.x, this.estimatedPosition.y);
+        const finished = tracking.trajectory.isFinished(tracking.distance);
+        if (!finished && tracking.elapsed - tracking.lastSampleTime < tracking.sampleInterval) return;
+        tracking.lastSampleTime = tracking.elapsed;
 
-        // Estimated position circle
-        const geometry = new THREE.CircleGeometry(10, 32);
-        const material = new THREE.MeshBasicMaterial({
-            color: 0x2196F3,
-            side: THREE.DoubleSide
-        });
-        const circle = new THREE.Mesh(geometry, material);
-        circle.position.set(threePos.x, threePos.y, 2);
-        this.estimatedGroup.add(circle);
+        const sample = {
+            t: tracking.elapsed,
+            truth: { x: this.device.x, y: this.device.y }
+        };
 
-        // Border
-        const borderGeometry = new THREE.RingGeometry(9.5, 11.5, 32);
-        const borderMaterial = new THREE.MeshBasicMaterial({
-            color: 0x1565C0,
-            side: THREE.DoubleSide
-        });
-        const border = new THREE.Mesh(borderGeometry, borderMaterial);
-        border.position.set(threePos.x, threePos.y, 2.1);
-        this.estimatedGroup.add(border);
+        // Tracker and particle outputs are scored only while enabled
+        for (const source of this.getTrackingSources()) {
+            sample[source.key] = null;
+            if (!source.enabled) continue;
 
-        // Error line
-        const devicePos = this.canvasToThree(this.device.x, this.device.y);
-        const lineMaterial = new THREE.LineDashedMaterial({
-            color: 0xff0000,
-            transparent: true,
-            opacity: 0.5,
-            dashSize: 5,
-            gapSize: 5
-        });
+            const score = tracking.scores[source.key] ||
+                (tracking.scores[source.key] = { errors: [], failures: 0 });
 
-        const lineGeometry = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(devicePos.x, devicePos.y, 2.5),
-            new THREE.Vector3(threePos.x, threePos.y, 2.5)
-        ]);
-        const line = new THREE.Line(lineGeometry, lineMaterial);
-        line.computeLineDistances();
-        this.estimatedGroup.add(line);
+            if (source.position) {
+                sample[source.key] = { x: source.position.x, y: source.position.y };
+                score.errors.push(this.engine.calculateTrueDistance(
+                    this.device.x, this.device.y, source.position.x, source.position.y
+                ));
+            } else {
+                score.failures++;
+            }
+        }
+
+        tracking.trail.push(sample);
+        if (tracking.trail.length > tracking.maxTrailLength) {
+            tracking.trail.shift();
+        }
+
+        this.renderTrackingStats();
+
+        if (finished) {
+            this.stopTracking();
+        }
     }
 
-    // =========================================================================
-    // UI Updates
-    // =========================================================================
+    /**
+     * Position outputs scored during a tracking run, in column order
+     */
+    getTrackingSources() {
+        return [
+            { key: 'estimate', label: 'Raw', position: this.estimatedPosition, enabled: true },
+            { key: 'tracked', label: 'Tracked', position: this.trackedPosition, enabled: this.engine.enablePositionTracking },
+            { key: 'particle', label: 'Particle', position: this.particleEstimate, enabled: this.engine.enableParticleFilter }
+        ];
+    }
 
-    updateDataTables(measurements) {
-        // Radio data table
-        let tableHTML = '<table class="data-table"><thead><tr>' +
-            '<th>Radio</th><th>RSSI<br/>(dBm)</th><th>Est. Dist<br/>(m)</th><th>True Dist<br/>(m)</th>' +
+    renderTrackingStats() {
+        const tracking = this.tracking;
+
+        // One column per source that was scored during the run
+        const columns = this.getTrackingSources()
+            .filter(source => tracking.scores[source.key])
+            .map(source => {
+                const score = tracking.scores[source.key];
+                return { label: source.label, stats: computeErrorStatistics(score.errors, score.failures) };
+            });
+        const samples = columns.length > 0 ? columns[0].stats.samples : 0;
+
+        const format = (value) => isNaN(value) ? '-' : value.toFixed(2);
+        const rows = [
+            ['Mean Error', 'mean'],
+            ['Median Error', 'median'],
+            ['RMSE', 'rmse'],
+            ['CEP90', 'cep90'],
+            ['Max Error', 'max']
+        ];
+
+        let html = `<div class="position-info">
+                <span class="position-label">${tracking.active ? 'Running' : 'Finished'}:</span>
+                <span class="position-value">${tracking.elapsed.toFixed(1)} s, ${(tracking.distance / this.scale).toFixed(1)} m, ${samples} samples</span>
+            </div>`;
+
+        html += '<table class="data-table"><thead><tr><th>Metric</th>' +
+            columns.map(column => `<th>${this.escapeHTML(column.label)}<br/>(m)</th>`).join('') +
             '</tr></thead><tbody>';
 
-        // Create a map of all radios with their data
-        const dataMap = new Map();
-        for (const m of measurements) {
-            dataMap.set(m.radio.label, m);
+        for (const [label, key] of rows) {
+            html += `<tr><td><strong>${this.escapeHTML(label)}</strong></td>` +
+                columns.map(column => `<td>${format(column.stats[key])}</td>`).join('') + '</tr>';
         }
+        html += '<tr><td><strong>Failure Rate</strong></td>' +
+            columns.map(column => `<td>${(column.stats.failureRate * 100).toFixed(1)}%</td>`).join('') + '</tr>';
+        html += '</tbody></table>';
 
-        // Add rows for all radios
-        for (const radio of this.radios) {
-            const data = dataMap.get(radio.label);
-            if (data) {
-                const rssiClass = this.getRSSIClass(data.rssi);
-                tableHTML += `<tr>
-                    <td><strong>${radio.label}</strong></td>
-                    <td class="${rssiClass}">${data.rssi.toFixed(1)}</td>
-                    <td>${data.estimatedDistance.toFixed(2)}</td>
-                    <td>${data.trueDistance.toFixed(2)}</td>
-                </tr>`;
-            } else {
-                const trueDistance = this.calculateTrueDistance(
-                    radio.x, radio.y, this.device.x, this.device.y
-                );
-                tableHTML += `<tr>
-                    <td><strong>${radio.label}</strong></td>
-                    <td class="rssi-weak">< ${this.minRSSI}</td>
-                    <td>-</td>
-                    <td>${trueDistance.toFixed(2)}</td>
-                </tr>`;
-            }
-        }
+        document.getElementById('trackingStats').innerHTML = html;
+    }
 
-        tableHTML += '</tbody></table>';
-        document.getElementById('radioDataTable').innerHTML = tableHTML;
+    /**
+     * Draw the planned path and the true (orange), estimated (blue),
+     * tracked (green) and particle filter (purple) trails
+     */
+    updateTrail() {
+        this.disposeGroup(this.trailGroup);
 
-        // Position data
-        const deviceXm = this.device.x / this.scale;
-        const deviceYm = this.device.y / this.scale;
+        const tracking = this.tracking;
 
-        let posHTML = `
-            <div class="position-info">
-                <span class="position-label">True Position:</span>
-                <span class="position-value">(${deviceXm.toFixed(2)}, ${deviceYm.toFixed(2)}) m</span>
-            </div>
-        `;
+        // Planned path: waypoints being drawn, or the trajectory being walked
+        const path = tracking.drawPathMode || !tracking.trajectory ?
+            (tracking.preset === 'drawn' ? tracking.drawnWaypoints : []) :
+            tracking.trajectory.getPathPoints();
 
-        if (this.estimatedPosition) {
-            const estXm = this.estimatedPosition.x / this.scale;
-            const estYm = this.estimatedPosition.y / this.scale;
-            const error = this.calculateTrueDistance(
-                this.device.x, this.device.y,
-                this.estimatedPosition.x, this.estimatedPosition.y
-            );
+        if (path.length > 1) {
+            const pathMaterial = new THREE.LineDashedMaterial({
+                color: 0x9E9E9E,
+                dashSize: 8,
+                gapSize: 6
+            });
+            const line = this.createTrailLine(path, pathMaterial, 0.5);
+            line.computeLineDistances();
+            this.trailGroup.add(line);
+        }
 
-            posHTML += `
-                <div class="position-info">
-                    <span class="position-label">Estimated Position:</span>
-                    <span class="position-value">(${estXm.toFixed(2)}, ${estYm.toFixed(2)}) m</span>
-                </div>
-                <div class="position-info">
-                    <span class="position-label">Position Error:</span>
-                    <span class="position-value" style="color: #F44336;">${error.toFixed(2)} m</span>
-                </div>
-                <div class="position-info">
-                    <span class="position-label">Active Radios:</span>
-                    <span class="position-value">${measurements.length} / ${this.radios.length}</span>
-                </div>
-            `;
-        } else {
-            posHTML += `
-                <div class="position-info">
-                    <span class="position-label">Estimated Position:</span>
-                    <span class="position-value" style="color: #F44336;">N/A</span>
-                </div>
-                <div class="position-info">
-                    <span class="position-label">Active Radios:</span>
-                    <span class="position-value">${measurements.length} / ${this.radios.length}</span>
-                </div>
-            `;
+        if (tracking.drawPathMode) {
+            const markerGeometry = new THREE.CircleGeometry(4, 16);
+            const markerMaterial = new THREE.MeshBasicMaterial({ color: 0x616161 });
+            for (const point of path) {
+                const pos = this.canvasToThree(point.x, point.y);
+                const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+                marker.position.set(pos.x, pos.y, 0.6);
+                this.trailGroup.add(marker);
+            }
         }
 
-        document.getElementById('positionData').innerHTML = posHTML;
+        if (!tracking.showTrail || tracking.trail.length < 2) return;
+
+        const truthMaterial = new THREE.LineBasicMaterial({ color: 0xFF5722 });
+        this.trailGroup.add(this.createTrailLine(tracking.trail.map(s => s.truth), truthMaterial, 0.7));
+
+        // Estimated and tracked trails are broken wherever there was no position
+        this.addBrokenTrail('estimate', new THREE.LineBasicMaterial({ color: 0x2196F3 }), 0.8);
+        this.addBrokenTrail('tracked', new THREE.LineBasicMaterial({ color: 0x4CAF50 }), 0.9);
+        this.addBrokenTrail('particle', new THREE.LineBasicMaterial({ color: 0x673AB7 }), 1.0);
     }
 
-    showStatusMessage(message, type = 'error') {
-        const msgEl = document.getElementById('statusMessage');
-        msgEl.textContent = message;
-        msgEl.className = `status-message show ${type}`;
+    addBrokenTrail(key, material, z) {
+        let run = [];
+        for (const sample of [...this.tracking.trail, {}]) {
+            if (sample[key]) {
+                run.push(sample[key]);
+                continue;
+            }
+            if (run.length > 1) {
+                this.trailGroup.add(this.createTrailLine(run, material, z));
+            }
+            run = [];
+        }
     }
 
-    hideStatusMessage() {
-        const msgEl = document.getElementById('statusMessage');
-        msgEl.classList.remove('show');
+    createTrailLine(points, material, z) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(points.map(p => {
+            const pos = this.canvasToThree(p.x, p.y);
+            return new THREE.Vector3(pos.x, pos.y, z);
+        }));
+        return new THREE.Line(geometry, material);
     }
 
     // =========================================================================
@@ -2054,6 +4460,22 @@ class TrilaterationSimulator {
         const canvasX = e.clientX - rect.left;
         const canvasY = e.clientY - rect.top;
 
+        // Radio placement mode
+        if (this.addRadioMode) {
+            this.selectedRadio = this.engine.addRadio({
+                x: canvasX, y: canvasY, radius: 10, floor: this.engine.activeFloor
+            });
+            this.numRadios = this.currentFloorRadios().length;
+            this.renderRadioEditor();
+            return;
+        }
+
+        // Path drawing mode
+        if (this.tracking.drawPathMode) {
+            this.tracking.drawnWaypoints.push({ x: canvasX, y: canvasY });
+            return;
+        }
+
         // Wall drawing mode
         if (this.drawWallMode) {
             this.tempWall = new Wall(
@@ -2061,6 +4483,7 @@ class TrilaterationSimulator {
                 { x: canvasX, y: canvasY },
                 this.selectedWallMaterial
             );
+            this.tempWall.floor = this.engine.activeFloor;
             return;
         }
 
@@ -2074,13 +4497,25 @@ class TrilaterationSimulator {
         if (intersects.length > 0) {
             const obj = intersects[0].object;
             if (obj.userData.type === 'device') {
+                // The device follows its path while tracking
+                if (this.tracking.active) return;
                 this.dragging = obj.userData.device;
                 this.dragOffset = {
                     x: this.dragging.x - canvasX,
                     y: this.dragging.y - canvasY
                 };
                 return;  // Early return - device clicked
+            } else if (obj.userData.type === 'tag') {
+                this.dragging = obj.userData.tag;
+                this.dragOffset = {
+                    x: this.dragging.x - canvasX,
+                    y: this.dragging.y - canvasY
+                };
+                return;  // Early return - tag clicked
             } else if (obj.userData.type === 'radio') {
+                this.selectedRadio = obj.userData.radio;
+                this.selectedWall = null;
+                this.renderRadioEditor();
                 this.dragging = obj.userData.radio;
                 this.dragOffset = {
                     x: this.dragging.x - canvasX,
@@ -2092,7 +4527,11 @@ class TrilaterationSimulator {
 
         // THEN: Check if clicking on a wall (only if no device/radio was clicked)
         this.selectedWall = null;
-        for (const wall of this.walls) {
+        if (this.selectedRadio) {
+            this.selectedRadio = null;
+            this.renderRadioEditor();
+        }
+        for (const wall of this.engine.wallsOnFloor(this.engine.activeFloor)) {
             if (wall.containsPoint({ x: canvasX, y: canvasY }, 15)) {
                 this.selectedWall = wall;
                 return;
@@ -2128,7 +4567,7 @@ class TrilaterationSimulator {
         if (this.tempWall) {
             // Only add if wall has minimum length
             if (this.tempWall.getLength() > 10) {
-                this.walls.push(this.tempWall);
+                this.engine.walls.push(this.tempWall);
                 this.updateWallCount();
             }
             this.tempWall = null;
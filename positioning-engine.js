@@ -0,0 +1,3984 @@
+// =============================================================================
+// Positioning Engine - headless RSSI model, wall geometry and solvers
+// =============================================================================
+//
+// This file has no dependency on the DOM, Three.js or OpenCV. In the browser it
+// is loaded as a plain <script> before app.js and its declarations become
+// globals; in Node it can be loaded with require():
+//
+//     const { PositioningEngine } = require('./positioning-engine.js');
+//     const engine = new PositioningEngine({ scale: 1 });  // work in meters
+//
+// All positions are expressed in the same planar coordinate system (canvas
+// pixels in the simulator) and `scale` converts that unit to meters.
+
+// =============================================================================
+// Wall Materials & Constants
+// =============================================================================
+
+/**
+ * Material properties for different wall types
+ * Attenuation and reflection loss values in dB (typical indoor RF loss at 2.4GHz)
+ */
+const WALL_MATERIALS = {
+    drywall: {
+        attenuation: 3,      // ~3 dB loss through standard drywall
+        reflectionLoss: 10,  // ~10 dB lost on specular reflection
+        color: 0xcccccc,
+        name: 'Drywall'
+    },
+    concrete: {
+        attenuation: 10,     // ~10 dB loss through concrete
+        reflectionLoss: 6,   // ~6 dB lost on specular reflection
+        color: 0x888888,
+        name: 'Concrete'
+    },
+    brick: {
+        attenuation: 8,      // ~8 dB loss through brick
+        reflectionLoss: 7,   // ~7 dB lost on specular reflection
+        color: 0xaa6644,
+        name: 'Brick'
+    },
+    glass: {
+        attenuation: 2,      // ~2 dB loss through glass
+        reflectionLoss: 8,   // ~8 dB lost on specular reflection
+        color: 0x8888ff,
+        name: 'Glass'
+    },
+    metal: {
+        attenuation: 20,     // ~20 dB loss through metal (heavy attenuation)
+        reflectionLoss: 1,   // ~1 dB lost on specular reflection
+        color: 0x666666,
+        name: 'Metal'
+    },
+    door_wood: {
+        attenuation: 4,      // ~4 dB loss through wooden door
+        reflectionLoss: 9,   // ~9 dB lost on specular reflection
+        color: 0x996633,
+        name: 'Wood Door'
+    },
+    door_metal: {
+        attenuation: 12,     // ~12 dB loss through metal door
+        reflectionLoss: 2,   // ~2 dB lost on specular reflection
+        color: 0x555555,
+        name: 'Metal Door'
+    }
+};
+
+/**
+ * Wall class representing a physical obstacle
+ */
+class Wall {
+    constructor(start, end, material = 'drywall') {
+        this.id = this.generateId();
+        this.start = { x: start.x, y: start.y };  // Canvas coordinates
+        this.end = { x: end.x, y: end.y };
+        this.material = material;
+        this.thickness = 0.15;  // meters (default 15cm)
+        this.floor = 0;         // Building floor index
+
+        // Get material properties
+        const matProps = WALL_MATERIALS[material] || WALL_MATERIALS.drywall;
+        this.attenuation = matProps.attenuation;
+        this.reflectionLoss = matProps.reflectionLoss;
+        this.color = matProps.color;
+        this.name = matProps.name;
+
+        // Three.js mesh (will be created during rendering)
+        this.mesh = null;
+    }
+
+    generateId() {
+        return 'wall_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Calculate length of wall in pixels
+     */
+    getLength() {
+        const dx = this.end.x - this.start.x;
+        const dy = this.end.y - this.start.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Get midpoint of wall
+     */
+    getMidpoint() {
+        return {
+            x: (this.start.x + this.end.x) / 2,
+            y: (this.start.y + this.end.y) / 2
+        };
+    }
+
+    /**
+     * Check if a point is near this wall (for selection/hover)
+     */
+    containsPoint(point, threshold = 10) {
+        const dist = this.distanceToPoint(point);
+        return dist <= threshold;
+    }
+
+    /**
+     * Calculate distance from point to line segment
+     */
+    distanceToPoint(point) {
+        const A = point.x - this.start.x;
+        const B = point.y - this.start.y;
+        const C = this.end.x - this.start.x;
+        const D = this.end.y - this.start.y;
+
+        const dot = A * C + B * D;
+        const lenSq = C * C + D * D;
+
+        let param = -1;
+        if (lenSq !== 0) {
+            param = dot / lenSq;
+        }
+
+        let xx, yy;
+
+        if (param < 0) {
+            xx = this.start.x;
+            yy = this.start.y;
+        } else if (param > 1) {
+            xx = this.end.x;
+            yy = this.end.y;
+        } else {
+            xx = this.start.x + param * C;
+            yy = this.start.y + param * D;
+        }
+
+        const dx = point.x - xx;
+        const dy = point.y - yy;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+}
+
+/**
+ * Line-Line Intersection Algorithm
+ * Returns intersection point if lines intersect, null otherwise
+ */
+function lineLineIntersection(p1, p2, p3, p4) {
+    const x1 = p1.x, y1 = p1.y;
+    const x2 = p2.x, y2 = p2.y;
+    const x3 = p3.x, y3 = p3.y;
+    const x4 = p4.x, y4 = p4.y;
+
+    // Calculate denominators
+    const denom = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4);
+
+    // Lines are parallel if denominator is zero
+    if (Math.abs(denom) < 1e-10) {
+        return null;
+    }
+
+    // Calculate intersection parameters
+    const t = ((x1 - x3) * (y3 - y4) - (y1 - y3) * (x3 - x4)) / denom;
+    const u = -((x1 - x2) * (y1 - y3) - (y1 - y2) * (x1 - x3)) / denom;
+
+    // Check if intersection is within both line segments
+    if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
+        return {
+            x: x1 + t * (x2 - x1),
+            y: y1 + t * (y2 - y1),
+            t: t,  // Parameter along first line (0 to 1)
+            u: u   // Parameter along second line (0 to 1)
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Find all wall intersections along a signal path
+ */
+function findWallIntersections(transmitter, receiver, walls) {
+    const intersections = [];
+
+    for (const wall of walls) {
+        const intersection = lineLineIntersection(
+            transmitter,
+            receiver,
+            wall.start,
+            wall.end
+        );
+
+        if (intersection) {
+            // Calculate distance from transmitter to intersection
+            const dx = intersection.x - transmitter.x;
+            const dy = intersection.y - transmitter.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            intersections.push({
+                wall: wall,
+                point: { x: intersection.x, y: intersection.y },
+                distance: distance,
+                t: intersection.t
+            });
+        }
+    }
+
+    // Sort by distance from transmitter (nearest first)
+    intersections.sort((a, b) => a.distance - b.distance);
+
+    return intersections;
+}
+
+/**
+ * Calculate penetration angle factor
+ * Signal loss increases when hitting walls at shallow angles
+ */
+function calculatePenetrationAngle(signalDirection, wall) {
+    // Calculate wall normal vector
+    const wallDx = wall.end.x - wall.start.x;
+    const wallDy = wall.end.y - wall.start.y;
+    const wallLength = Math.sqrt(wallDx * wallDx + wallDy * wallDy);
+
+    // Wall tangent (normalized)
+    const wallTangentX = wallDx / wallLength;
+    const wallTangentY = wallDy / wallLength;
+
+    // Wall normal (perpendicular to tangent)
+    const wallNormalX = -wallTangentY;
+    const wallNormalY = wallTangentX;
+
+    // Signal direction (normalized)
+    const sigLength = Math.sqrt(signalDirection.x ** 2 + signalDirection.y ** 2);
+    const sigDirX = signalDirection.x / sigLength;
+    const sigDirY = signalDirection.y / sigLength;
+
+    // Dot product gives cosine of angle
+    const dotProduct = Math.abs(sigDirX * wallNormalX + sigDirY * wallNormalY);
+
+    // Map from [0, 1] to [0.5, 1.0]
+    // 0 = parallel (grazing) -> 0.5 factor
+    // 1 = perpendicular -> 1.0 factor
+    return 0.5 + 0.5 * dotProduct;
+}
+
+/**
+ * Mirror image of a point across the (infinite) line through a wall
+ */
+function mirrorPoint(point, wall) {
+    const dx = wall.end.x - wall.start.x;
+    const dy = wall.end.y - wall.start.y;
+    const t = ((point.x - wall.start.x) * dx + (point.y - wall.start.y) * dy) / (dx * dx + dy * dy);
+    return {
+        x: 2 * (wall.start.x + t * dx) - point.x,
+        y: 2 * (wall.start.y + t * dy) - point.y
+    };
+}
+
+/**
+ * Find the first- and second-order specular reflection paths between a
+ * transmitter and a receiver off a set of walls (image method): the receiver
+ * sees the transmitter mirrored in each wall, or in one wall and then another,
+ * and a path exists when the line to that image hits the walls themselves
+ * @param {Number} maxOrder - 1 (single bounces) or 2 (also double bounces)
+ * @returns {Array} [{ points: [transmitter, ...reflection points, receiver],
+ *   walls: reflecting walls in order, length: total path length (units) }]
+ */
+function traceReflections(transmitter, receiver, walls, maxOrder = 2) {
+    const paths = [];
+    const pathLength = (points) => {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        return length;
+    };
+
+    for (const first of walls) {
+        const image = mirrorPoint(transmitter, first);
+
+        const hit = lineLineIntersection(image, receiver, first.start, first.end);
+        if (hit) {
+            const points = [transmitter, { x: hit.x, y: hit.y }, receiver];
+            paths.push({ points, walls: [first], length: pathLength(points) });
+        }
+
+        if (maxOrder < 2) continue;
+
+        for (const second of walls) {
+            if (second === first) continue;
+
+            // Unfold back from the receiver: second wall, then the first
+            const secondImage = mirrorPoint(image, second);
+            const secondHit = lineLineIntersection(secondImage, receiver, second.start, second.end);
+            if (!secondHit) continue;
+            const firstHit = lineLineIntersection(image, secondHit, first.start, first.end);
+            if (!firstHit) continue;
+
+            const points = [
+                transmitter,
+                { x: firstHit.x, y: firstHit.y },
+                { x: secondHit.x, y: secondHit.y },
+                receiver
+            ];
+            paths.push({ points, walls: [first, second], length: pathLength(points) });
+        }
+    }
+
+    return paths;
+}
+
+// =============================================================================
+// Antenna Patterns
+// =============================================================================
+
+/**
+ * Azimuth gain patterns, relative to the peak (dB ≤ 0)
+ * gain(angle, radio) takes the angle off boresight in radians (-π..π]
+ */
+const ANTENNA_PATTERNS = {
+    omni: {
+        name: 'Omnidirectional',
+        gain: () => 0
+    },
+    patch: {
+        // Cardioid-squared lobe: -6 dB at ±90°, 20 dB front-to-back
+        name: 'Patch (wall-mount)',
+        gain: (angle) => Math.max(-20, 20 * Math.log10((1 + Math.cos(angle)) / 2))
+    },
+    dipole: {
+        // Horizontal half-wave dipole: broadside peak, nulls along its axis
+        name: 'Dipole (horizontal)',
+        gain: (angle) => {
+            const c = Math.abs(Math.cos(angle));
+            if (c < 1e-6) return -25;
+            const g = Math.cos(Math.PI / 2 * Math.sin(angle)) / c;
+            return Math.max(-25, 20 * Math.log10(Math.abs(g)));
+        }
+    },
+    table: {
+        name: 'Imported gain table',
+        gain: (angle, radio) => interpolateGainTable(radio.gainTable, angle * 180 / Math.PI)
+    }
+};
+
+/**
+ * Gain of a tabulated pattern, interpolated linearly and wrapping at 360°
+ * @param {Array} table - [[angleDeg, gainDb], ...] sorted by angle
+ * @param {Number} angleDeg - Angle off boresight in degrees
+ */
+function interpolateGainTable(table, angleDeg) {
+    if (!table || table.length === 0) return 0;
+    if (table.length === 1) return table[0][1];
+
+    const angle = ((angleDeg % 360) + 360) % 360;
+    const n = table.length;
+
+    for (let i = 0; i < n; i++) {
+        const [a0, g0] = table[i];
+        // The last segment wraps from the final entry back to the first (+360°)
+        const a1 = i + 1 < n ? table[i + 1][0] : table[0][0] + 360;
+        const g1 = table[(i + 1) % n][1];
+        const a = angle < a0 ? angle + 360 : angle;
+
+        if (a <= a1) {
+            return a1 === a0 ? g0 : g0 + (g1 - g0) * (a - a0) / (a1 - a0);
+        }
+    }
+    return table[n - 1][1];
+}
+
+/**
+ * Parse a gain table from CSV text: one "angle,gain" pair per line (degrees, dB)
+ * Blank lines, # comments and a non-numeric header row are skipped
+ * @returns {Array} [[angleDeg, gainDb], ...] with angles in [0, 360), sorted
+ * @throws {Error} On malformed rows or fewer than 2 entries
+ */
+function parseGainTable(text) {
+    const table = [];
+    const lines = text.split(/\r?\n/);
+
+    lines.forEach((line, i) => {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) return;
+
+        const fields = trimmed.split(/[,;\t ]+/);
+        const angle = parseFloat(fields[0]);
+        const gain = parseFloat(fields[1]);
+
+        if (fields.length < 2 || !isFinite(angle) || !isFinite(gain)) {
+            if (table.length === 0 && isNaN(angle)) return;  // Header row
+            throw new Error(`Gain table line ${i + 1}: expected "angle,gain", got "${trimmed}"`);
+        }
+        table.push([((angle % 360) + 360) % 360, gain]);
+    });
+
+    if (table.length < 2) {
+        throw new Error('Gain table needs at least 2 angle,gain rows');
+    }
+    return table.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Geometric dilution of precision (2D) of a set of anchors seen from a position.
+ * Uses the same Jacobian as the least-squares solver: one row per anchor holding
+ * the unit vector from the anchor to the position. GDOP = sqrt(trace((JᵀJ)⁻¹)).
+ * @param {Object} position - Point {x, y}
+ * @param {Array} anchors - Anchor positions {x, y}
+ * @returns {Number} GDOP (1 is ideal; Infinity when the anchors are collinear
+ *   with the position or fewer than 2 are usable)
+ */
+function calculateGDOP(position, anchors) {
+    let sumXX = 0, sumYY = 0, sumXY = 0;
+
+    for (const anchor of anchors) {
+        const dx = position.x - anchor.x;
+        const dy = position.y - anchor.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        // Direction is undefined on top of an anchor
+        if (distance < 1e-9) continue;
+
+        const ux = dx / distance;
+        const uy = dy / distance;
+        sumXX += ux * ux;
+        sumYY += uy * uy;
+        sumXY += ux * uy;
+    }
+
+    const det = sumXX * sumYY - sumXY * sumXY;
+    if (det < 1e-10) {
+        return Infinity;
+    }
+
+    // trace of the 2x2 inverse = (sumXX + sumYY) / det
+    return Math.sqrt((sumXX + sumYY) / det);
+}
+
+/**
+ * Qualitative rating of a GDOP value (common DOP interpretation table)
+ */
+function rateGDOP(gdop) {
+    if (gdop <= 2) return 'Excellent';
+    if (gdop <= 5) return 'Good';
+    if (gdop <= 10) return 'Moderate';
+    if (gdop <= 20) return 'Fair';
+    return 'Poor';
+}
+
+/**
+ * Confidence ellipse of a 2D covariance matrix
+ * @param {Object} covariance - { xx, xy, yy }
+ * @param {Number} confidence - Probability mass inside the ellipse (0-1)
+ * @returns {Object} { major, minor, angle } - semi-axes in position units and
+ *   the major axis angle in radians from the +x axis
+ */
+function covarianceEllipse(covariance, confidence = 0.95) {
+    const { xx, xy, yy } = covariance;
+
+    // Eigenvalues of the symmetric 2x2 matrix
+    const mean = (xx + yy) / 2;
+    const spread = Math.sqrt(((xx - yy) / 2) ** 2 + xy * xy);
+    const lambda1 = Math.max(0, mean + spread);
+    const lambda2 = Math.max(0, mean - spread);
+
+    // Chi-square quantile with 2 degrees of freedom: -2 ln(1 - p)
+    const k = Math.sqrt(-2 * Math.log(1 - confidence));
+
+    return {
+        major: k * Math.sqrt(lambda1),
+        minor: k * Math.sqrt(lambda2),
+        angle: 0.5 * Math.atan2(2 * xy, xx - yy)
+    };
+}
+
+// =============================================================================
+// Robust Loss Functions
+// =============================================================================
+
+/**
+ * Robust loss rho(r) for a residual r with tuning constant c
+ * 'none' is ordinary least squares (r^2 / 2)
+ */
+function robustRho(r, c, loss) {
+    const a = Math.abs(r);
+
+    switch (loss) {
+        case 'huber':
+            return a <= c ? r * r / 2 : c * (a - c / 2);
+        case 'cauchy':
+            return (c * c / 2) * Math.log(1 + (r / c) ** 2);
+        case 'tukey': {
+            if (a > c) return c * c / 6;
+            const t = 1 - (r / c) ** 2;
+            return (c * c / 6) * (1 - t * t * t);
+        }
+        default:
+            return r * r / 2;
+    }
+}
+
+/**
+ * IRLS weight psi(r)/r of the robust loss: 1 for small residuals, shrinking
+ * (Huber, Cauchy) or vanishing (Tukey) for outliers
+ */
+function robustWeight(r, c, loss) {
+    const a = Math.abs(r);
+
+    switch (loss) {
+        case 'huber':
+            return a <= c ? 1 : c / a;
+        case 'cauchy':
+            return 1 / (1 + (r / c) ** 2);
+        case 'tukey': {
+            if (a > c) return 0;
+            const t = 1 - (r / c) ** 2;
+            return t * t;
+        }
+        default:
+            return 1;
+    }
+}
+
+// =============================================================================
+// Positioning Algorithm Registry
+// =============================================================================
+
+/**
+ * Available positioning algorithms, keyed by id
+ * solve(engine, measurements) returns {x, y} (or null) in position units;
+ * color is used when several estimates are drawn side by side
+ */
+const POSITIONING_ALGORITHMS = {
+    'gauss-newton': {
+        name: 'Weighted Least Squares (Gauss-Newton)',
+        color: 0x2196F3,
+        solve: (engine, measurements) => engine.leastSquaresTrilateration(measurements)
+    },
+    'levenberg-marquardt': {
+        name: 'Levenberg-Marquardt (robust)',
+        color: 0x9C27B0,
+        solve: (engine, measurements) => engine.levenbergMarquardtTrilateration(measurements)
+    },
+    'linear-lls': {
+        name: 'Linearized Least Squares',
+        color: 0xFF9800,
+        solve: (engine, measurements) => engine.linearLeastSquaresTrilateration(measurements)
+    },
+    'weighted-centroid': {
+        name: 'Weighted Centroid',
+        color: 0x009688,
+        solve: (engine, measurements) => engine.weightedCentroid(measurements)
+    },
+    'min-max': {
+        name: 'Min-Max (Bounding Box)',
+        color: 0x795548,
+        solve: (engine, measurements) => engine.minMaxTrilateration(measurements)
+    },
+    'circle-expansion': {
+        name: 'Circle Expansion',
+        color: 0xE91E63,
+        solve: (engine, measurements) => engine.circleExpansionTrilateration(measurements)
+    },
+    'fingerprint-knn': {
+        name: 'Fingerprinting (kNN)',
+        color: 0x607D8B,
+        solve: (engine, measurements) => engine.fingerprintPosition(measurements)
+    }
+};
+
+/**
+ * Add (or replace) a positioning algorithm in the registry
+ * @param {String} id - Registry key, stored in engine.solver
+ * @param {Object} algorithm - { name, color, solve(engine, measurements) }
+ */
+function registerPositioningAlgorithm(id, algorithm) {
+    if (typeof algorithm.solve !== 'function') {
+        throw new Error(`Positioning algorithm ${id} has no solve() function`);
+    }
+    POSITIONING_ALGORITHMS[id] = algorithm;
+}
+
+// =============================================================================
+// Scenarios (versioned JSON)
+// =============================================================================
+
+const SCENARIO_FORMAT = 'trilateration-scenario';
+const SCENARIO_VERSION = 1;
+
+/**
+ * Engine parameters stored in scenarios, with their expected types
+ */
+const ENGINE_SETTINGS = {
+    txPower: 'number',
+    pathLossExponent: 'number',
+    minRSSI: 'number',
+    enableNoise: 'boolean',
+    noiseStdDev: 'number',
+    seed: 'number',
+    enableKalmanFilter: 'boolean',
+    kalmanR: 'number',
+    kalmanQ: 'number',
+    enableWalls: 'boolean',
+    enableAngleEffect: 'boolean',
+    enableCumulativeEffect: 'boolean',
+    enableMultipath: 'boolean',
+    reflectionOrder: 'number',
+    multipathCombining: 'string',
+    floorHeight: 'number',
+    floorAttenuation: 'number',
+    radioHeight: 'number',
+    deviceHeight: 'number',
+    estimateHeight: 'boolean',
+    solver: 'string',
+    robustLoss: 'string',
+    robustScale: 'number',
+    enablePositionTracking: 'boolean',
+    trackerProcessNoise: 'number',
+    trackerMeasurementNoise: 'number',
+    enableParticleFilter: 'boolean',
+    particleCount: 'number',
+    particleMotionStdDev: 'number',
+    particleRssiStdDev: 'number',
+    fingerprintK: 'number',
+    fingerprintWeighted: 'boolean'
+};
+
+/**
+ * Optional per-radio fields stored in scenarios, with their expected types
+ * (calibration: see PositioningEngine.getRadioModel; pattern: antennaPatternGain;
+ * z: mounting height above the radio's floor in meters)
+ */
+const RADIO_PARAMETERS = {
+    txPower: 'number',
+    rssiAt1m: 'number',
+    pathLossExponent: 'number',
+    antennaGain: 'number',
+    orientation: 'number',
+    antennaPattern: 'string',
+    gainTable: 'array',
+    floor: 'number',
+    z: 'number'
+};
+
+/**
+ * Check a parsed scenario file, throwing an Error that names the first bad field
+ * Positions are in meters; settings, floors, device and floorPlan sections are optional
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} The same data
+ */
+function validateScenario(data) {
+    const fail = (message) => {
+        throw new Error(`Invalid scenario: ${message}`);
+    };
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const checkNumber = (value, path) => {
+        if (typeof value !== 'number' || !isFinite(value)) fail(`${path} must be a finite number`);
+    };
+    const checkPoint = (value, path) => {
+        if (!isObject(value)) fail(`${path} must be an object with x and y`);
+        checkNumber(value.x, `${path}.x`);
+        checkNumber(value.y, `${path}.y`);
+    };
+    const checkFloorPlan = (value, path) => {
+        if (!isObject(value)) fail(`${path} must be an object`);
+        for (const key of ['scale', 'opacity']) {
+            if (value[key] !== undefined) checkNumber(value[key], `${path}.${key}`);
+        }
+        if (value.image !== undefined && typeof value.image !== 'string') {
+            fail(`${path}.image must be a data URL string`);
+        }
+    };
+
+    if (!isObject(data)) fail('not a JSON object');
+    if (data.format !== SCENARIO_FORMAT) fail(`format must be "${SCENARIO_FORMAT}"`);
+    if (data.version !== SCENARIO_VERSION) {
+        fail(`unsupported version ${data.version} (expected ${SCENARIO_VERSION})`);
+    }
+
+    if (data.floors !== undefined) {
+        if (!Array.isArray(data.floors) || data.floors.length === 0) fail('floors must be a non-empty array');
+        data.floors.forEach((floor, i) => {
+            if (!isObject(floor)) fail(`floors[${i}] must be an object`);
+            if (floor.name !== undefined && typeof floor.name !== 'string') fail(`floors[${i}].name must be a string`);
+            if (floor.floorPlan !== undefined) checkFloorPlan(floor.floorPlan, `floors[${i}].floorPlan`);
+        });
+    }
+    const floorCount = data.floors ? data.floors.length : 1;
+    const checkFloor = (value, path) => {
+        if (value !== undefined && !(Number.isInteger(value) && value >= 0 && value < floorCount)) {
+            fail(`${path} must be a floor index from 0 to ${floorCount - 1}`);
+        }
+    };
+
+    if (!Array.isArray(data.radios)) fail('radios must be an array');
+    const labels = new Set();
+    data.radios.forEach((radio, i) => {
+        checkPoint(radio, `radios[${i}]`);
+        if (typeof radio.label !== 'string' || radio.label === '') {
+            fail(`radios[${i}].label must be a non-empty string`);
+        }
+        if (labels.has(radio.label)) fail(`radios[${i}].label "${radio.label}" is used by another radio`);
+        labels.add(radio.label);
+        for (const [key, type] of Object.entries(RADIO_PARAMETERS)) {
+            if (radio[key] === undefined || type !== 'number') continue;
+            checkNumber(radio[key], `radios[${i}].${key}`);
+        }
+        if (radio.antennaPattern !== undefined && !ANTENNA_PATTERNS[radio.antennaPattern]) {
+            fail(`radios[${i}].antennaPattern "${radio.antennaPattern}" is unknown`);
+        }
+        if (radio.gainTable !== undefined) {
+            const valid = Array.isArray(radio.gainTable) && radio.gainTable.every(row =>
+                Array.isArray(row) && row.length === 2 && row.every(v => typeof v === 'number' && isFinite(v))
+            );
+            if (!valid) fail(`radios[${i}].gainTable must be a list of [angle, gain] number pairs`);
+        }
+        if (radio.pathLossExponent !== undefined && radio.pathLossExponent <= 0) {
+            fail(`radios[${i}].pathLossExponent must be greater than 0`);
+        }
+        if (radio.z !== undefined && radio.z < 0) fail(`radios[${i}].z must not be negative`);
+        checkFloor(radio.floor, `radios[${i}].floor`);
+    });
+
+    if (!Array.isArray(data.walls)) fail('walls must be an array');
+    data.walls.forEach((wall, i) => {
+        if (!isObject(wall)) fail(`walls[${i}] must be an object`);
+        checkPoint(wall.start, `walls[${i}].start`);
+        checkPoint(wall.end, `walls[${i}].end`);
+        if (!WALL_MATERIALS[wall.material]) fail(`walls[${i}].material "${wall.material}" is unknown`);
+        if (wall.attenuation !== undefined) checkNumber(wall.attenuation, `walls[${i}].attenuation`);
+        checkFloor(wall.floor, `walls[${i}].floor`);
+    });
+
+    if (data.settings !== undefined) {
+        if (!isObject(data.settings)) fail('settings must be an object');
+        for (const [key, value] of Object.entries(data.settings)) {
+            const type = ENGINE_SETTINGS[key];
+            if (!type) fail(`settings.${key} is not a known setting`);
+            if (type === 'number') {
+                checkNumber(value, `settings.${key}`);
+            } else if (typeof value !== type) {
+                fail(`settings.${key} must be a ${type}`);
+            }
+        }
+        // Scales, standard deviations and heights the engine divides by or measures from
+        for (const key of ['pathLossExponent', 'kalmanR', 'kalmanQ', 'floorHeight', 'robustScale',
+            'trackerProcessNoise', 'trackerMeasurementNoise', 'particleMotionStdDev', 'particleRssiStdDev']) {
+            if (data.settings[key] !== undefined && data.settings[key] <= 0) fail(`settings.${key} must be greater than 0`);
+        }
+        for (const key of ['noiseStdDev', 'floorAttenuation', 'radioHeight', 'deviceHeight']) {
+            if (data.settings[key] !== undefined && data.settings[key] < 0) fail(`settings.${key} must not be negative`);
+        }
+        const fingerprintK = data.settings.fingerprintK;
+        if (fingerprintK !== undefined && !(Number.isInteger(fingerprintK) && fingerprintK >= 1)) {
+            fail('settings.fingerprintK must be a positive integer');
+        }
+        if (data.settings.solver !== undefined && !POSITIONING_ALGORITHMS[data.settings.solver]) {
+            fail(`settings.solver "${data.settings.solver}" is not a registered algorithm`);
+        }
+        if (data.settings.multipathCombining !== undefined &&
+            !['coherent', 'power'].includes(data.settings.multipathCombining)) {
+            fail('settings.multipathCombining must be "coherent" or "power"');
+        }
+        if (data.settings.robustLoss !== undefined &&
+            !['none', 'huber', 'cauchy', 'tukey'].includes(data.settings.robustLoss)) {
+            fail('settings.robustLoss must be "none", "huber", "cauchy" or "tukey"');
+        }
+        if (data.settings.reflectionOrder !== undefined && ![1, 2].includes(data.settings.reflectionOrder)) {
+            fail('settings.reflectionOrder must be 1 or 2');
+        }
+        const particleCount = data.settings.particleCount;
+        if (particleCount !== undefined &&
+            !(Number.isInteger(particleCount) && particleCount >= 100 && particleCount <= 5000)) {
+            fail('settings.particleCount must be an integer from 100 to 5000');
+        }
+    }
+
+    if (data.device !== undefined) {
+        checkPoint(data.device, 'device');
+        checkFloor(data.device.floor, 'device.floor');
+    }
+
+    // Single-floor files keep their floor plan at the top level
+    if (data.floorPlan !== undefined) checkFloorPlan(data.floorPlan, 'floorPlan');
+
+    return data;
+}
+
+// =============================================================================
+// Seeded Random Numbers
+// =============================================================================
+
+/**
+ * Deterministic uniform generator (mulberry32) with the Math.random interface
+ * @param {Number} seed - 32-bit integer seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// =============================================================================
+// Scalar Kalman Filter (RSSI smoothing)
+// =============================================================================
+
+/**
+ * One-dimensional Kalman filter for smoothing a noisy RSSI stream.
+ * Port of kalmanjs 1.1.0 (MIT), which the simulator used to load from a CDN,
+ * so that the engine runs without it. Note that kalmanjs names are kept:
+ * R is the process noise and Q the measurement noise.
+ */
+class KalmanFilter {
+    constructor({ R = 1, Q = 1, A = 1, B = 0, C = 1 } = {}) {
+        this.R = R; // Process noise
+        this.Q = Q; // Measurement noise
+        this.A = A; // State vector
+        this.B = B; // Control vector
+        this.C = C; // Measurement vector
+
+        this.cov = NaN;
+        this.x = NaN; // Estimated signal without noise
+    }
+
+    /**
+     * Filter a new measurement
+     * @param {Number} z - Measurement
+     * @param {Number} u - Control
+     */
+    filter(z, u = 0) {
+        if (isNaN(this.x)) {
+            this.x = (1 / this.C) * z;
+            this.cov = (1 / this.C) * this.Q * (1 / this.C);
+        } else {
+            // Compute prediction
+            const predX = this.predict(u);
+            const predCov = this.uncertainty();
+
+            // Kalman gain
+            const K = predCov * this.C * (1 / ((this.C * predCov * this.C) + this.Q));
+
+            // Correction
+            this.x = predX + K * (z - (this.C * predX));
+            this.cov = predCov - (K * this.C * predCov);
+        }
+
+        return this.x;
+    }
+
+    predict(u = 0) {
+        return (this.A * this.x) + (this.B * u);
+    }
+
+    uncertainty() {
+        return ((this.A * this.cov) * this.A) + this.R;
+    }
+
+    lastMeasurement() {
+        return this.x;
+    }
+}
+
+// =============================================================================
+// Position Tracker (constant-velocity Kalman filter)
+// =============================================================================
+
+/**
+ * Smooths a stream of position fixes with a constant-velocity model
+ * State per axis is [position, velocity]; the axes are independent because
+ * fixes are treated as isotropic
+ */
+class PositionTracker {
+    /**
+     * @param {Object} options
+     * @param {Number} options.processNoise - Acceleration std dev (units/s²)
+     * @param {Number} options.measurementNoise - Fix std dev (units)
+     * @param {Number} options.initialSpeedStdDev - Velocity std dev at the first fix (units/s)
+     * @param {Number} options.maxGap - Seconds without updates before the track restarts
+     */
+    constructor({ processNoise = 20, measurementNoise = 60, initialSpeedStdDev = 80, maxGap = 2 } = {}) {
+        this.processNoise = processNoise;
+        this.measurementNoise = measurementNoise;
+        this.initialSpeedStdDev = initialSpeedStdDev;
+        this.maxGap = maxGap;
+        this.reset();
+    }
+
+    reset() {
+        this.axes = null;  // [{ p, v, pp, pv, vv }] for x and y
+        this.time = null;
+    }
+
+    /**
+     * Fuse a new fix
+     * @param {Object} position - Solved position {x, y}
+     * @param {Number} time - Timestamp in seconds
+     * @returns {Object} Tracked state (see getState)
+     */
+    update(position, time) {
+        if (!this.advance(time)) {
+            const r2 = this.measurementNoise * this.measurementNoise;
+            const s2 = this.initialSpeedStdDev * this.initialSpeedStdDev;
+            this.axes = [position.x, position.y].map(p => ({ p, v: 0, pp: r2, pv: 0, vv: s2 }));
+            this.time = time;
+            return this.getState();
+        }
+
+        const r2 = this.measurementNoise * this.measurementNoise;
+        [position.x, position.y].forEach((z, i) => {
+            const axis = this.axes[i];
+            const s = axis.pp + r2;
+            const kp = axis.pp / s;
+            const kv = axis.pv / s;
+            const innovation = z - axis.p;
+
+            axis.p += kp * innovation;
+            axis.v += kv * innovation;
+            axis.vv -= kv * axis.pv;
+            axis.pv *= 1 - kp;
+            axis.pp *= 1 - kp;
+        });
+
+        return this.getState();
+    }
+
+    /**
+     * Predict through a missing fix
+     * @returns {Object|null} Tracked state, or null once the track is lost
+     */
+    coast(time) {
+        if (!this.advance(time)) {
+            this.reset();
+            return null;
+        }
+        return this.getState();
+    }
+
+    /**
+     * Predict the state forward to a timestamp
+     * @returns {Boolean} false when there is no track to continue
+     */
+    advance(time) {
+        if (!this.axes) return false;
+
+        const dt = time - this.time;
+        if (!(dt >= 0) || dt > this.maxGap) return false;
+        this.time = time;
+
+        // Discrete white-noise acceleration model
+        const q = this.processNoise * this.processNoise;
+        for (const axis of this.axes) {
+            axis.p += axis.v * dt;
+            axis.pp += 2 * dt * axis.pv + dt * dt * axis.vv + q * Math.pow(dt, 4) / 4;
+            axis.pv += dt * axis.vv + q * Math.pow(dt, 3) / 2;
+            axis.vv += q * dt * dt;
+        }
+        return true;
+    }
+
+    /**
+     * @returns {Object|null} { x, y, vx, vy, covariance: {xx, xy, yy} }
+     */
+    getState() {
+        if (!this.axes) return null;
+
+        const [ax, ay] = this.axes;
+        return {
+            x: ax.p,
+            y: ay.p,
+            vx: ax.v,
+            vy: ay.v,
+            covariance: { xx: ax.pp, xy: 0, yy: ay.pp }
+        };
+    }
+}
+
+// =============================================================================
+// Particle Filter
+// =============================================================================
+
+/**
+ * Sequential Monte Carlo localization
+ * Particles random-walk between updates (moves through walls are rejected)
+ * and are weighted by the RSSI likelihood of the engine's path-loss model,
+ * so multimodal position beliefs survive until the measurements separate them
+ */
+class ParticleFilter {
+    /**
+     * @param {PositioningEngine} engine - Supplies the RSSI model, walls and area bounds
+     * @param {Object} options
+     * @param {Number} options.count - Number of particles
+     * @param {Number} options.motionStdDev - Random-walk std dev per axis (units per √s)
+     * @param {Number} options.rssiStdDev - Measurement std dev of the RSSI likelihood (dB)
+     * @param {Number} options.resampleThreshold - Resample below this effective sample fraction
+     * @param {Number} options.injectionRate - Fraction of particles respawned uniformly on resample
+     * @param {Number} options.maxGap - Seconds without updates before the cloud is re-spread
+     */
+    constructor(engine, {
+        count = 500,
+        motionStdDev = 40,
+        rssiStdDev = 6,
+        resampleThreshold = 0.5,
+        injectionRate = 0.02,
+        maxGap = 2
+    } = {}) {
+        this.engine = engine;
+        this.count = count;
+        this.motionStdDev = motionStdDev;
+        this.rssiStdDev = rssiStdDev;
+        this.resampleThreshold = resampleThreshold;
+        this.injectionRate = injectionRate;
+        this.maxGap = maxGap;
+        this.reset();
+    }
+
+    reset() {
+        this.particles = [];  // [{ x, y, weight }]
+        this.time = null;
+        this.floor = null;    // Floor estimated from the last measurements (null = active floor)
+    }
+
+    /**
+     * Spread all particles uniformly over the engine area
+     */
+    initialize() {
+        this.particles = [];
+        for (let i = 0; i < this.count; i++) {
+            this.particles.push({ ...this.randomPosition(), weight: 1 / this.count });
+        }
+    }
+
+    randomPosition() {
+        const { width, height } = this.engine;
+        if (!isFinite(width) || !isFinite(height)) {
+            throw new Error('Engine width and height are required for the particle filter');
+        }
+        return { x: this.engine.random() * width, y: this.engine.random() * height };
+    }
+
+    /**
+     * Advance the filter with a new set of RSSI measurements
+     * @param {Array} measurements - Result of measure() (may hold fewer than 3 radios)
+     * @param {Number} time - Timestamp in seconds
+     * @returns {Object|null} Estimate (see getEstimate)
+     */
+    step(measurements, time) {
+        const dt = this.time === null ? NaN : time - this.time;
+        this.time = time;
+        if (measurements.length > 0) {
+            this.floor = this.engine.estimateFloor(measurements);
+        }
+
+        if (this.particles.length === 0 || !(dt >= 0) || dt > this.maxGap) {
+            this.initialize();
+        } else {
+            this.predict(dt);
+        }
+
+        if (measurements.length > 0) {
+            this.weigh(measurements);
+            if (this.effectiveSampleSize() < this.resampleThreshold * this.count) {
+                this.resample();
+            }
+        }
+
+        return this.getEstimate();
+    }
+
+    /**
+     * Random-walk every particle, keeping it in place when the move would
+     * cross a wall or leave the area
+     */
+    predict(dt) {
+        const stdDev = this.motionStdDev * Math.sqrt(dt);
+        if (stdDev === 0) return;
+
+        const { width, height } = this.engine;
+        const walls = this.engine.wallsOnFloor(this.floor ?? this.engine.activeFloor);
+        for (const p of this.particles) {
+            const next = {
+                x: p.x + this.engine.gaussianRandom(0, stdDev),
+                y: p.y + this.engine.gaussianRandom(0, stdDev)
+            };
+
+            if (next.x < 0 || next.x > width || next.y < 0 || next.y > height) continue;
+            if (walls.length > 0 && findWallIntersections(p, next, walls).length > 0) continue;
+
+            p.x = next.x;
+            p.y = next.y;
+        }
+    }
+
+    /**
+     * Multiply particle weights by the Gaussian RSSI likelihood
+     */
+    weigh(measurements) {
+        const variance = this.rssiStdDev * this.rssiStdDev;
+
+        // Work in log space and normalise against the best particle to avoid underflow
+        const logLikelihoods = this.particles.map(p => {
+            let sum = 0;
+            for (const m of measurements) {
+                const receiver = { x: p.x, y: p.y, floor: this.floor ?? this.engine.activeFloor };
+                const distance = this.engine.signalDistance(m.radio, receiver);
+                const residual = m.rssi - this.engine.modelRSSI(distance, m.radio, receiver);
+                sum -= residual * residual / (2 * variance);
+            }
+            return sum + Math.log(p.weight);
+        });
+
+        const best = Math.max(...logLikelihoods);
+        let total = 0;
+        this.particles.forEach((p, i) => {
+            p.weight = Math.exp(logLikelihoods[i] - best);
+            total += p.weight;
+        });
+        for (const p of this.particles) {
+            p.weight /= total;
+        }
+    }
+
+    effectiveSampleSize() {
+        let sumSquares = 0;
+        for (const p of this.particles) {
+            sumSquares += p.weight * p.weight;
+        }
+        return sumSquares > 0 ? 1 / sumSquares : 0;
+    }
+
+    /**
+     * Systematic resampling with a few uniformly respawned particles so the
+     * filter can recover when the device jumps (e.g. dragged across the map)
+     */
+    resample() {
+        const injected = Math.round(this.count * this.injectionRate);
+        const drawn = this.count - injected;
+        const resampled = [];
+
+        const step = 1 / drawn;
+        let target = this.engine.random() * step;
+        let cumulative = 0;
+        let i = -1;
+        for (let k = 0; k < drawn; k++) {
+            while (cumulative < target && i < this.particles.length - 1) {
+                i++;
+                cumulative += this.particles[i].weight;
+            }
+            const source = this.particles[Math.max(0, i)];
+            resampled.push({ x: source.x, y: source.y, weight: 1 / this.count });
+            target += step;
+        }
+
+        for (let k = 0; k < injected; k++) {
+            resampled.push({ ...this.randomPosition(), weight: 1 / this.count });
+        }
+
+        this.particles = resampled;
+    }
+
+    /**
+     * Weighted mean and covariance of the particle cloud
+     * @returns {Object|null} { x, y, covariance: {xx, xy, yy}, effectiveSampleSize }
+     */
+    getEstimate() {
+        if (this.particles.length === 0) return null;
+
+        let x = 0, y = 0;
+        for (const p of this.particles) {
+            x += p.weight * p.x;
+            y += p.weight * p.y;
+        }
+
+        let xx = 0, xy = 0, yy = 0;
+        for (const p of this.particles) {
+            const dx = p.x - x;
+            const dy = p.y - y;
+            xx += p.weight * dx * dx;
+            xy += p.weight * dx * dy;
+            yy += p.weight * dy * dy;
+        }
+
+        return {
+            x, y,
+            covariance: { xx, xy, yy },
+            effectiveSampleSize: this.effectiveSampleSize()
+        };
+    }
+}
+
+// =============================================================================
+// CSV Fields
+// =============================================================================
+
+/**
+ * Quote a CSV field per RFC 4180 when it holds a delimiter, quote or line break
+ * (free-text radio labels end up in exported headers and rows)
+ */
+function csvField(value) {
+    const text = String(value);
+    return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split one CSV line on commas, semicolons or tabs, honouring quoted fields
+ * written by csvField; unquoted fields are trimmed
+ */
+function splitCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    let wasQuoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field.trim() === '') {
+            quoted = wasQuoted = true;
+            field = '';
+        } else if (char === ',' || char === ';' || char === '\t') {
+            fields.push(wasQuoted ? field : field.trim());
+            field = '';
+            wasQuoted = false;
+        } else if (!wasQuoted) {
+            field += char;
+        }
+    }
+    fields.push(wasQuoted ? field : field.trim());
+    return fields;
+}
+
+// =============================================================================
+// Path-Loss Calibration
+// =============================================================================
+
+/**
+ * Solve A·x = b by Gaussian elimination with partial pivoting
+ * @param {Array} A - Square matrix as an array of rows (not modified)
+ * @param {Array} b - Right-hand side
+ * @returns {Array|null} Solution, or null when A is singular
+ */
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-9) return null;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = m[row][col] / m[col][col];
+            for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = m[row][n];
+        for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+        x[row] = sum / m[row][row];
+    }
+    return x;
+}
+
+/**
+ * Parse calibration samples from CSV with columns x,y,radio,rssi
+ * (positions in meters, radio is the label); a header row is skipped
+ * @param {String} text - File contents
+ * @returns {Array} [{x, y, radio, rssi}]
+ */
+function parseCalibrationSamples(text) {
+    const samples = [];
+
+    text.split(/\r?\n/).forEach((line, i) => {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) return;
+
+        const fields = splitCSVLine(trimmed);
+        const [x, y, rssi] = [fields[0], fields[1], fields[3]].map(parseFloat);
+
+        if (fields.length < 4 || fields[2] === '' || ![x, y, rssi].every(isFinite)) {
+            if (samples.length === 0 && isNaN(x)) return;  // Header row
+            throw new Error(`Calibration line ${i + 1}: expected "x,y,radio,rssi", got "${trimmed}"`);
+        }
+        samples.push({ x, y, radio: fields[2], rssi });
+    });
+
+    if (samples.length === 0) {
+        throw new Error('No calibration samples found');
+    }
+    return samples;
+}
+
+// =============================================================================
+// Simulated Datasets
+// =============================================================================
+
+/**
+ * Device positions at a fixed sample interval along one pass of a trajectory
+ * (one lap for looping paths)
+ * @param {Trajectory} trajectory
+ * @param {Number} speed - Units per second
+ * @param {Number} interval - Seconds between samples
+ * @returns {Array} [{time, x, y}]
+ */
+function sampleTrajectory(trajectory, speed, interval) {
+    if (!(speed > 0) || !(interval > 0)) {
+        throw new Error('Speed and sample interval must be positive');
+    }
+
+    const duration = trajectory.length / speed;
+    const samples = [];
+    for (let i = 0; i * interval <= duration + 1e-9; i++) {
+        const time = i * interval;
+        const position = trajectory.positionAt(time * speed);
+        samples.push({ time, x: position.x, y: position.y });
+    }
+    return samples;
+}
+
+/**
+ * Device positions on a grid, each held for a number of readings; the Kalman
+ * filters restart at every point since the device jumps between them
+ * @param {Number} width - Area width
+ * @param {Number} height - Area height
+ * @param {Number} spacing - Grid spacing (same units)
+ * @param {Number} readings - Samples per point
+ * @param {Number} interval - Seconds between samples
+ * @returns {Array} [{time, x, y, reset}]
+ */
+function sampleGrid(width, height, spacing, readings, interval) {
+    if (!(spacing > 0) || !(readings >= 1) || !(interval > 0)) {
+        throw new Error('Grid spacing, readings and sample interval must be positive');
+    }
+
+    const samples = [];
+    for (let y = spacing / 2; y < height; y += spacing) {
+        for (let x = spacing / 2; x < width; x += spacing) {
+            for (let i = 0; i < readings; i++) {
+                samples.push({ time: samples.length * interval, x, y, reset: i === 0 });
+            }
+        }
+    }
+    return samples;
+}
+
+/**
+ * Flatten a dataset from PositioningEngine.generateDataset into CSV: one row
+ * per sample, with raw RSSI, filtered RSSI, estimated distance and wall count
+ * columns for each radio (empty cells for missing values)
+ * @param {Object} dataset
+ * @returns {String} CSV text with a header row
+ */
+function datasetToCSV(dataset) {
+    const cell = (value, digits) => value === null ? '' : value.toFixed(digits);
+    const header = ['time', 'true_x', 'true_y', 'est_x', 'est_y', 'error'];
+    for (const radio of dataset.radios) {
+        header.push(...['raw_rssi', 'rssi', 'est_dist', 'walls'].map(column => csvField(`${radio.label}_${column}`)));
+    }
+
+    const lines = [header.join(',')];
+    for (const sample of dataset.samples) {
+        const estimate = sample.estimate || { x: null, y: null };
+        const row = [
+            sample.time.toFixed(3),
+            cell(sample.truth.x, 3), cell(sample.truth.y, 3),
+            cell(estimate.x, 3), cell(estimate.y, 3),
+            cell(sample.error, 3)
+        ];
+        for (const reading of sample.readings) {
+            row.push(cell(reading.rawRssi, 2), cell(reading.rssi, 2), cell(reading.estimatedDistance, 3), reading.walls);
+        }
+        lines.push(row.join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// =============================================================================
+// RSSI Log Replay
+// =============================================================================
+
+/**
+ * Accepted names of each RSSI log field (CSV header or JSON key, case-insensitive)
+ */
+const RSSI_LOG_FIELDS = {
+    time: ['timestamp', 'time', 't', 'ts'],
+    beacon: ['beacon', 'beacon_id', 'beaconid', 'id', 'mac', 'address'],
+    rssi: ['rssi'],
+    x: ['x', 'true_x'],
+    y: ['y', 'true_y']
+};
+
+/**
+ * Seconds from a log timestamp: plain seconds, epoch milliseconds (> 1e11)
+ * or an ISO 8601 date string
+ */
+function parseLogTimestamp(value) {
+    const number = typeof value === 'number' ? value :
+        (/^\s*-?[\d.]+(e[+-]?\d+)?\s*$/i.test(value) ? parseFloat(value) : NaN);
+    if (isFinite(number)) {
+        return number > 1e11 ? number / 1000 : number;
+    }
+    return Date.parse(value) / 1000;
+}
+
+/**
+ * Parse a recorded scan log, either CSV with a header row or JSON lines
+ * Each reading has a timestamp, a beacon id or MAC, the RSSI in dBm and
+ * optionally the ground truth position x, y in meters (see RSSI_LOG_FIELDS)
+ * @param {String} text - File contents
+ * @returns {Array} [{time, beacon, rssi, truth}] sorted by time, with time in
+ *   seconds since the first reading and truth {x, y} or null
+ */
+function parseRssiLog(text) {
+    const lines = text.split(/\r?\n/)
+        .map((line, i) => ({ text: line.trim(), number: i + 1 }))
+        .filter(line => line.text !== '' && !line.text.startsWith('#'));
+    if (lines.length === 0) {
+        throw new Error('RSSI log is empty');
+    }
+
+    const findKey = (keys, field) => keys.find(k => RSSI_LOG_FIELDS[field].includes(k.toLowerCase()));
+    const pick = (row, field) => row[findKey(Object.keys(row), field)];
+
+    let rows;
+    if (lines[0].text.startsWith('{')) {
+        rows = lines.map(line => {
+            let row;
+            try {
+                row = JSON.parse(line.text);
+            } catch (error) {
+                throw new Error(`RSSI log line ${line.number}: invalid JSON (${error.message})`);
+            }
+            if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+                throw new Error(`RSSI log line ${line.number}: expected a JSON object`);
+            }
+            return { row, number: line.number };
+        });
+    } else {
+        const split = (line) => line.split(/\s*[,;\t]\s*/);
+        const header = split(lines[0].text);
+        if (!['time', 'beacon', 'rssi'].every(field => findKey(header, field) !== undefined)) {
+            throw new Error('CSV RSSI log needs a header row with timestamp, beacon (or mac) and rssi columns');
+        }
+        rows = lines.slice(1).map(line => {
+            const values = split(line.text);
+            return { row: Object.fromEntries(header.map((h, i) => [h, values[i]])), number: line.number };
+        });
+    }
+
+    const records = rows.map(({ row, number }) => {
+        const fail = (message) => {
+            throw new Error(`RSSI log line ${number}: ${message}`);
+        };
+        const time = parseLogTimestamp(pick(row, 'time'));
+        const beacon = pick(row, 'beacon');
+        const rssi = parseFloat(pick(row, 'rssi'));
+        if (!isFinite(time)) fail('missing or unreadable timestamp');
+        if (beacon === undefined || beacon === '') fail('missing beacon id');
+        if (!isFinite(rssi)) fail('missing or non-numeric rssi');
+
+        // Ground truth is optional, but must be complete when given
+        const x = pick(row, 'x');
+        const y = pick(row, 'y');
+        let truth = null;
+        if ((x !== undefined && x !== '') || (y !== undefined && y !== '')) {
+            truth = { x: parseFloat(x), y: parseFloat(y) };
+            if (!isFinite(truth.x) || !isFinite(truth.y)) fail('ground truth needs numeric x and y');
+        }
+
+        return { time, beacon: String(beacon), rssi, truth };
+    });
+
+    records.sort((a, b) => a.time - b.time);
+    const start = records[0].time;
+    for (const record of records) record.time -= start;
+    return records;
+}
+
+/**
+ * Replays a parsed RSSI log against the engine's radios
+ * Readings go through the engine's RSSI Kalman filters in time order and the
+ * latest reading of each radio (if not older than maxAge) forms the measurement
+ * set. Beacons match radios by label, ignoring case, so radios can be renamed
+ * to the beacon MACs.
+ */
+class RssiLogPlayer {
+    /**
+     * @param {PositioningEngine} engine - Supplies radios, filters and the model
+     * @param {Array} records - Result of parseRssiLog
+     * @param {Object} options - { maxAge } in seconds
+     */
+    constructor(engine, records, { maxAge = 2 } = {}) {
+        this.engine = engine;
+        this.records = records;
+        this.maxAge = maxAge;
+        this.duration = records.length > 0 ? records[records.length - 1].time : 0;
+        this.beacons = [...new Set(records.map(r => r.beacon))];
+
+        // Ground truth track in engine units
+        this.truthTrack = records.filter(r => r.truth).map(r => ({
+            time: r.time,
+            x: r.truth.x * engine.scale,
+            y: r.truth.y * engine.scale
+        }));
+
+        this.seek(0);
+    }
+
+    get hasGroundTruth() {
+        return this.truthTrack.length > 0;
+    }
+
+    get finished() {
+        return this.time >= this.duration;
+    }
+
+    findRadio(beacon) {
+        const id = beacon.toLowerCase();
+        return this.engine.radios.find(r => r.label.toLowerCase() === id) || null;
+    }
+
+    /**
+     * Beacon ids in the log without a radio of the same label
+     */
+    unmatchedBeacons() {
+        return this.beacons.filter(beacon => !this.findRadio(beacon));
+    }
+
+    /**
+     * Jump to a time by replaying from the start with fresh Kalman filters
+     * @param {Number} time - Seconds since the first reading
+     */
+    seek(time) {
+        this.engine.resetKalmanFilters();
+        this.index = 0;
+        this.latest = new Map();  // radio -> { rssi, time }
+        this.time = 0;
+        this.advance(time);
+    }
+
+    /**
+     * Feed every reading up to a later time through the filters
+     * @param {Number} time - Seconds since the first reading (clamped to the log)
+     */
+    advance(time) {
+        this.time = Math.max(0, Math.min(this.duration, time));
+        const engine = this.engine;
+
+        while (this.index < this.records.length && this.records[this.index].time <= this.time) {
+            const record = this.records[this.index++];
+            const radio = this.findRadio(record.beacon);
+            if (!radio) continue;
+
+            let rssi = record.rssi;
+            const radioIndex = engine.radios.indexOf(radio);
+            if (engine.enableKalmanFilter && radioIndex < engine.rssiKalmanFilters.length) {
+                rssi = engine.rssiKalmanFilters[radioIndex].filter(rssi);
+            }
+            this.latest.set(radio, { rssi, time: record.time });
+        }
+    }
+
+    /**
+     * Current measurement set, shaped like PositioningEngine.measure()
+     * trueDistance is null when the log has no ground truth
+     */
+    measurements() {
+        const engine = this.engine;
+        const truth = this.groundTruth();
+        const measurements = [];
+
+        for (const radio of engine.radios) {
+            const reading = this.latest.get(radio);
+            if (!reading || this.time - reading.time > this.maxAge || reading.rssi < engine.minRSSI) continue;
+
+            measurements.push({
+                radio: radio,
+                rssi: reading.rssi,
+                trueDistance: truth ? engine.signalDistance(radio, truth) : null,
+                estimatedDistance: engine.estimateDistanceFromRSSI(reading.rssi, radio),
+                wallIntersections: truth && engine.enableWalls ? engine.findPathWalls(radio, truth) : []
+            });
+        }
+
+        return measurements;
+    }
+
+    /**
+     * Ground truth at the current time, linearly interpolated between logged
+     * positions and held before the first and after the last
+     * @returns {Object|null} {x, y} in engine units
+     */
+    groundTruth() {
+        const track = this.truthTrack;
+        if (track.length === 0) return null;
+
+        // Last logged position at or before the current time
+        let lo = 0, hi = track.length - 1;
+        if (this.time <= track[0].time) return { x: track[0].x, y: track[0].y };
+        if (this.time >= track[hi].time) return { x: track[hi].x, y: track[hi].y };
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (track[mid].time <= this.time) lo = mid; else hi = mid;
+        }
+
+        const a = track[lo], b = track[hi];
+        const f = b.time > a.time ? (this.time - a.time) / (b.time - a.time) : 0;
+        return { x: a.x + f * (b.x - a.x), y: a.y + f * (b.y - a.y) };
+    }
+}
+
+// =============================================================================
+// Accuracy Statistics
+// =============================================================================
+
+/**
+ * Value at percentile p of an ascending-sorted array (linear interpolation)
+ * @param {Array} sorted - Values sorted ascending
+ * @param {Number} p - Percentile in [0, 1]
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return NaN;
+
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    const fraction = index - lower;
+
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * fraction;
+}
+
+/**
+ * Summarize a set of position errors
+ * CEP50/CEP90 are the radii containing 50%/90% of the fixes
+ * @param {Array} errors - Position errors (meters) of successful fixes
+ * @param {Number} failures - Number of attempts that produced no fix
+ * @returns {Object} Summary statistics, with `errors` sorted ascending for CDF plots
+ */
+function computeErrorStatistics(errors, failures = 0) {
+    const sorted = [...errors].sort((a, b) => a - b);
+    const attempts = sorted.length + failures;
+
+    let sum = 0;
+    let sumSquares = 0;
+    for (const e of sorted) {
+        sum += e;
+        sumSquares += e * e;
+    }
+
+    return {
+        samples: attempts,
+        fixes: sorted.length,
+        failures: failures,
+        failureRate: attempts > 0 ? failures / attempts : 0,
+        mean: sorted.length > 0 ? sum / sorted.length : NaN,
+        median: percentile(sorted, 0.5),
+        rmse: sorted.length > 0 ? Math.sqrt(sumSquares / sorted.length) : NaN,
+        cep50: percentile(sorted, 0.5),
+        cep90: percentile(sorted, 0.9),
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : NaN,
+        errors: sorted
+    };
+}
+
+// =============================================================================
+// Device Trajectories
+// =============================================================================
+
+/**
+ * Polyline path a moving device follows at constant speed
+ */
+class Trajectory {
+    /**
+     * @param {Array} waypoints - Points {x, y} in position units (at least 2)
+     * @param {Object} options
+     * @param {Boolean} options.loop - Return from the last waypoint to the first
+     */
+    constructor(waypoints, { loop = false } = {}) {
+        if (!waypoints || waypoints.length < 2) {
+            throw new Error('A trajectory needs at least 2 waypoints');
+        }
+
+        this.waypoints = waypoints.map(p => ({ x: p.x, y: p.y }));
+        this.loop = loop;
+
+        // Cumulative distance at the start of each segment
+        this.segments = [];
+        let total = 0;
+        const points = this.getPathPoints();
+        for (let i = 0; i < points.length - 1; i++) {
+            const length = Math.hypot(points[i + 1].x - points[i].x, points[i + 1].y - points[i].y);
+            this.segments.push({ start: points[i], end: points[i + 1], offset: total, length });
+            total += length;
+        }
+        this.length = total;
+    }
+
+    /**
+     * Waypoints in travel order, closed back to the start when looping
+     */
+    getPathPoints() {
+        return this.loop ? [...this.waypoints, this.waypoints[0]] : this.waypoints;
+    }
+
+    /**
+     * Position after travelling a distance along the path
+     * Looping paths wrap around; open paths stop at the last waypoint
+     * @returns {Object} { x, y, heading } - heading in radians from +x
+     */
+    positionAt(distance) {
+        if (this.length === 0) {
+            return { x: this.waypoints[0].x, y: this.waypoints[0].y, heading: 0 };
+        }
+
+        const d = this.loop ?
+            ((distance % this.length) + this.length) % this.length :
+            Math.max(0, Math.min(this.length, distance));
+
+        let segment = this.segments[this.segments.length - 1];
+        for (const s of this.segments) {
+            if (d <= s.offset + s.length) {
+                segment = s;
+                break;
+            }
+        }
+
+        const t = segment.length > 0 ? (d - segment.offset) / segment.length : 0;
+        return {
+            x: segment.start.x + (segment.end.x - segment.start.x) * t,
+            y: segment.start.y + (segment.end.y - segment.start.y) * t,
+            heading: Math.atan2(segment.end.y - segment.start.y, segment.end.x - segment.start.x)
+        };
+    }
+
+    /**
+     * Whether an open path has been walked to its end
+     */
+    isFinished(distance) {
+        return !this.loop && distance >= this.length;
+    }
+}
+
+/**
+ * Scripted walking paths covering a rectangular area
+ * @param {String} name - 'perimeter', 'zigzag' or 'diagonal'
+ * @param {Number} width - Area width
+ * @param {Number} height - Area height
+ * @param {Number} margin - Distance kept from the area edges
+ */
+function createPresetTrajectory(name, width, height, margin = 100) {
+    const left = margin, right = width - margin;
+    const top = margin, bottom = height - margin;
+
+    switch (name) {
+        case 'perimeter':
+            return new Trajectory([
+                { x: left, y: top }, { x: right, y: top },
+                { x: right, y: bottom }, { x: left, y: bottom }
+            ], { loop: true });
+        case 'zigzag': {
+            // Lawnmower sweep in 4 lanes
+            const lanes = 4;
+            const waypoints = [];
+            for (let i = 0; i < lanes; i++) {
+                const y = top + (bottom - top) * i / (lanes - 1);
+                const [from, to] = i % 2 === 0 ? [left, right] : [right, left];
+                waypoints.push({ x: from, y }, { x: to, y });
+            }
+            return new Trajectory(waypoints);
+        }
+        case 'diagonal':
+            return new Trajectory([{ x: left, y: top }, { x: right, y: bottom }]);
+        default:
+            throw new Error(`Unknown trajectory preset: ${name}`);
+    }
+}
+
+// =============================================================================
+// Positioning Engine
+// =============================================================================
+
+/**
+ * Headless positioning engine: RSSI path-loss model, wall attenuation and
+ * trilateration solvers. Holds the model parameters, the radios (anchors)
+ * and the walls; the simulator UI only reads and writes these fields.
+ */
+class PositioningEngine {
+    /**
+     * @param {Object} options - Initial parameters (any field below)
+     * @param {Number} options.scale - Units per meter (40 = simulator pixels)
+     * @param {Number} options.width - Area width, used to reject diverged fixes
+     * @param {Number} options.height - Area height, used to reject diverged fixes
+     */
+    constructor(options = {}) {
+        // Scale factor (units per meter)
+        this.scale = 40;
+
+        // Area bounds (Infinity = no bounds check)
+        this.width = Infinity;
+        this.height = Infinity;
+
+        // RSSI Model Parameters (configurable)
+        this.txPower = -59;           // dBm at 1 meter
+        this.pathLossExponent = 2.7;  // n (2.0 = free space, 2.7-3.5 = indoor)
+        this.minRSSI = -100;          // Minimum detectable RSSI
+
+        // Noise settings
+        this.enableNoise = false;
+        this.noiseStdDev = 5;
+        this.seed = 1;  // Seed of the random source; reseed() restarts its sequence
+
+        // Kalman filter settings (Phase 1 improvement)
+        this.enableKalmanFilter = true;
+        this.kalmanR = 0.01;  // Measurement noise covariance
+        this.kalmanQ = 3;     // Process noise covariance
+
+        // Position tracker (constant-velocity Kalman filter on solved fixes)
+        this.enablePositionTracking = false;
+        this.trackerProcessNoise = 0.5;      // Acceleration std dev (m/s²)
+        this.trackerMeasurementNoise = 1.5;  // Fix std dev (m)
+
+        // Particle filter (alternative to trilateration for multimodal cases)
+        this.enableParticleFilter = false;
+        this.particleCount = 500;
+        this.particleMotionStdDev = 1;   // Random walk per axis (m/√s)
+        this.particleRssiStdDev = 6;     // RSSI likelihood std dev (dB)
+
+        // Fingerprinting (radio map built or imported separately)
+        this.radioMap = null;
+        this.fingerprintK = 4;
+        this.fingerprintWeighted = true;
+
+        // Wall options
+        this.enableWalls = false;
+        this.enableAngleEffect = true;
+        this.enableCumulativeEffect = true;
+
+        // Multipath: specular reflections off the walls (needs walls enabled)
+        this.enableMultipath = false;
+        this.reflectionOrder = 2;              // 1 = single bounces, 2 = also double bounces
+        this.multipathCombining = 'coherent';  // 'coherent' (phases interfere) or 'power' (powers add)
+        this.wavelength = 0.125;               // m (2.4 GHz)
+
+        // Building floors: radios and walls carry a `floor` index (default 0),
+        // receivers too, falling back to the active floor (the one on display,
+        // used for the device, maps and benchmarks)
+        this.floors = [{ name: 'Floor 1' }];
+        this.floorHeight = 3;        // Slab to slab (m)
+        this.floorAttenuation = 15;  // Loss per slab crossed (dB)
+        this.activeFloor = 0;
+
+        // Heights above the floor (m) for radios and receivers without their
+        // own `z`; equal heights make ranging planar
+        this.radioHeight = 1;
+        this.deviceHeight = 1;
+        this.estimateHeight = false;  // Solve for the receiver height too (see trilaterate3D)
+
+        // Solver options
+        this.solver = 'gauss-newton';  // Key in POSITIONING_ALGORITHMS
+        this.robustLoss = 'none';      // 'none', 'huber', 'cauchy' or 'tukey' (LM only)
+        this.robustScale = 2;          // Robust loss tuning constant (meters)
+
+        Object.assign(this, options);
+
+        // Uniform random source for all noise (RSSI, particles, random sampling);
+        // a caller-supplied source is kept as is
+        if (!options.random) {
+            this.reseed();
+        }
+
+        // Radios (transmitters) and walls (obstacles)
+        this.radios = options.radios || [];
+        this.walls = options.walls || [];
+        this.rssiKalmanFilters = [];
+        this.kalmanRevision = 0;  // Bumped on every filter reset (see locateTag)
+        this.resetKalmanFilters();
+        this.resetPositionTracker();
+        this.resetParticleFilter();
+    }
+
+    /**
+     * Restart the random sequence, so the same seed reproduces the same noise
+     * @param {Number} seed - New seed (defaults to the current one)
+     */
+    reseed(seed = this.seed) {
+        this.seed = seed;
+        this.random = createSeededRandom(seed);
+    }
+
+    /**
+     * Replace the radio set and start fresh Kalman filters for it
+     */
+    setRadios(radios) {
+        this.radios = radios;
+        this.resetKalmanFilters();
+    }
+
+    /**
+     * Add a radio with its own fresh Kalman filter; existing filters keep their state
+     * A label is assigned when missing
+     * @throws {Error} When the label is already used
+     */
+    addRadio(radio) {
+        if (radio.label === undefined) {
+            radio.label = this.nextRadioLabel();
+        }
+        if (this.radios.some(r => r.label === radio.label)) {
+            throw new Error(`Radio label ${radio.label} is already used`);
+        }
+
+        this.radios.push(radio);
+        this.rssiKalmanFilters.push(this.createKalmanFilter());
+        return radio;
+    }
+
+    /**
+     * Remove a radio and its Kalman filter, keeping the other radios' filters aligned
+     * @returns {Boolean} Whether the radio was found
+     */
+    removeRadio(radio) {
+        const index = this.radios.indexOf(radio);
+        if (index === -1) return false;
+
+        this.radios.splice(index, 1);
+        this.rssiKalmanFilters.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * @throws {Error} When the label is empty or used by another radio
+     */
+    renameRadio(radio, label) {
+        label = String(label).trim();
+        if (label === '') {
+            throw new Error('Radio label cannot be empty');
+        }
+        if (this.radios.some(r => r !== radio && r.label === label)) {
+            throw new Error(`Radio label ${label} is already used`);
+        }
+        radio.label = label;
+    }
+
+    /**
+     * First unused label of the form R<n>
+     */
+    nextRadioLabel() {
+        const used = new Set(this.radios.map(r => r.label));
+        let n = 1;
+        while (used.has(`R${n}`)) n++;
+        return `R${n}`;
+    }
+
+    // =========================================================================
+    // Building Floors
+    // =========================================================================
+
+    /**
+     * Add a floor on top of the building
+     * @returns {Number} Index of the new floor
+     */
+    addFloor(name = `Floor ${this.floors.length + 1}`) {
+        this.floors.push({ name });
+        return this.floors.length - 1;
+    }
+
+    /**
+     * Remove a floor with its radios and walls; the floors above move down one
+     * @throws {Error} When it is the last floor
+     */
+    removeFloor(index) {
+        if (this.floors.length <= 1) {
+            throw new Error('A building needs at least one floor');
+        }
+
+        for (const radio of this.radiosOnFloor(index)) {
+            this.removeRadio(radio);
+        }
+        this.walls = this.walls.filter(wall => (wall.floor || 0) !== index);
+        for (const item of [...this.radios, ...this.walls]) {
+            if ((item.floor || 0) > index) item.floor--;
+        }
+
+        this.floors.splice(index, 1);
+        if (this.activeFloor >= index && this.activeFloor > 0) {
+            this.activeFloor--;
+        }
+    }
+
+    radiosOnFloor(floor) {
+        return this.radios.filter(radio => (radio.floor || 0) === floor);
+    }
+
+    wallsOnFloor(floor) {
+        return this.walls.filter(wall => (wall.floor || 0) === floor);
+    }
+
+    /**
+     * Floor of a receiver (the active floor unless it has its own)
+     */
+    receiverFloor(receiver) {
+        return receiver.floor ?? this.activeFloor;
+    }
+
+    /**
+     * Create one Kalman filter per radio (Phase 1 improvement)
+     */
+    resetKalmanFilters() {
+        this.kalmanRevision++;
+        this.rssiKalmanFilters = [];
+        for (let i = 0; i < this.radios.length; i++) {
+            this.rssiKalmanFilters.push(this.createKalmanFilter());
+        }
+    }
+
+    /**
+     * Restart the Kalman filter of a single radio (e.g. after recalibrating it)
+     */
+    resetKalmanFilter(radio) {
+        const index = this.radios.indexOf(radio);
+        if (index !== -1) {
+            this.kalmanRevision++;
+            this.rssiKalmanFilters[index] = this.createKalmanFilter();
+        }
+    }
+
+    createKalmanFilter() {
+        return new KalmanFilter({
+            R: this.kalmanR,
+            Q: this.kalmanQ
+        });
+    }
+
+    /**
+     * Start a new position track with the current tracker settings
+     */
+    resetPositionTracker() {
+        this.positionTracker = new PositionTracker({
+            processNoise: this.trackerProcessNoise * this.scale,
+            measurementNoise: this.trackerMeasurementNoise * this.scale,
+            initialSpeedStdDev: 2 * this.scale
+        });
+    }
+
+    /**
+     * Feed a solved fix to the position tracker
+     * @param {Object|null} position - Fix from solvePosition, null when none was found
+     * @param {Number} time - Timestamp in seconds
+     * @returns {Object|null} Tracked state, or null when tracking is off or lost
+     */
+    trackPosition(position, time) {
+        if (!this.enablePositionTracking) return null;
+
+        return position ?
+            this.positionTracker.update(position, time) :
+            this.positionTracker.coast(time);
+    }
+
+    /**
+     * Start a new particle cloud with the current particle filter settings
+     */
+    resetParticleFilter() {
+        this.particleFilter = new ParticleFilter(this, {
+            count: this.particleCount,
+            motionStdDev: this.particleMotionStdDev * this.scale,
+            rssiStdDev: this.particleRssiStdDev
+        });
+    }
+
+    /**
+     * Feed measurements to the particle filter
+     * @param {Array} measurements - Result of measure()
+     * @param {Number} time - Timestamp in seconds
+     * @returns {Object|null} Particle estimate, or null when the filter is off
+     */
+    trackParticles(measurements, time) {
+        if (!this.enableParticleFilter) return null;
+        return this.particleFilter.step(measurements, time);
+    }
+
+    // =========================================================================
+    // RSSI Model Implementation
+    // =========================================================================
+
+    /**
+     * Calculate true Euclidean distance between two points
+     */
+    calculateTrueDistance(x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        return Math.sqrt(dx * dx + dy * dy) / this.scale; // Convert to meters
+    }
+
+    /**
+     * Height (m) of a radio above the ground floor: its floor plus its mounting height
+     */
+    radioElevation(radio) {
+        return (radio.floor || 0) * this.floorHeight + (radio.z ?? this.radioHeight);
+    }
+
+    /**
+     * Height (m) of a receiver above the ground floor: its floor plus the
+     * height it is carried at
+     */
+    receiverElevation(receiver) {
+        return this.receiverFloor(receiver) * this.floorHeight + (receiver.z ?? this.deviceHeight);
+    }
+
+    /**
+     * Distance (m) the signal travels from a radio to a receiver (3D, so
+     * mounting heights and floors count)
+     */
+    signalDistance(radio, receiver) {
+        const horizontal = this.calculateTrueDistance(radio.x, radio.y, receiver.x, receiver.y);
+        const vertical = this.receiverElevation(receiver) - this.radioElevation(radio);
+        return Math.sqrt(horizontal * horizontal + vertical * vertical);
+    }
+
+    /**
+     * Attenuation (dB) of the floor slabs between a radio and a receiver
+     */
+    floorLoss(radio, receiver) {
+        return Math.abs(this.receiverFloor(receiver) - (radio.floor || 0)) * this.floorAttenuation;
+    }
+
+    /**
+     * Walls crossed between a radio and a receiver, as findWallIntersections
+     * A wall only counts when the straight signal path is on its floor where it
+     * crosses the wall
+     */
+    findPathWalls(transmitter, receiver) {
+        const from = transmitter.floor || 0;
+        const to = this.receiverFloor(receiver);
+        const low = Math.min(from, to);
+        const high = Math.max(from, to);
+        const walls = this.walls.filter(wall => (wall.floor || 0) >= low && (wall.floor || 0) <= high);
+
+        const start = this.radioElevation(transmitter);
+        const end = this.receiverElevation(receiver);
+        return findWallIntersections(transmitter, receiver, walls).filter(intersection => {
+            const floor = Math.floor((start + intersection.t * (end - start)) / this.floorHeight);
+            return (intersection.wall.floor || 0) === Math.max(low, Math.min(high, floor));
+        });
+    }
+
+    /**
+     * Calculate expected RSSI based on distance using path-loss model
+     * RSSI = TxPower - 10 * n * log10(d) - WallAttenuation
+     * @param {Number} distanceMeters - Distance in meters
+     * @param {Object} transmitter - Transmitter position {x, y} (optional, for wall calculation)
+     * @param {Object} receiver - Receiver position {x, y} (optional, for wall calculation)
+     */
+    calculateRSSI(distanceMeters, transmitter = null, receiver = null) {
+        return this.sampleRSSI(distanceMeters, transmitter, receiver).rssi;
+    }
+
+    /**
+     * One RSSI reading before and after Kalman smoothing (same arguments as
+     * calculateRSSI, which returns the smoothed value)
+     * @returns {Object} { raw, rssi } in dBm, both clamped to -120..-30
+     */
+    sampleRSSI(distanceMeters, transmitter = null, receiver = null) {
+        let rssi = this.modelRSSI(distanceMeters, transmitter, receiver);
+
+        // Add Gaussian noise if enabled
+        if (this.enableNoise) {
+            const noise = this.gaussianRandom(0, this.noiseStdDev);
+            rssi += noise;
+        }
+        const raw = rssi;
+
+        // Apply Kalman filter if enabled (Phase 1 improvement)
+        if (this.enableKalmanFilter && transmitter && this.rssiKalmanFilters.length > 0) {
+            // Find which radio this is (by identity, else by position)
+            let radioIndex = this.radios.indexOf(transmitter);
+            if (radioIndex === -1) {
+                radioIndex = this.radios.findIndex(r =>
+                    Math.abs(r.x - transmitter.x) < 0.1 && Math.abs(r.y - transmitter.y) < 0.1
+                );
+            }
+
+            if (radioIndex !== -1 && radioIndex < this.rssiKalmanFilters.length) {
+                rssi = this.rssiKalmanFilters[radioIndex].filter(rssi);
+            }
+        }
+
+        // Clamp to realistic range
+        const clamp = (value) => Math.max(-120, Math.min(-30, value));
+        return { raw: clamp(raw), rssi: clamp(rssi) };
+    }
+
+    /**
+     * Noise-free RSSI predicted by the path-loss, floor and wall model (unclamped)
+     * Same arguments as calculateRSSI
+     */
+    modelRSSI(distanceMeters, transmitter = null, receiver = null) {
+        if (distanceMeters < 0.1) distanceMeters = 0.1; // Avoid log(0)
+
+        const model = this.getRadioModel(transmitter);
+        let rssi = model.rssiAt1m - 10 * model.pathLossExponent * Math.log10(distanceMeters);
+
+        // Directional antennas lose gain away from boresight; slabs between floors attenuate
+        if (transmitter && receiver) {
+            rssi += this.antennaPatternGain(transmitter, receiver);
+            rssi -= this.floorLoss(transmitter, receiver);
+        }
+
+        // Apply wall attenuation if enabled and positions provided
+        if (this.enableWalls && transmitter && receiver && this.walls.length > 0) {
+            const intersections = this.findPathWalls(transmitter, receiver);
+            rssi -= this.calculateWallAttenuation(transmitter, receiver, intersections);
+
+            if (this.enableMultipath) {
+                rssi = this.combineMultipath(rssi, distanceMeters, transmitter, receiver);
+            }
+        }
+
+        return rssi;
+    }
+
+    /**
+     * Wall reflection paths from a radio to a receiver on the same floor
+     * (see traceReflections); none between floors or with multipath off
+     */
+    findReflectionPaths(transmitter, receiver) {
+        const floor = transmitter.floor || 0;
+        if (!this.enableMultipath || !this.enableWalls || this.receiverFloor(receiver) !== floor) return [];
+
+        return traceReflections(transmitter, receiver, this.wallsOnFloor(floor), this.reflectionOrder);
+    }
+
+    /**
+     * Received power of the direct path plus the wall reflections
+     * Each reflected path follows the path-loss model over its unfolded length
+     * and loses the reflection loss of every wall it bounces off plus the
+     * attenuation of any wall it passes through. Coherent combining adds the
+     * paths as phasors (phase from path length, inverted at each bounce), so
+     * the power fades in and out with position as in real corridors; 'power'
+     * combining just sums the powers.
+     * @param {Number} directRSSI - Direct path power (dBm) from the model
+     * @param {Number} distanceMeters - Direct path length (m)
+     * @returns {Number} Combined power (dBm)
+     */
+    combineMultipath(directRSSI, distanceMeters, transmitter, receiver) {
+        const paths = this.findReflectionPaths(transmitter, receiver);
+        if (paths.length === 0) return directRSSI;
+
+        const model = this.getRadioModel(transmitter);
+        const height = this.receiverElevation(receiver) - this.radioElevation(transmitter);
+        const components = [{ rssi: directRSSI, length: distanceMeters, bounces: 0 }];
+
+        for (const path of paths) {
+            const length = Math.max(0.1, Math.hypot(path.length / this.scale, height));
+            let rssi = model.rssiAt1m - 10 * model.pathLossExponent * Math.log10(length);
+            rssi += this.antennaPatternGain(transmitter, path.points[1]);
+
+            for (const wall of path.walls) {
+                rssi -= wall.reflectionLoss ?? WALL_MATERIALS[wall.material].reflectionLoss;
+            }
+
+            // Walls crossed between the bounces (not the reflecting wall at either end)
+            for (let i = 1; i < path.points.length; i++) {
+                const start = path.points[i - 1];
+                const end = path.points[i];
+                const crossed = findWallIntersections(start, end, this.wallsOnFloor(transmitter.floor || 0))
+                    .filter(intersection => intersection.t > 1e-6 && intersection.t < 1 - 1e-6);
+                rssi -= this.calculateWallAttenuation(start, end, crossed);
+            }
+
+            components.push({ rssi, length, bounces: path.walls.length });
+        }
+
+        if (this.multipathCombining === 'power') {
+            const total = components.reduce((sum, c) => sum + Math.pow(10, c.rssi / 10), 0);
+            return 10 * Math.log10(total);
+        }
+
+        let re = 0;
+        let im = 0;
+        for (const c of components) {
+            const amplitude = Math.pow(10, c.rssi / 20);
+            const phase = 2 * Math.PI * c.length / this.wavelength + Math.PI * c.bounces;
+            re += amplitude * Math.cos(phase);
+            im += amplitude * Math.sin(phase);
+        }
+        // Floor keeps a perfect null finite
+        return 10 * Math.log10(Math.max(re * re + im * im, 1e-15));
+    }
+
+    /**
+     * Total attenuation (dB) of the walls crossed between transmitter and receiver
+     * @param {Array} intersections - Result of findWallIntersections, nearest first
+     */
+    calculateWallAttenuation(transmitter, receiver, intersections) {
+        const weights = this.wallLossWeights(transmitter, receiver, intersections);
+        let totalAttenuation = 0;
+
+        for (let i = 0; i < intersections.length; i++) {
+            totalAttenuation += intersections[i].wall.attenuation * weights[i];
+        }
+
+        return totalAttenuation;
+    }
+
+    /**
+     * Multiplier on each crossed wall's attenuation (1 per wall unless the
+     * penetration angle or cumulative effects are enabled)
+     * @param {Array} intersections - Result of findWallIntersections, nearest first
+     * @returns {Array} One weight per intersection
+     */
+    wallLossWeights(transmitter, receiver, intersections) {
+        let cumulativeFactor = 1.0;
+
+        return intersections.map((intersection, i) => {
+            let weight = 1;
+
+            // Apply penetration angle effect if enabled
+            if (this.enableAngleEffect) {
+                const dx = receiver.x - transmitter.x;
+                const dy = receiver.y - transmitter.y;
+                const signalDir = { x: dx, y: dy };
+                weight = calculatePenetrationAngle(signalDir, intersection.wall);
+            }
+
+            // Apply cumulative effect if enabled (each wall increases loss slightly)
+            if (this.enableCumulativeEffect && i > 0) {
+                cumulativeFactor *= 1.1;
+            }
+
+            return weight * cumulativeFactor;
+        });
+    }
+
+    /**
+     * Estimate distance from RSSI using inverse path-loss model
+     * d = 10^((TxPower - RSSI) / (10 * n))
+     * @param {Number} rssi - Received signal strength (dBm)
+     * @param {Object} radio - Transmitting radio (optional, for its own calibration)
+     */
+    estimateDistanceFromRSSI(rssi, radio = null) {
+        const model = this.getRadioModel(radio);
+        const exponent = (model.rssiAt1m - rssi) / (10 * model.pathLossExponent);
+        return Math.pow(10, exponent); // Returns distance in meters
+    }
+
+    /**
+     * Pattern gain (dB, ≤ 0 for built-in patterns) of a radio towards a receiver
+     * Orientation is the boresight in degrees, clockwise from +x in canvas
+     * coordinates. Distance estimation assumes the peak gain, so off-axis
+     * receivers see longer ranges, as with real directional beacons.
+     */
+    antennaPatternGain(radio, receiver) {
+        const pattern = ANTENNA_PATTERNS[radio.antennaPattern];
+        if (!pattern || radio.antennaPattern === 'omni') return 0;
+
+        const bearing = Math.atan2(receiver.y - radio.y, receiver.x - radio.x);
+        let angle = bearing - (radio.orientation || 0) * Math.PI / 180;
+        angle = Math.atan2(Math.sin(angle), Math.cos(angle));  // Wrap to (-π, π]
+
+        return pattern.gain(angle, radio);
+    }
+
+    /**
+     * Path-loss parameters of a radio, falling back to the global model
+     * Expected 1 m RSSI = calibrated 1 m RSSI (at 0 dBm) + Tx power + antenna gain
+     * @param {Object} radio - Radio with optional txPower, rssiAt1m,
+     *                         pathLossExponent and antennaGain fields
+     * @returns {Object} { rssiAt1m, pathLossExponent }
+     */
+    getRadioModel(radio) {
+        if (!radio) {
+            return { rssiAt1m: this.txPower, pathLossExponent: this.pathLossExponent };
+        }
+
+        return {
+            rssiAt1m: (radio.rssiAt1m ?? this.txPower) + (radio.txPower ?? 0) + (radio.antennaGain ?? 0),
+            pathLossExponent: radio.pathLossExponent ?? this.pathLossExponent
+        };
+    }
+
+    /**
+     * Generate Gaussian random number (Box-Muller transform)
+     */
+    gaussianRandom(mean, stdDev) {
+        const u1 = 1 - this.random();  // (0, 1], keeps log finite
+        const u2 = this.random();
+        const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+        return mean + stdDev * z0;
+    }
+
+    // =========================================================================
+    // Trilateration Algorithm - Non-Linear Least Squares
+    // =========================================================================
+
+    /**
+     * Measure RSSI and estimated distance from every radio at a device position
+     * @param {Object} device - Receiver position {x, y}, optionally with a floor and height z
+     * @returns {Array} Measurements above the minimum RSSI threshold
+     */
+    measure(device) {
+        const measurements = [];
+
+        for (const radio of this.radios) {
+            // Calculate RSSI with wall attenuation if enabled (the radio itself
+            // is passed so its Kalman filter is found even when radios overlap)
+            const transmitter = radio;
+            const receiver = { x: device.x, y: device.y, floor: this.receiverFloor(device), z: device.z };
+            const trueDistance = this.signalDistance(transmitter, receiver);
+            const rssi = this.calculateRSSI(trueDistance, transmitter, receiver);
+
+            // Only include measurements above minimum threshold
+            if (rssi >= this.minRSSI) {
+                const estimatedDistance = this.estimateDistanceFromRSSI(rssi, radio);
+
+                // Find wall intersections for this radio
+                const intersections = this.enableWalls ?
+                    this.findPathWalls(transmitter, receiver) : [];
+
+                measurements.push({
+                    radio: radio,
+                    rssi: rssi,
+                    trueDistance: trueDistance,
+                    estimatedDistance: estimatedDistance,
+                    wallIntersections: intersections
+                });
+            }
+        }
+
+        return measurements;
+    }
+
+    /**
+     * Perform trilateration using estimated distances from RSSI
+     * Uses non-linear least squares optimization to minimize error across all radios
+     * @param {Object} device - Receiver position {x, y}, optionally with its own
+     *   height z (m above its floor; deviceHeight otherwise)
+     * @returns {Object} { measurements, position, gdop, floor } - position is null
+     *   when fewer than 3 radios are heard or the solver fails; gdop is the
+     *   geometry of the heard radios at the estimate (null without a fix);
+     *   floor is the estimated floor (see estimateFloor)
+     */
+    locate(device) {
+        return this.solveMeasurements(this.measure(device), device.z);
+    }
+
+    /**
+     * Locate an additional receiver (tag) with its own RSSI Kalman filters
+     * The tag keeps one filter per radio object, so radios can be added or
+     * removed; whenever the engine resets its filters the tag's restart too.
+     * @param {Object} tag - Receiver {x, y}, optionally with its own height z
+     *   (as locate()); gets `kalmanFilters` on first use
+     * @returns {Object} As locate()
+     */
+    locateTag(tag) {
+        if (!tag.kalmanFilters || tag.kalmanRevision !== this.kalmanRevision) {
+            tag.kalmanFilters = new Map();
+            tag.kalmanRevision = this.kalmanRevision;
+        }
+
+        return this.withIsolatedKalmanFilters(() => {
+            this.rssiKalmanFilters = this.radios.map(radio => {
+                if (!tag.kalmanFilters.has(radio)) {
+                    tag.kalmanFilters.set(radio, this.createKalmanFilter());
+                }
+                return tag.kalmanFilters.get(radio);
+            });
+            return this.locate(tag);
+        });
+    }
+
+    /**
+     * Solve a measurement set from measure() or another source (e.g. a log replay)
+     * The floor is determined first and the ranges projected onto the device
+     * height on it; with estimateHeight the fix is then refined in 3D (ranging
+     * solvers only, fingerprinting keeps its fix)
+     * @param {Array} measurements - [{radio, rssi, estimatedDistance, ...}]
+     * @param {Number} z - Known receiver height (m above its floor), defaults to deviceHeight
+     * @returns {Object} { measurements, position, gdop, floor } - as locate();
+     *   in multi-floor buildings the position carries the floor too, and with
+     *   estimateHeight its height z (m above the floor)
+     */
+    solveMeasurements(measurements, z = this.deviceHeight) {
+        const floor = this.estimateFloor(measurements);
+
+        // Need at least 3 measurements for trilateration
+        if (measurements.length < 3) {
+            return { measurements, position: null, gdop: null, floor };
+        }
+
+        // Use least-squares optimization with all measurements
+        const position = this.solvePosition(this.projectToFloor(measurements, floor, z));
+        if (position && this.estimateHeight && this.solver !== 'fingerprint-knn') {
+            const refined = this.trilaterate3D(measurements, floor, { ...position, z });
+            if (this.isWithinBounds(refined.x, refined.y)) Object.assign(position, refined);
+        }
+        const gdop = position ? calculateGDOP(position, measurements.map(m => m.radio)) : null;
+        if (position && this.floors.length > 1) {
+            position.floor = floor;
+        }
+
+        return { measurements, position, gdop, floor };
+    }
+
+    /**
+     * Floor the receiver is most likely on: the one whose radios deliver the
+     * most received power in total (summed in mW, so one strong radio
+     * outweighs several faint ones bleeding through a slab)
+     * @returns {Number} Floor index (the active floor when nothing is heard)
+     */
+    estimateFloor(measurements) {
+        if (this.floors.length < 2 || measurements.length === 0) return this.activeFloor;
+
+        const power = this.floors.map(() => 0);
+        for (const m of measurements) {
+            const floor = Math.min(m.radio.floor || 0, this.floors.length - 1);
+            power[floor] += Math.pow(10, m.rssi / 10);
+        }
+        return power.indexOf(Math.max(...power));
+    }
+
+    /**
+     * Measurements with in-plane ranges for a receiver at height z on the
+     * given floor: radios on other floors get the slab loss added back to their
+     * RSSI before ranging, and the height difference to each radio is removed
+     * from its slant range
+     * @param {Number} z - Receiver height (m above the floor), defaults to deviceHeight
+     * @returns {Array} The same measurements, copied where a range changed
+     */
+    projectToFloor(measurements, floor, z = this.deviceHeight) {
+        return measurements.map(m => {
+            const height = this.receiverElevation({ floor, z }) - this.radioElevation(m.radio);
+            const range = this.slantRange(m, floor);
+            if (height === 0 && range === m.estimatedDistance) return m;
+
+            return { ...m, estimatedDistance: Math.sqrt(Math.max(range * range - height * height, 0.01)) };
+        });
+    }
+
+    /**
+     * Range (m) to a measured radio for a receiver on the given floor, with
+     * the loss of the slabs in between added back to the RSSI
+     */
+    slantRange(m, floor) {
+        const slabs = Math.abs(floor - (m.radio.floor || 0));
+        return slabs === 0 ? m.estimatedDistance :
+            this.estimateDistanceFromRSSI(m.rssi + slabs * this.floorAttenuation, m.radio);
+    }
+
+    /**
+     * Refine a fix in 3D, estimating the receiver height as well:
+     * Levenberg-Marquardt on the slant ranges over x, y and the height above
+     * the floor, which is kept between the floor and the ceiling. The height is
+     * only observable when the radios are mounted at different heights.
+     * @param {Object} start - Fix {x, y} to start from, with z (m above the
+     *   floor) defaulting to deviceHeight
+     * @returns {Object} { x, y, z } - z in meters above the floor
+     */
+    trilaterate3D(measurements, floor, start) {
+        const base = floor * this.floorHeight;
+        const anchors = measurements.map(m => ({
+            x: m.radio.x / this.scale,
+            y: m.radio.y / this.scale,
+            z: this.radioElevation(m.radio) - base,
+            range: this.slantRange(m, floor),
+            weight: this.measurementWeight(m)
+        }));
+
+        const cost = (p) => anchors.reduce((sum, a) => {
+            const r = Math.hypot(p[0] - a.x, p[1] - a.y, p[2] - a.z) - a.range;
+            return sum + a.weight * r * r;
+        }, 0);
+
+        let p = [start.x / this.scale, start.y / this.scale, start.z ?? this.deviceHeight];
+        let current = cost(p);
+        let lambda = 1e-3;
+
+        for (let iter = 0; iter < 100; iter++) {
+            const JtJ = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+            const Jtr = [0, 0, 0];
+            for (const a of anchors) {
+                const d = [p[0] - a.x, p[1] - a.y, p[2] - a.z];
+                const distance = Math.hypot(...d);
+                if (distance < 1e-3) continue;
+
+                const J = d.map(v => v / distance);
+                const residual = distance - a.range;
+                for (let i = 0; i < 3; i++) {
+                    Jtr[i] += a.weight * J[i] * residual;
+                    for (let j = 0; j < 3; j++) JtJ[i][j] += a.weight * J[i] * J[j];
+                }
+            }
+
+            // Marquardt damping scaled by the diagonal (tiny floor keeps it solvable)
+            const A = JtJ.map((row, i) => row.map((v, j) => i === j ? v * (1 + lambda) + 1e-9 : v));
+            const delta = solveLinearSystem(A, Jtr.map(v => -v));
+            if (!delta) break;
+
+            const next = [
+                p[0] + delta[0],
+                p[1] + delta[1],
+                Math.max(0, Math.min(this.floorHeight, p[2] + delta[2]))
+            ];
+            const nextCost = cost(next);
+
+            if (nextCost < current) {
+                const step = Math.hypot(next[0] - p[0], next[1] - p[1], next[2] - p[2]);
+                p = next;
+                current = nextCost;
+                lambda = Math.max(lambda / 10, 1e-12);
+                if (step < 1e-4) break;
+            } else {
+                lambda *= 10;
+                if (lambda > 1e10) break;
+            }
+        }
+
+        return { x: p[0] * this.scale, y: p[1] * this.scale, z: p[2] };
+    }
+
+    /**
+     * Non-linear least squares trilateration using all available measurements
+     * Minimizes: sum of (measured_distance - actual_distance)^2
+     * @returns {Object|null} { x, y, covariance } - see estimateCovariance()
+     */
+    leastSquaresTrilateration(measurements) {
+        const initial = this.initialGuess(measurements);
+
+        // Gauss-Newton optimization
+        let x = initial.x;
+        let y = initial.y;
+        const maxIterations = 100;
+        const convergenceThreshold = 0.01; // pixels
+
+        for (let iter = 0; iter < maxIterations; iter++) {
+            const normal = this.buildNormalEquations(measurements, x, y);
+
+            // Solve 2x2 system: [JtJ_xx, JtJ_xy] [delta_x] = -[Jtr_x]
+            //                   [JtJ_xy, JtJ_yy] [delta_y]    [Jtr_y]
+            const det = normal.JtJ_xx * normal.JtJ_yy - normal.JtJ_xy * normal.JtJ_xy;
+
+            if (Math.abs(det) < 1e-10) {
+                // Matrix is singular, can't continue
+                break;
+            }
+
+            const delta_x = -(normal.JtJ_yy * normal.Jtr_x - normal.JtJ_xy * normal.Jtr_y) / det;
+            const delta_y = -(normal.JtJ_xx * normal.Jtr_y - normal.JtJ_xy * normal.Jtr_x) / det;
+
+            // Update position
+            x += delta_x;
+            y += delta_y;
+
+            // Check convergence
+            const deltaLength = Math.sqrt(delta_x * delta_x + delta_y * delta_y);
+            if (deltaLength < convergenceThreshold) {
+                break;
+            }
+        }
+
+        // Validate result is within reasonable bounds
+        if (!this.isWithinBounds(x, y)) {
+            return null;
+        }
+
+        return { x, y, covariance: this.estimateCovariance(measurements, x, y) };
+    }
+
+    /**
+     * Starting point for the iterative solvers: RSSI-weighted centroid of the
+     * radios, or the closed-form solution when exactly 3 radios are heard
+     */
+    initialGuess(measurements) {
+        // Initial guess: weighted centroid of radio positions
+        let initialX = 0;
+        let initialY = 0;
+        let totalWeight = 0;
+
+        for (const m of measurements) {
+            // Weight by RSSI strength (stronger signals get more weight)
+            const weight = Math.pow(10, (m.rssi + 100) / 20);
+            initialX += m.radio.x * weight;
+            initialY += m.radio.y * weight;
+            totalWeight += weight;
+        }
+
+        initialX /= totalWeight;
+        initialY /= totalWeight;
+
+        // If we have exactly 3 measurements and they're not collinear,
+        // use geometric solution as initial guess
+        if (measurements.length === 3) {
+            const geometricSolution = this.geometricTrilateration(measurements);
+            if (geometricSolution) {
+                initialX = geometricSolution.x;
+                initialY = geometricSolution.y;
+            }
+        }
+
+        return { x: initialX, y: initialY };
+    }
+
+    /**
+     * Reject fixes that diverged far outside the area
+     */
+    isWithinBounds(x, y) {
+        return !(x < -100 || x > this.width + 100 || y < -100 || y > this.height + 100);
+    }
+
+    /**
+     * Levenberg-Marquardt trilateration with an optional robust loss.
+     * Damps the Gauss-Newton step (J^T*W*J + lambda*diag(J^T*W*J)) so it never
+     * stalls on a singular system, and re-weights residuals every iteration
+     * (IRLS) so single NLOS-inflated ranges lose their pull on the estimate.
+     * Tukey's loss ignores large residuals entirely, so it is started from the
+     * Huber solution rather than from the raw initial guess.
+     * @returns {Object|null} { x, y, covariance }
+     */
+    levenbergMarquardtTrilateration(measurements, loss = this.robustLoss) {
+        let start = this.initialGuess(measurements);
+
+        if (loss === 'tukey') {
+            const huber = this.levenbergMarquardtTrilateration(measurements, 'huber');
+            if (huber) start = huber;
+        }
+
+        let x = start.x;
+        let y = start.y;
+        let lambda = 1e-3;
+        let cost = this.robustCost(measurements, x, y, loss);
+        const maxIterations = 100;
+        const convergenceThreshold = 0.01; // pixels
+
+        for (let iter = 0; iter < maxIterations; iter++) {
+            const normal = this.buildNormalEquations(measurements, x, y, loss);
+
+            // Marquardt damping scaled by the diagonal (tiny floor keeps it solvable)
+            const a_xx = normal.JtJ_xx + lambda * normal.JtJ_xx + 1e-9;
+            const a_yy = normal.JtJ_yy + lambda * normal.JtJ_yy + 1e-9;
+            const a_xy = normal.JtJ_xy;
+            const det = a_xx * a_yy - a_xy * a_xy;
+
+            if (det <= 0) break;
+
+            const delta_x = -(a_yy * normal.Jtr_x - a_xy * normal.Jtr_y) / det;
+            const delta_y = -(a_xx * normal.Jtr_y - a_xy * normal.Jtr_x) / det;
+            const newCost = this.robustCost(measurements, x + delta_x, y + delta_y, loss);
+
+            if (newCost < cost) {
+                // Accept step and move towards Gauss-Newton
+                x += delta_x;
+                y += delta_y;
+                cost = newCost;
+                lambda = Math.max(lambda / 10, 1e-12);
+
+                const deltaLength = Math.sqrt(delta_x * delta_x + delta_y * delta_y);
+                if (deltaLength < convergenceThreshold) break;
+            } else {
+                // Reject step and move towards gradient descent
+                lambda *= 10;
+                if (lambda > 1e10) break;
+            }
+        }
+
+        if (!this.isWithinBounds(x, y)) {
+            return null;
+        }
+
+        return { x, y, covariance: this.estimateCovariance(measurements, x, y, loss) };
+    }
+
+    /**
+     * Total weighted robust cost sum(w * rho(r)) of the range residuals at (x, y)
+     */
+    robustCost(measurements, x, y, loss) {
+        const c = this.robustScale * this.scale; // Tuning constant in position units
+        let cost = 0;
+
+        for (const m of measurements) {
+            const dx = x - m.radio.x;
+            const dy = y - m.radio.y;
+            const residual = Math.sqrt(dx * dx + dy * dy) - m.estimatedDistance * this.scale;
+            cost += this.measurementWeight(m) * robustRho(residual, c, loss);
+        }
+
+        return cost;
+    }
+
+    /**
+     * Solve with the algorithm selected by `this.solver`
+     */
+    solvePosition(measurements) {
+        return this.solveWith(this.solver, measurements);
+    }
+
+    /**
+     * Solve with a registered positioning algorithm
+     * @param {String} id - Key in POSITIONING_ALGORITHMS
+     * @returns {Object|null} { x, y } plus `covariance` for the least-squares
+     *   solvers; null when the algorithm finds no fix inside the bounds
+     */
+    solveWith(id, measurements) {
+        const algorithm = POSITIONING_ALGORITHMS[id];
+        if (!algorithm) {
+            throw new Error(`Unknown positioning algorithm: ${id}`);
+        }
+
+        const position = algorithm.solve(this, measurements);
+        if (!position || !isFinite(position.x) || !isFinite(position.y)) return null;
+        if (!this.isWithinBounds(position.x, position.y)) return null;
+
+        return position;
+    }
+
+    /**
+     * Accumulate the weighted normal equations J^T*W*J and J^T*W*r at (x, y)
+     * for the range residuals r = predicted - measured distance
+     * @param {String} loss - Robust loss whose IRLS weight scales W ('none' = plain LS)
+     * @returns {Object} { JtJ_xx, JtJ_xy, JtJ_yy, Jtr_x, Jtr_y, sumWrr, count }
+     */
+    buildNormalEquations(measurements, x, y, loss = 'none') {
+        const c = this.robustScale * this.scale; // Tuning constant in position units
+
+        const normal = {
+            JtJ_xx: 0, JtJ_xy: 0, JtJ_yy: 0,
+            Jtr_x: 0, Jtr_y: 0,
+            sumWrr: 0,  // Weighted residual sum of squares
+            count: 0    // Measurements that contributed (non-zero weight)
+        };
+
+        for (const m of measurements) {
+            const dx = x - m.radio.x;
+            const dy = y - m.radio.y;
+            const predictedDist = Math.sqrt(dx * dx + dy * dy);
+
+            // Avoid division by zero
+            if (predictedDist < 0.1) continue;
+
+            const measuredDist = m.estimatedDistance * this.scale; // Convert to pixels
+            const residual = predictedDist - measuredDist;
+
+            // Jacobian: d(distance)/d(x) and d(distance)/d(y)
+            const J_x = dx / predictedDist;
+            const J_y = dy / predictedDist;
+
+            const weight = this.measurementWeight(m) * robustWeight(residual, c, loss);
+
+            // Accumulate J^T * W * J (weighted)
+            normal.JtJ_xx += J_x * J_x * weight;
+            normal.JtJ_yy += J_y * J_y * weight;
+            normal.JtJ_xy += J_x * J_y * weight;
+
+            // Accumulate J^T * W * r (weighted)
+            normal.Jtr_x += J_x * residual * weight;
+            normal.Jtr_y += J_y * residual * weight;
+
+            normal.sumWrr += weight * residual * residual;
+            if (weight > 0) normal.count++;  // Outliers rejected by Tukey add no redundancy
+        }
+
+        return normal;
+    }
+
+    /**
+     * Calculate weight based on RSSI quality (Phase 1 improvement)
+     * Stronger signals (higher RSSI) get more weight in the optimization
+     */
+    measurementWeight(m) {
+        // Normalize RSSI from -100 to -60 dBm range
+        const normalizedRSSI = Math.max(0, Math.min(1, (m.rssi + 100) / 40));
+        // Use exponential weighting: stronger signals have exponentially more influence
+        return Math.pow(10, normalizedRSSI);
+    }
+
+    /**
+     * Covariance of a least-squares fix: sigma^2 * (J^T*W*J)^-1, with the
+     * variance of unit weight sigma^2 estimated from the final weighted
+     * residuals (sum(w*r^2) / (n - 2))
+     * @returns {Object|null} { xx, xy, yy } in squared position units, or null
+     *   when the geometry is singular
+     */
+    estimateCovariance(measurements, x, y, loss = 'none') {
+        const normal = this.buildNormalEquations(measurements, x, y, loss);
+        const det = normal.JtJ_xx * normal.JtJ_yy - normal.JtJ_xy * normal.JtJ_xy;
+
+        if (Math.abs(det) < 1e-10) return null;
+
+        // With only 2 ranges there is no redundancy to estimate sigma from
+        const redundancy = normal.count - 2;
+        const sigma2 = redundancy > 0 ? normal.sumWrr / redundancy : 0;
+
+        return {
+            xx: sigma2 * normal.JtJ_yy / det,
+            xy: -sigma2 * normal.JtJ_xy / det,
+            yy: sigma2 * normal.JtJ_xx / det
+        };
+    }
+
+    /**
+     * Geometric trilateration for exactly 3 measurements (closed-form solution)
+     * Used as initial guess for least-squares optimization
+     */
+    geometricTrilateration(measurements) {
+        if (measurements.length !== 3) return null;
+
+        const [m1, m2, m3] = measurements;
+
+        // Convert estimated distances to pixels
+        const r1 = m1.estimatedDistance * this.scale;
+        const r2 = m2.estimatedDistance * this.scale;
+        const r3 = m3.estimatedDistance * this.scale;
+
+        // Radio positions
+        const x1 = m1.radio.x, y1 = m1.radio.y;
+        const x2 = m2.radio.x, y2 = m2.radio.y;
+        const x3 = m3.radio.x, y3 = m3.radio.y;
+
+        // Trilateration calculations
+        const A = 2 * (x2 - x1);
+        const B = 2 * (y2 - y1);
+        const C = r1 * r1 - r2 * r2 - x1 * x1 + x2 * x2 - y1 * y1 + y2 * y2;
+        const D = 2 * (x3 - x2);
+        const E = 2 * (y3 - y2);
+        const F = r2 * r2 - r3 * r3 - x2 * x2 + x3 * x3 - y2 * y2 + y3 * y3;
+
+        const denominator = (A * E - B * D);
+
+        if (Math.abs(denominator) < 0.001) {
+            // Radios are collinear
+            return null;
+        }
+
+        const x = (C * E - F * B) / denominator;
+        const y = (A * F - D * C) / denominator;
+
+        return { x, y };
+    }
+
+    /**
+     * Linearized least squares: subtracting the last range equation from the
+     * others gives a linear system A*p = b, solved in closed form (no iteration)
+     */
+    linearLeastSquaresTrilateration(measurements) {
+        const ref = measurements[measurements.length - 1];
+        const xn = ref.radio.x, yn = ref.radio.y;
+        const rn = ref.estimatedDistance * this.scale;
+
+        let AtA_xx = 0, AtA_xy = 0, AtA_yy = 0;
+        let Atb_x = 0, Atb_y = 0;
+
+        for (let i = 0; i < measurements.length - 1; i++) {
+            const m = measurements[i];
+            const xi = m.radio.x, yi = m.radio.y;
+            const ri = m.estimatedDistance * this.scale;
+
+            // Row: 2(xn - xi) x + 2(yn - yi) y = ri² - rn² - xi² - yi² + xn² + yn²
+            const a_x = 2 * (xn - xi);
+            const a_y = 2 * (yn - yi);
+            const b = ri * ri - rn * rn - xi * xi - yi * yi + xn * xn + yn * yn;
+
+            AtA_xx += a_x * a_x;
+            AtA_xy += a_x * a_y;
+            AtA_yy += a_y * a_y;
+            Atb_x += a_x * b;
+            Atb_y += a_y * b;
+        }
+
+        const det = AtA_xx * AtA_yy - AtA_xy * AtA_xy;
+        if (Math.abs(det) < 1e-10) {
+            // Radios are collinear
+            return null;
+        }
+
+        return {
+            x: (AtA_yy * Atb_x - AtA_xy * Atb_y) / det,
+            y: (AtA_xx * Atb_y - AtA_xy * Atb_x) / det
+        };
+    }
+
+    /**
+     * Weighted centroid: radio positions averaged with weight 1/d, so nearer
+     * radios pull harder. Always inside the radios' convex hull.
+     */
+    weightedCentroid(measurements) {
+        let x = 0, y = 0, totalWeight = 0;
+
+        for (const m of measurements) {
+            const weight = 1 / Math.max(m.estimatedDistance, 0.1);
+            x += m.radio.x * weight;
+            y += m.radio.y * weight;
+            totalWeight += weight;
+        }
+
+        return { x: x / totalWeight, y: y / totalWeight };
+    }
+
+    /**
+     * Min-Max (bounding box): intersect the squares circumscribing each range
+     * circle and return the center of the overlap
+     */
+    minMaxTrilateration(measurements) {
+        let left = -Infinity, right = Infinity;
+        let top = -Infinity, bottom = Infinity;
+
+        for (const m of measurements) {
+            const r = m.estimatedDistance * this.scale;
+            left = Math.max(left, m.radio.x - r);
+            right = Math.min(right, m.radio.x + r);
+            top = Math.max(top, m.radio.y - r);
+            bottom = Math.min(bottom, m.radio.y + r);
+        }
+
+        // An empty overlap (inconsistent ranges) still has a meaningful middle
+        return { x: (left + right) / 2, y: (top + bottom) / 2 };
+    }
+
+    /**
+     * Circle-expansion trilateration: every pair of range circles is expanded
+     * (if disjoint) or adjusted (if nested) until it meets, the meeting point
+     * that best agrees with the remaining circles is kept, and the kept points
+     * are averaged
+     */
+    circleExpansionTrilateration(measurements) {
+        const circles = measurements.map(m => ({
+            x: m.radio.x,
+            y: m.radio.y,
+            r: m.estimatedDistance * this.scale
+        }));
+
+        // Disagreement of a candidate point with all circles
+        const misfit = (p) => circles.reduce((sum, c) =>
+            sum + Math.abs(Math.hypot(p.x - c.x, p.y - c.y) - c.r), 0);
+
+        const points = [];
+
+        for (let i = 0; i < circles.length; i++) {
+            for (let j = i + 1; j < circles.length; j++) {
+                const a = circles[i];
+                const b = circles[j];
+                const d = Math.hypot(b.x - a.x, b.y - a.y);
+                if (d < 1e-9) continue; // Concentric circles never meet at a point
+
+                const ux = (b.x - a.x) / d;
+                const uy = (b.y - a.y) / d;
+
+                if (a.r + b.r <= d) {
+                    // Disjoint: expand both radii proportionally until they touch
+                    const t = a.r / (a.r + b.r) * d;
+                    points.push({ x: a.x + ux * t, y: a.y + uy * t });
+                } else if (Math.abs(a.r - b.r) >= d) {
+                    // Nested: meet halfway between the two rims, away from the outer center
+                    const [outer, inner, sign] = a.r >= b.r ? [a, b, 1] : [b, a, -1];
+                    const t = (outer.r + inner.r + d) / 2;
+                    points.push({ x: outer.x + sign * ux * t, y: outer.y + sign * uy * t });
+                } else {
+                    // Two intersections: keep the one closest to the other circles
+                    const along = (a.r * a.r - b.r * b.r + d * d) / (2 * d);
+                    const h = Math.sqrt(Math.max(0, a.r * a.r - along * along));
+                    const mx = a.x + ux * along;
+                    const my = a.y + uy * along;
+                    const p1 = { x: mx - uy * h, y: my + ux * h };
+                    const p2 = { x: mx + uy * h, y: my - ux * h };
+                    points.push(misfit(p1) <= misfit(p2) ? p1 : p2);
+                }
+            }
+        }
+
+        if (points.length === 0) return null;
+
+        return {
+            x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+            y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+        };
+    }
+
+    // =========================================================================
+    // Anchor Geometry (GDOP)
+    // =========================================================================
+
+    /**
+     * GDOP of the active floor's radios across the area, for geometry overlays
+     * Purely geometric: RSSI, walls and noise are not considered
+     * @param {Number} resolution - Cell size (same unit as positions)
+     * @returns {Array} Cells {x, y, gdop}; x/y is the cell's top-left corner
+     */
+    computeGDOPMap(resolution = 20) {
+        if (!isFinite(this.width) || !isFinite(this.height)) {
+            throw new Error('Engine width and height are required to build a GDOP map');
+        }
+
+        const radios = this.radiosOnFloor(this.activeFloor);
+        const cells = [];
+        for (let x = 0; x < this.width; x += resolution) {
+            for (let y = 0; y < this.height; y += resolution) {
+                const center = { x: x + resolution / 2, y: y + resolution / 2 };
+                cells.push({ x, y, gdop: calculateGDOP(center, radios) });
+            }
+        }
+
+        return cells;
+    }
+
+    // =========================================================================
+    // Accuracy Benchmark (Monte Carlo)
+    // =========================================================================
+
+    /**
+     * Generate device positions covering the area
+     * @param {Number} count - Number of positions (approximate for 'grid')
+     * @param {String} mode - 'grid' (evenly spaced cell centers) or 'random' (uniform)
+     * @param {Number} margin - Distance kept from the area edges
+     */
+    generateSamplePositions(count, mode = 'grid', margin = 0) {
+        if (!isFinite(this.width) || !isFinite(this.height)) {
+            throw new Error('Engine width and height are required to sample positions');
+        }
+
+        const areaWidth = this.width - 2 * margin;
+        const areaHeight = this.height - 2 * margin;
+        const positions = [];
+
+        if (mode === 'random') {
+            for (let i = 0; i < count; i++) {
+                positions.push({
+                    x: margin + this.random() * areaWidth,
+                    y: margin + this.random() * areaHeight
+                });
+            }
+        } else if (mode === 'grid') {
+            // Choose columns/rows so cells are roughly square
+            const cols = Math.max(1, Math.round(Math.sqrt(count * areaWidth / areaHeight)));
+            const rows = Math.max(1, Math.round(count / cols));
+            const cellWidth = areaWidth / cols;
+            const cellHeight = areaHeight / rows;
+
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    positions.push({
+                        x: margin + (col + 0.5) * cellWidth,
+                        y: margin + (row + 0.5) * cellHeight
+                    });
+                }
+            }
+        } else {
+            throw new Error(`Unknown sampling mode: ${mode}`);
+        }
+
+        return positions;
+    }
+
+    /**
+     * Run fn with the engine's Kalman filters set aside, restoring them afterwards,
+     * so offline analysis never disturbs the live filter state (nor the tags')
+     */
+    withIsolatedKalmanFilters(fn) {
+        const savedFilters = this.rssiKalmanFilters;
+        const savedRevision = this.kalmanRevision;
+        try {
+            return fn();
+        } finally {
+            this.rssiKalmanFilters = savedFilters;
+            this.kalmanRevision = savedRevision;
+        }
+    }
+
+    /**
+     * Position error of a fix obtained from fresh Kalman filters
+     * @param {Object} device - True device position {x, y}
+     * @param {Number} readings - RSSI readings taken (the last fix is scored)
+     * @returns {Number|null} Error in meters, or null when no fix was found
+     */
+    independentFixError(device, readings = 1) {
+        this.resetKalmanFilters();
+
+        let position = null;
+        for (let i = 0; i < readings; i++) {
+            position = this.locate(device).position;
+        }
+
+        if (!position) return null;
+        return this.calculateTrueDistance(device.x, device.y, position.x, position.y);
+    }
+
+    /**
+     * Run the positioning pipeline at many device positions and summarize errors.
+     * Each position starts with fresh Kalman filters so fixes are independent;
+     * the engine's own filters are restored afterwards.
+     * @param {Object} options
+     * @param {Number} options.samples - Number of device positions
+     * @param {String} options.mode - 'grid' or 'random'
+     * @param {Number} options.readingsPerSample - RSSI readings taken per position
+     *   (the fix after the last reading is scored, so Kalman smoothing can settle)
+     * @param {Number} options.margin - Distance kept from the area edges
+     * @returns {Object} computeErrorStatistics() result plus `positions` with each error
+     */
+    runBenchmark({ samples = 1000, mode = 'grid', readingsPerSample = 1, margin = 0 } = {}) {
+        const positions = this.generateSamplePositions(samples, mode, margin);
+        const errors = [];
+        const results = [];
+        let failures = 0;
+
+        this.withIsolatedKalmanFilters(() => {
+            for (const device of positions) {
+                const error = this.independentFixError(device, readingsPerSample);
+
+                if (error !== null) {
+                    errors.push(error);
+                } else {
+                    failures++;
+                }
+                results.push({ x: device.x, y: device.y, error });
+            }
+        });
+
+        const stats = computeErrorStatistics(errors, failures);
+        stats.positions = results;
+        return stats;
+    }
+
+    /**
+     * Expected localization error over the area, for error heatmaps
+     * @param {Object} options
+     * @param {Number} options.resolution - Cell size (same unit as positions)
+     * @param {Number} options.trials - Noisy fixes averaged per cell
+     * @returns {Array} Cells {x, y, error, failureRate}; x/y is the cell's top-left
+     *   corner, error the mean over successful trials (null if every trial failed)
+     */
+    computeErrorMap({ resolution = 40, trials = 5 } = {}) {
+        if (!isFinite(this.width) || !isFinite(this.height)) {
+            throw new Error('Engine width and height are required to build an error map');
+        }
+
+        const cells = [];
+
+        this.withIsolatedKalmanFilters(() => {
+            for (let x = 0; x < this.width; x += resolution) {
+                for (let y = 0; y < this.height; y += resolution) {
+                    const device = { x: x + resolution / 2, y: y + resolution / 2 };
+                    let sum = 0;
+                    let fixes = 0;
+
+                    for (let i = 0; i < trials; i++) {
+                        const error = this.independentFixError(device);
+                        if (error !== null) {
+                            sum += error;
+                            fixes++;
+                        }
+                    }
+
+                    cells.push({
+                        x: x,
+                        y: y,
+                        error: fixes > 0 ? sum / fixes : null,
+                        failureRate: (trials - fixes) / trials
+                    });
+                }
+            }
+        });
+
+        return cells;
+    }
+
+    // =========================================================================
+    // Anchor Placement Optimizer
+    // =========================================================================
+
+    /**
+     * Run fn with a different radio set (and its own Kalman filters), restoring
+     * the live radios and filters afterwards
+     */
+    withRadios(radios, fn) {
+        const savedRadios = this.radios;
+        return this.withIsolatedKalmanFilters(() => {
+            this.radios = radios;
+            this.resetKalmanFilters();
+            try {
+                return fn();
+            } finally {
+                this.radios = savedRadios;
+            }
+        });
+    }
+
+    /**
+     * Expected accuracy of a radio placement at a set of points, from the
+     * noise-free model (walls bias the ranges) plus a first-order noise term:
+     *   error ≈ bias + GDOP · σd,  σd = mean over heard radios of d·ln10·σ / (10·n)
+     * with σ = noiseStdDev whether or not noise is enabled. Fingerprinting is
+     * assessed with Gauss-Newton, since the radio map belongs to the live radios.
+     * @param {Array} radios - Candidate radios {x, y}
+     * @param {Array} points - Evaluation positions {x, y}
+     * @returns {Object} { errors: expected error (m) per point, null without a fix;
+     *   gdops: GDOP per point (Infinity without a fix) }
+     */
+    assessPlacement(radios, points) {
+        const solver = this.solver === 'fingerprint-knn' ? 'gauss-newton' : this.solver;
+        const savedNoise = this.enableNoise;
+        this.enableNoise = false;
+
+        try {
+            return this.withRadios(radios, () => {
+                this.rssiKalmanFilters = [];  // Noise-free ranges need no smoothing
+                const errors = [];
+                const gdops = [];
+
+                for (const point of points) {
+                    const measurements = this.measure(point);
+                    const position = measurements.length >= 3 ? this.solveWith(solver, measurements) : null;
+                    const gdop = position ? calculateGDOP(point, measurements.map(m => m.radio)) : Infinity;
+
+                    if (!position || !isFinite(gdop)) {
+                        errors.push(null);
+                        gdops.push(Infinity);
+                        continue;
+                    }
+
+                    const sigma = measurements.reduce((sum, m) => {
+                        const n = this.getRadioModel(m.radio).pathLossExponent;
+                        return sum + m.trueDistance * Math.LN10 * this.noiseStdDev / (10 * n);
+                    }, 0) / measurements.length;
+                    const bias = this.calculateTrueDistance(point.x, point.y, position.x, position.y);
+
+                    errors.push(bias + gdop * sigma);
+                    gdops.push(gdop);
+                }
+
+                return { errors, gdops };
+            });
+        } finally {
+            this.enableNoise = savedNoise;
+        }
+    }
+
+    /**
+     * Cost minimised by the optimizer: mean expected error ('error') or mean
+     * GDOP capped at 10 ('gdop'); points without a fix cost the area diagonal
+     * or the GDOP cap respectively
+     */
+    placementCost(assessment, objective) {
+        const gdopCap = 10;
+        const penalty = Math.hypot(this.width, this.height) / this.scale;
+        const costs = objective === 'gdop' ?
+            assessment.gdops.map(g => Math.min(g, gdopCap)) :
+            assessment.errors.map(e => e === null ? penalty : e);
+        return costs.reduce((sum, c) => sum + c, 0) / costs.length;
+    }
+
+    /**
+     * Search for radio positions inside the area by simulated annealing,
+     * starting from the radios of the active floor (extra radios are added at
+     * the points farthest from the others, surplus ones dropped). Radios keep
+     * their own calibration and antenna fields while they move.
+     * @param {Object} options
+     * @param {Number} options.count - Radio budget
+     * @param {Number} options.iterations - Annealing steps
+     * @param {Number} options.points - Evaluation positions (approximate, grid)
+     * @param {Number} options.margin - Distance kept from the area edges
+     * @param {String} options.objective - 'error' or 'gdop' (see placementCost)
+     * @returns {Object} { radios, cost, initialCost } - radio copies in the
+     *   order of the current ones, new ones ({x, y, floor} only) last
+     */
+    optimizeAnchorPlacement({ count, iterations = 400, points = 64, margin = 0, objective = 'error' } = {}) {
+        if (!(count >= 3)) {
+            throw new Error('The radio budget must be at least 3');
+        }
+        const evaluation = this.generateSamplePositions(points, 'grid', margin);
+        const minX = margin, maxX = this.width - margin;
+        const minY = margin, maxY = this.height - margin;
+
+        // Start from the current layout, filling up by farthest-point sampling
+        const layout = this.radiosOnFloor(this.activeFloor).slice(0, count).map(r => ({ ...r }));
+        const candidates = [
+            ...evaluation,
+            { x: minX, y: minY }, { x: maxX, y: minY }, { x: maxX, y: maxY }, { x: minX, y: maxY }
+        ];
+        while (layout.length < count) {
+            let best = candidates[0];
+            let bestDistance = -Infinity;
+            for (const c of candidates) {
+                const nearest = layout.length === 0 ? Infinity :
+                    Math.min(...layout.map(r => Math.hypot(r.x - c.x, r.y - c.y)));
+                if (nearest > bestDistance) {
+                    bestDistance = nearest;
+                    best = c;
+                }
+            }
+            layout.push({ x: best.x, y: best.y, floor: this.activeFloor });
+        }
+
+        const cost = (radios) => this.placementCost(this.assessPlacement(radios, evaluation), objective);
+        let current = layout;
+        let currentCost = cost(current);
+        let best = current;
+        let bestCost = currentCost;
+        const initialCost = currentCost;
+
+        const startTemperature = Math.max(currentCost * 0.1, 1e-6);
+        const startStep = Math.max(maxX - minX, maxY - minY) * 0.25;
+
+        for (let k = 0; k < iterations; k++) {
+            const progress = k / iterations;
+            const temperature = startTemperature * (1 - progress);
+            const step = Math.max(startStep * (1 - progress), this.scale * 0.25);
+
+            // Move one radio, staying inside the area
+            const index = Math.floor(this.random() * count);
+            const candidate = current.slice();
+            candidate[index] = {
+                ...current[index],
+                x: Math.max(minX, Math.min(maxX, current[index].x + this.gaussianRandom(0, step))),
+                y: Math.max(minY, Math.min(maxY, current[index].y + this.gaussianRandom(0, step)))
+            };
+
+            const candidateCost = cost(candidate);
+            const delta = candidateCost - currentCost;
+            if (delta <= 0 || (temperature > 0 && this.random() < Math.exp(-delta / temperature))) {
+                current = candidate;
+                currentCost = candidateCost;
+                if (currentCost < bestCost) {
+                    best = current;
+                    bestCost = currentCost;
+                }
+            }
+        }
+
+        return { radios: best, cost: bestCost, initialCost: initialCost };
+    }
+
+    /**
+     * Accuracy summary of a placement: Monte Carlo benchmark (reseeded, so
+     * placements are compared on the same noise; Gauss-Newton stands in for
+     * fingerprinting as in assessPlacement) plus noise-free coverage
+     * @param {Array} radios - Radios {x, y}
+     * @param {Object} options - { samples, margin } for runBenchmark
+     * @returns {Object} computeErrorStatistics fields plus meanGdop and coverage
+     *   (fraction of points with a fix in the noise-free model)
+     */
+    evaluatePlacement(radios, { samples = 200, margin = 0 } = {}) {
+        const savedRandom = this.random;
+        const savedSolver = this.solver;
+        this.random = createSeededRandom(this.seed);
+        if (this.solver === 'fingerprint-knn') this.solver = 'gauss-newton';
+
+        try {
+            const stats = this.withRadios(radios, () => this.runBenchmark({ samples, margin }));
+            const assessment = this.assessPlacement(radios, this.generateSamplePositions(samples, 'grid', margin));
+            const gdops = assessment.gdops.filter(g => isFinite(g));
+
+            delete stats.positions;
+            stats.meanGdop = gdops.length > 0 ? gdops.reduce((sum, g) => sum + g, 0) / gdops.length : Infinity;
+            stats.coverage = gdops.length / assessment.gdops.length;
+            return stats;
+        } finally {
+            this.random = savedRandom;
+            this.solver = savedSolver;
+        }
+    }
+
+    // =========================================================================
+    // RSSI Fingerprinting (radio map + kNN)
+    // =========================================================================
+
+    /**
+     * Survey the area on a grid: average RSSI of every radio at each point
+     * Readings are raw (no Kalman smoothing); radios below minRSSI are stored as minRSSI
+     * @param {Object} options
+     * @param {Number} options.spacing - Grid spacing in meters
+     * @param {Number} options.samples - Readings averaged per point and radio
+     * @param {Number} options.margin - Distance kept from the area edges (units)
+     * @returns {Object} Radio map { spacing, radios: [labels], points: [{x, y, rssi: []}] }
+     */
+    buildRadioMap({ spacing = 1, samples = 1, margin = 0 } = {}) {
+        if (!isFinite(this.width) || !isFinite(this.height)) {
+            throw new Error('Engine width and height are required to build a radio map');
+        }
+        if (!(spacing > 0) || !(samples >= 1)) {
+            throw new Error('Radio map spacing and samples must be positive');
+        }
+
+        const step = spacing * this.scale;
+        const points = [];
+
+        this.withIsolatedKalmanFilters(() => {
+            this.rssiKalmanFilters = [];
+
+            for (let y = margin + step / 2; y < this.height - margin; y += step) {
+                for (let x = margin + step / 2; x < this.width - margin; x += step) {
+                    const rssi = this.radios.map(radio => {
+                        const distance = this.signalDistance(radio, { x, y });
+                        let sum = 0;
+                        for (let i = 0; i < samples; i++) {
+                            sum += Math.max(this.minRSSI, this.calculateRSSI(distance, radio, { x, y }));
+                        }
+                        return sum / samples;
+                    });
+                    points.push({ x, y, rssi });
+                }
+            }
+        });
+
+        this.radioMap = {
+            spacing: spacing,
+            radios: this.radios.map(r => r.label),
+            points: points
+        };
+        return this.radioMap;
+    }
+
+    /**
+     * Radio map as plain JSON, positions in meters
+     */
+    exportRadioMap() {
+        if (!this.radioMap) {
+            throw new Error('No radio map to export');
+        }
+
+        return {
+            format: 'radio-map',
+            version: 1,
+            spacing: this.radioMap.spacing,
+            radios: this.radioMap.radios,
+            points: this.radioMap.points.map(p => ({
+                x: p.x / this.scale,
+                y: p.y / this.scale,
+                rssi: p.rssi
+            }))
+        };
+    }
+
+    /**
+     * Load a radio map produced by exportRadioMap (or surveyed elsewhere)
+     * @param {Object} data - Parsed JSON
+     * @returns {Object} The loaded radio map
+     */
+    importRadioMap(data) {
+        if (!data || data.format !== 'radio-map') {
+            throw new Error('Not a radio map file');
+        }
+        if (data.version !== 1) {
+            throw new Error(`Unsupported radio map version: ${data.version}`);
+        }
+        if (!Array.isArray(data.radios) || data.radios.length === 0 ||
+            !Array.isArray(data.points) || data.points.length === 0) {
+            throw new Error('Radio map needs radios and points');
+        }
+
+        const points = data.points.map((p, i) => {
+            const valid = isFinite(p.x) && isFinite(p.y) && Array.isArray(p.rssi) &&
+                p.rssi.length === data.radios.length && p.rssi.every(v => isFinite(v));
+            if (!valid) {
+                throw new Error(`Invalid radio map point ${i}`);
+            }
+            return { x: p.x * this.scale, y: p.y * this.scale, rssi: p.rssi.slice() };
+        });
+
+        this.radioMap = {
+            spacing: isFinite(data.spacing) ? data.spacing : null,
+            radios: data.radios.map(String),
+            points: points
+        };
+        return this.radioMap;
+    }
+
+    /**
+     * Locate by matching measured RSSI against the radio map (k nearest
+     * neighbours in signal space, Euclidean dB distance)
+     * Radios not heard count as minRSSI; radios missing from the map are ignored
+     * @param {Array} measurements - Result of measure()
+     * @param {Number} k - Reference points to average
+     * @param {Boolean} weighted - Weight neighbours by inverse signal distance
+     * @returns {Object|null} { x, y, neighbors: [{x, y, distance, weight}] }
+     */
+    fingerprintPosition(measurements, k = this.fingerprintK, weighted = this.fingerprintWeighted) {
+        if (!this.radioMap || measurements.length === 0) return null;
+
+        const heard = new Map(measurements.map(m => [m.radio.label, m.rssi]));
+        const observed = this.radioMap.radios.map(label =>
+            heard.has(label) ? heard.get(label) : this.minRSSI
+        );
+        if (!this.radioMap.radios.some(label => heard.has(label))) return null;
+
+        const ranked = this.radioMap.points.map(point => {
+            let sum = 0;
+            for (let i = 0; i < observed.length; i++) {
+                const diff = observed[i] - point.rssi[i];
+                sum += diff * diff;
+            }
+            return { point, distance: Math.sqrt(sum) };
+        }).sort((a, b) => a.distance - b.distance);
+
+        const nearest = ranked.slice(0, Math.max(1, k));
+        let totalWeight = 0;
+        let x = 0, y = 0;
+        const neighbors = nearest.map(({ point, distance }) => {
+            const weight = weighted ? 1 / (distance + 1e-6) : 1;
+            totalWeight += weight;
+            x += weight * point.x;
+            y += weight * point.y;
+            return { x: point.x, y: point.y, distance, weight };
+        });
+
+        for (const n of neighbors) {
+            n.weight /= totalWeight;
+        }
+
+        return { x: x / totalWeight, y: y / totalWeight, neighbors };
+    }
+
+    // =========================================================================
+    // Simulated Datasets
+    // =========================================================================
+
+    /**
+     * Run device positions through the measurement and solver pipeline with
+     * seeded noise and fresh Kalman filters, recording every radio's readings
+     * The live random source and filters are left untouched
+     * @param {Array} samples - [{time, x, y, reset}] from sampleTrajectory or
+     *   sampleGrid; reset restarts the Kalman filters before that sample
+     * @param {Object} options - { seed }
+     * @returns {Object} Dataset with positions in meters (see datasetToCSV)
+     */
+    generateDataset(samples, { seed = 1 } = {}) {
+        const toMeters = (p) => ({ x: p.x / this.scale, y: p.y / this.scale });
+        const savedRandom = this.random;
+        this.random = createSeededRandom(seed);
+
+        try {
+            return this.withIsolatedKalmanFilters(() => {
+                this.resetKalmanFilters();
+
+                const rows = samples.map(sample => {
+                    if (sample.reset) this.resetKalmanFilters();
+
+                    const device = { x: sample.x, y: sample.y };
+                    const readings = this.radios.map(radio => {
+                        const distance = this.signalDistance(radio, device);
+                        const { raw, rssi } = this.sampleRSSI(distance, radio, device);
+                        return {
+                            radio: radio,
+                            rawRssi: raw,
+                            rssi: rssi,
+                            trueDistance: distance,
+                            estimatedDistance: this.estimateDistanceFromRSSI(rssi, radio),
+                            walls: this.findPathWalls(radio, device).length
+                        };
+                    });
+
+                    const heard = readings.filter(m => m.rssi >= this.minRSSI);
+                    const { position } = this.solveMeasurements(heard);
+
+                    return {
+                        time: sample.time,
+                        truth: toMeters(device),
+                        readings: readings.map(m => ({
+                            radio: m.radio.label,
+                            rawRssi: m.rawRssi,
+                            rssi: m.rssi,
+                            estimatedDistance: m.rssi >= this.minRSSI ? m.estimatedDistance : null,
+                            walls: m.walls
+                        })),
+                        estimate: position ? toMeters(position) : null,
+                        error: position ?
+                            this.calculateTrueDistance(device.x, device.y, position.x, position.y) : null
+                    };
+                });
+
+                return {
+                    format: 'rssi-dataset',
+                    version: 1,
+                    seed: seed,
+                    solver: this.solver,
+                    radios: this.radios.map(r => ({ label: r.label, ...toMeters(r) })),
+                    samples: rows
+                };
+            });
+        } finally {
+            this.random = savedRandom;
+        }
+    }
+
+    // =========================================================================
+    // Path-Loss Calibration
+    // =========================================================================
+
+    /**
+     * Raw RSSI samples from every radio at a known receiver position
+     * Kalman filters are bypassed; readings below minRSSI are not heard
+     * @param {Object} point - Receiver position {x, y}
+     * @param {Number} count - Samples per radio
+     * @returns {Array} [{x, y, radio: label, rssi}]
+     */
+    collectCalibrationSamples(point, count = 10) {
+        const samples = [];
+
+        this.withIsolatedKalmanFilters(() => {
+            this.rssiKalmanFilters = [];
+
+            for (const radio of this.radios) {
+                const distance = this.signalDistance(radio, point);
+                for (let i = 0; i < count; i++) {
+                    const rssi = this.calculateRSSI(distance, radio, point);
+                    if (rssi >= this.minRSSI) {
+                        samples.push({ x: point.x, y: point.y, radio: radio.label, rssi });
+                    }
+                }
+            }
+        });
+
+        return samples;
+    }
+
+    /**
+     * Fit the global path-loss model to calibration samples by linear least squares:
+     *   RSSI = TxPower - 10·n·log10(d) - Σ a_m·w_m  (+ per-radio offsets)
+     * where w_m sums the wall loss weights of material m along the path. Per-radio
+     * Tx power, antenna gain and pattern, and floor slab losses (samples are on
+     * the active floor) are taken as known; per-radio rssiAt1m and pathLossExponent
+     * overrides are not refitted. Only materials that some sample actually crosses
+     * get an attenuation.
+     * @param {Array} samples - [{x, y, radio: label, rssi}]
+     * @returns {Object} { txPower, pathLossExponent, wallAttenuation: {material: dB},
+     *   residuals: [{x, y, radio, rssi, predicted, residual}], rmse, rSquared }
+     */
+    fitPathLossModel(samples) {
+        const radiosByLabel = new Map(this.radios.map(radio => [radio.label, radio]));
+        const materials = [];
+
+        const rows = samples.map(sample => {
+            const radio = radiosByLabel.get(sample.radio);
+            if (!radio) {
+                throw new Error(`Calibration sample names unknown radio "${sample.radio}"`);
+            }
+
+            const receiver = { x: sample.x, y: sample.y };
+            const distance = Math.max(0.1, this.signalDistance(radio, receiver));
+            const offset = (radio.txPower ?? 0) + (radio.antennaGain ?? 0) +
+                this.antennaPatternGain(radio, receiver) - this.floorLoss(radio, receiver);
+
+            const wallWeights = {};
+            if (this.enableWalls && this.walls.length > 0) {
+                const intersections = this.findPathWalls(radio, receiver);
+                const weights = this.wallLossWeights(radio, receiver, intersections);
+                intersections.forEach((intersection, i) => {
+                    const material = intersection.wall.material;
+                    if (!materials.includes(material)) materials.push(material);
+                    wallWeights[material] = (wallWeights[material] || 0) + weights[i];
+                });
+            }
+
+            return { sample, distance, offset, wallWeights };
+        });
+
+        const unknowns = 2 + materials.length;
+        if (rows.length < unknowns) {
+            throw new Error(`Calibration needs at least ${unknowns} samples, got ${rows.length}`);
+        }
+
+        // Normal equations of the design matrix [1, -10·log10(d), -w_m...]
+        const design = rows.map(row => [
+            1,
+            -10 * Math.log10(row.distance),
+            ...materials.map(material => -(row.wallWeights[material] || 0))
+        ]);
+        const AtA = Array.from({ length: unknowns }, () => new Array(unknowns).fill(0));
+        const Atb = new Array(unknowns).fill(0);
+        design.forEach((features, i) => {
+            const target = rows[i].sample.rssi - rows[i].offset;
+            for (let j = 0; j < unknowns; j++) {
+                Atb[j] += features[j] * target;
+                for (let k = 0; k < unknowns; k++) AtA[j][k] += features[j] * features[k];
+            }
+        });
+
+        const solution = solveLinearSystem(AtA, Atb);
+        if (!solution) {
+            throw new Error('Calibration samples must span several distances (and both sides of each wall material)');
+        }
+
+        const residuals = rows.map((row, i) => {
+            const predicted = row.offset + design[i].reduce((sum, f, j) => sum + f * solution[j], 0);
+            return { ...row.sample, predicted, residual: row.sample.rssi - predicted };
+        });
+
+        const mean = samples.reduce((sum, s) => sum + s.rssi, 0) / samples.length;
+        const ssRes = residuals.reduce((sum, r) => sum + r.residual * r.residual, 0);
+        const ssTot = samples.reduce((sum, s) => sum + (s.rssi - mean) ** 2, 0);
+
+        return {
+            txPower: solution[0],
+            pathLossExponent: solution[1],
+            wallAttenuation: Object.fromEntries(materials.map((material, i) => [material, solution[2 + i]])),
+            residuals: residuals,
+            rmse: Math.sqrt(ssRes / samples.length),
+            rSquared: ssTot > 0 ? 1 - ssRes / ssTot : 1
+        };
+    }
+
+    /**
+     * Use a fitted model: global TxPower and n, and the attenuation of every wall
+     * of a fitted material (negative fits are clamped to 0 dB)
+     * @param {Object} fit - Result of fitPathLossModel
+     */
+    applyCalibration(fit) {
+        this.txPower = fit.txPower;
+        this.pathLossExponent = fit.pathLossExponent;
+
+        for (const wall of this.walls) {
+            if (fit.wallAttenuation[wall.material] !== undefined) {
+                wall.attenuation = Math.max(0, fit.wallAttenuation[wall.material]);
+            }
+        }
+        this.resetKalmanFilters();
+    }
+
+    // =========================================================================
+    // Scenarios
+    // =========================================================================
+
+    /**
+     * Current values of every scenario setting (see ENGINE_SETTINGS)
+     */
+    getSettings() {
+        const settings = {};
+        for (const key of Object.keys(ENGINE_SETTINGS)) {
+            settings[key] = this[key];
+        }
+        return settings;
+    }
+
+    /**
+     * Apply scenario settings and restart the filters that depend on them
+     * (and the random sequence when a seed is given). Unknown keys are ignored
+     */
+    applySettings(settings) {
+        for (const key of Object.keys(ENGINE_SETTINGS)) {
+            if (settings[key] !== undefined) {
+                this[key] = settings[key];
+            }
+        }
+        if (settings.seed !== undefined) {
+            this.reseed();
+        }
+        this.resetKalmanFilters();
+        this.resetPositionTracker();
+        this.resetParticleFilter();
+    }
+
+    /**
+     * Floors, radios, walls and settings as a scenario object (positions in meters)
+     */
+    exportScenario() {
+        const toMeters = (p) => ({ x: p.x / this.scale, y: p.y / this.scale });
+
+        return {
+            format: SCENARIO_FORMAT,
+            version: SCENARIO_VERSION,
+            settings: this.getSettings(),
+            floors: this.floors.map(floor => ({ name: floor.name })),
+            radios: this.radios.map(radio => {
+                const exported = { label: radio.label, ...toMeters(radio) };
+                for (const key of Object.keys(RADIO_PARAMETERS)) {
+                    if (radio[key] !== undefined) exported[key] = structuredClone(radio[key]);
+                }
+                return exported;
+            }),
+            walls: this.walls.map(wall => {
+                const exported = { start: toMeters(wall.start), end: toMeters(wall.end), material: wall.material };
+                // Calibrated walls keep their fitted loss
+                if (wall.attenuation !== WALL_MATERIALS[wall.material].attenuation) {
+                    exported.attenuation = wall.attenuation;
+                }
+                if (wall.floor) exported.floor = wall.floor;
+                return exported;
+            })
+        };
+    }
+
+    /**
+     * Validate a scenario and load its floors, radios, walls and settings
+     * Nothing is changed when validation fails
+     * @param {Object} data - Parsed scenario JSON
+     * @returns {Object} The validated scenario (for sections the engine doesn't own)
+     */
+    importScenario(data) {
+        validateScenario(data);
+        const toUnits = (p) => ({ x: p.x * this.scale, y: p.y * this.scale });
+
+        this.walls = data.walls.map(wall => {
+            const imported = new Wall(toUnits(wall.start), toUnits(wall.end), wall.material);
+            if (wall.attenuation !== undefined) imported.attenuation = wall.attenuation;
+            if (wall.floor !== undefined) imported.floor = wall.floor;
+            return imported;
+        });
+        this.radios = data.radios.map(radio => {
+            const imported = { label: radio.label, ...toUnits(radio) };
+            for (const key of Object.keys(RADIO_PARAMETERS)) {
+                if (radio[key] !== undefined) imported[key] = structuredClone(radio[key]);
+            }
+            return imported;
+        });
+        this.floors = (data.floors || [{}]).map((floor, i) => ({ name: floor.name ?? `Floor ${i + 1}` }));
+        this.activeFloor = data.device?.floor ?? 0;
+        this.applySettings(data.settings || {});
+
+        return data;
+    }
+}
+
+// Export for use in Node (the browser picks the declarations up as globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WALL_MATERIALS,
+        Wall,
+        KalmanFilter,
+        PositionTracker,
+        ParticleFilter,
+        PositioningEngine,
+        Trajectory,
+        createPresetTrajectory,
+        POSITIONING_ALGORITHMS,
+        registerPositioningAlgorithm,
+        SCENARIO_FORMAT,
+        SCENARIO_VERSION,
+        ENGINE_SETTINGS,
+        RADIO_PARAMETERS,
+        ANTENNA_PATTERNS,
+        interpolateGainTable,
+        parseGainTable,
+        solveLinearSystem,
+        parseCalibrationSamples,
+        csvField,
+        splitCSVLine,
+        createSeededRandom,
+        sampleTrajectory,
+        sampleGrid,
+        datasetToCSV,
+        RSSI_LOG_FIELDS,
+        parseRssiLog,
+        RssiLogPlayer,
+        validateScenario,
+        lineLineIntersection,
+        findWallIntersections,
+        calculatePenetrationAngle,
+        mirrorPoint,
+        traceReflections,
+        calculateGDOP,
+        rateGDOP,
+        covarianceEllipse,
+        robustRho,
+        robustWeight,
+        percentile,
+        computeErrorStatistics
+    };
+}
@@ -0,0 +1,1643 @@
+// =============================================================================
+// Positioning Engine Tests
+// Run with: node --test test/
+// =============================================================================
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    WALL_MATERIALS,
+    Wall,
+    PositioningEngine,
+    PositionTracker,
+    ParticleFilter,
+    Trajectory,
+    createPresetTrajectory,
+    POSITIONING_ALGORITHMS,
+    registerPositioningAlgorithm,
+    validateScenario,
+    interpolateGainTable,
+    parseGainTable,
+    solveLinearSystem,
+    parseCalibrationSamples,
+    parseRssiLog,
+    createSeededRandom,
+    sampleTrajectory,
+    sampleGrid,
+    datasetToCSV,
+    csvField,
+    splitCSVLine,
+    RssiLogPlayer,
+    lineLineIntersection,
+    findWallIntersections,
+    calculatePenetrationAngle,
+    traceReflections,
+    calculateGDOP,
+    rateGDOP,
+    covarianceEllipse,
+    robustRho,
+    robustWeight,
+    percentile,
+    computeErrorStatistics
+} = require('../positioning-engine.js');
+
+/**
+ * Deterministic engine: no noise and no Kalman smoothing, so every call to
+ * calculateRSSI returns the pure path-loss value
+ */
+function createEngine(options = {}) {
+    return new PositioningEngine({
+        scale: 40,
+        width: 800,
+        height: 600,
+        enableKalmanFilter: false,
+        enableNoise: false,
+        ...options
+    });
+}
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(
+        Math.abs(actual - expected) <= tolerance,
+        `${message || 'value'}: expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+}
+
+describe('lineLineIntersection', () => {
+    it('finds the crossing point of two perpendicular segments', () => {
+        const hit = lineLineIntersection(
+            { x: 0, y: 0 }, { x: 10, y: 0 },
+            { x: 4, y: -5 }, { x: 4, y: 5 }
+        );
+        assert.ok(hit);
+        assertClose(hit.x, 4, 1e-9, 'x');
+        assertClose(hit.y, 0, 1e-9, 'y');
+        assertClose(hit.t, 0.4, 1e-9, 't');
+        assertClose(hit.u, 0.5, 1e-9, 'u');
+    });
+
+    it('returns null for parallel segments', () => {
+        const hit = lineLineIntersection(
+            { x: 0, y: 0 }, { x: 10, y: 0 },
+            { x: 0, y: 5 }, { x: 10, y: 5 }
+        );
+        assert.equal(hit, null);
+    });
+
+    it('returns null for collinear overlapping segments', () => {
+        const hit = lineLineIntersection(
+            { x: 0, y: 0 }, { x: 10, y: 0 },
+            { x: 5, y: 0 }, { x: 15, y: 0 }
+        );
+        assert.equal(hit, null);
+    });
+
+    it('returns null when the lines cross outside either segment', () => {
+        const hit = lineLineIntersection(
+            { x: 0, y: 0 }, { x: 10, y: 0 },
+            { x: 20, y: -5 }, { x: 20, y: 5 }
+        );
+        assert.equal(hit, null);
+    });
+
+    it('counts segments that touch at an endpoint', () => {
+        const atEnd = lineLineIntersection(
+            { x: 0, y: 0 }, { x: 10, y: 0 },
+            { x: 10, y: -5 }, { x: 10, y: 5 }
+        );
+        assert.ok(atEnd);
+        assertClose(atEnd.t, 1, 1e-9, 't');
+
+        const atStart = lineLineIntersection(
+            { x: 0, y: 0 }, { x: 10, y: 0 },
+            { x: 0, y: 0 }, { x: 0, y: 5 }
+        );
+        assert.ok(atStart);
+        assertClose(atStart.t, 0, 1e-9, 't');
+        assertClose(atStart.u, 0, 1e-9, 'u');
+    });
+});
+
+describe('findWallIntersections', () => {
+    it('returns crossed walls sorted nearest to the transmitter first', () => {
+        const far = new Wall({ x: 80, y: -10 }, { x: 80, y: 10 }, 'concrete');
+        const near = new Wall({ x: 20, y: -10 }, { x: 20, y: 10 }, 'drywall');
+        const middle = new Wall({ x: 50, y: -10 }, { x: 50, y: 10 }, 'brick');
+        const missed = new Wall({ x: 60, y: 20 }, { x: 60, y: 40 }, 'metal');
+
+        const intersections = findWallIntersections(
+            { x: 0, y: 0 }, { x: 100, y: 0 },
+            [far, near, missed, middle]
+        );
+
+        assert.deepEqual(intersections.map(i => i.wall), [near, middle, far]);
+        assert.deepEqual(intersections.map(i => i.distance), [20, 50, 80]);
+        assert.deepEqual(intersections[0].point, { x: 20, y: 0 });
+    });
+
+    it('returns an empty list when no wall is crossed', () => {
+        const wall = new Wall({ x: 0, y: 10 }, { x: 100, y: 10 });
+        assert.deepEqual(findWallIntersections({ x: 0, y: 0 }, { x: 100, y: 0 }, [wall]), []);
+    });
+});
+
+describe('calculatePenetrationAngle', () => {
+    const wall = new Wall({ x: 0, y: -10 }, { x: 0, y: 10 });
+
+    it('applies the full loss at normal incidence', () => {
+        assertClose(calculatePenetrationAngle({ x: 1, y: 0 }, wall), 1.0, 1e-9);
+        assertClose(calculatePenetrationAngle({ x: -5, y: 0 }, wall), 1.0, 1e-9);
+    });
+
+    it('halves the loss for a grazing signal', () => {
+        assertClose(calculatePenetrationAngle({ x: 0, y: 1 }, wall), 0.5, 1e-9);
+    });
+
+    it('interpolates by the cosine of the incidence angle', () => {
+        const expected = 0.5 + 0.5 * Math.cos(Math.PI / 4);
+        assertClose(calculatePenetrationAngle({ x: 1, y: 1 }, wall), expected, 1e-9);
+    });
+});
+
+describe('wall attenuation', () => {
+    const transmitter = { x: 0, y: 0 };
+    const receiver = { x: 400, y: 0 };
+    const distance = 10;
+
+    function rssiWithWalls(walls, options = {}) {
+        const engine = createEngine({ enableWalls: true, walls, ...options });
+        return engine.calculateRSSI(distance, transmitter, receiver);
+    }
+
+    it('subtracts the material attenuation of a single wall', () => {
+        const walls = [new Wall({ x: 200, y: -50 }, { x: 200, y: 50 }, 'concrete')];
+        assertClose(rssiWithWalls([]) - rssiWithWalls(walls), 10, 1e-9);
+    });
+
+    it('increases the loss of each additional wall by 10% when cumulative', () => {
+        const walls = [
+            new Wall({ x: 100, y: -50 }, { x: 100, y: 50 }, 'concrete'),
+            new Wall({ x: 200, y: -50 }, { x: 200, y: 50 }, 'concrete'),
+            new Wall({ x: 300, y: -50 }, { x: 300, y: 50 }, 'concrete')
+        ];
+        const expectedLoss = 10 + 10 * 1.1 + 10 * 1.1 * 1.1;
+        assertClose(rssiWithWalls([]) - rssiWithWalls(walls), expectedLoss, 1e-9);
+    });
+
+    it('sums plain material losses when the cumulative effect is off', () => {
+        const walls = [
+            new Wall({ x: 100, y: -50 }, { x: 100, y: 50 }, 'drywall'),
+            new Wall({ x: 300, y: -50 }, { x: 300, y: 50 }, 'metal')
+        ];
+        const loss = rssiWithWalls([]) - rssiWithWalls(walls, { enableCumulativeEffect: false });
+        assertClose(loss, 3 + 20, 1e-9);
+    });
+
+    it('scales the loss by the penetration angle', () => {
+        // 45° wall across the path
+        const walls = [new Wall({ x: 150, y: -50 }, { x: 250, y: 50 }, 'concrete')];
+        const expectedLoss = 10 * (0.5 + 0.5 * Math.cos(Math.PI / 4));
+        assertClose(rssiWithWalls([]) - rssiWithWalls(walls), expectedLoss, 1e-9);
+
+        const flat = rssiWithWalls([]) - rssiWithWalls(walls, { enableAngleEffect: false });
+        assertClose(flat, 10, 1e-9);
+    });
+
+    it('ignores walls while wall attenuation is disabled', () => {
+        const walls = [new Wall({ x: 200, y: -50 }, { x: 200, y: 50 }, 'metal')];
+        assert.equal(rssiWithWalls([]), rssiWithWalls(walls, { enableWalls: false }));
+    });
+});
+
+describe('path-loss model', () => {
+    it('returns Tx power at 1 m', () => {
+        const engine = createEngine();
+        assertClose(engine.calculateRSSI(1), engine.txPower, 1e-9);
+    });
+
+    it('round-trips distance through RSSI and back', () => {
+        for (const n of [2.0, 2.7, 3.5]) {
+            const engine = createEngine({ pathLossExponent: n });
+            for (const d of [0.5, 1, 2.5, 7, 15]) {
+                const rssi = engine.calculateRSSI(d);
+                assertClose(engine.estimateDistanceFromRSSI(rssi), d, 1e-9, `n=${n}, d=${d}`);
+            }
+        }
+    });
+
+    it('clamps RSSI to the realistic -120..-30 dBm range', () => {
+        const engine = createEngine({ txPower: -30 });
+        assert.equal(engine.calculateRSSI(0), -30);
+        assert.equal(createEngine().calculateRSSI(1e9), -120);
+    });
+
+    it('keeps modelRSSI free of noise and clamping', () => {
+        const engine = createEngine({ enableNoise: true, noiseStdDev: 8 });
+        assert.equal(engine.modelRSSI(2), engine.modelRSSI(2));
+        assertClose(engine.modelRSSI(1e9), engine.txPower - 10 * 2.7 * 9, 1e-9);
+    });
+});
+
+describe('leastSquaresTrilateration', () => {
+    const square = [
+        { x: 80, y: 80, label: 'R1' },
+        { x: 720, y: 80, label: 'R2' },
+        { x: 720, y: 520, label: 'R3' },
+        { x: 80, y: 520, label: 'R4' }
+    ];
+    const triangle = square.slice(0, 3);
+
+    for (const [name, radios] of [['square', square], ['triangle', triangle]]) {
+        it(`converges to the true position with exact ranges (${name})`, () => {
+            const engine = createEngine();
+            engine.setRadios(radios);
+
+            for (const device of [{ x: 400, y: 300 }, { x: 150, y: 450 }, { x: 600, y: 120 }]) {
+                const { measurements, position } = engine.locate(device);
+                assert.equal(measurements.length, radios.length);
+                assert.ok(position, 'solver returned no fix');
+                assertClose(position.x, device.x, 0.5, 'x');
+                assertClose(position.y, device.y, 0.5, 'y');
+            }
+        });
+    }
+
+    it('returns no position when fewer than 3 radios are heard', () => {
+        const engine = createEngine({ minRSSI: -60 });
+        engine.setRadios(square);
+        const { measurements, position } = engine.locate({ x: 100, y: 100 });
+        assert.ok(measurements.length < 3);
+        assert.equal(position, null);
+    });
+
+    it('solves the 3-radio closed form used as the initial guess', () => {
+        const engine = createEngine();
+        engine.setRadios(triangle);
+        const measurements = engine.measure({ x: 300, y: 200 });
+        const guess = engine.geometricTrilateration(measurements);
+        assertClose(guess.x, 300, 1e-6, 'x');
+        assertClose(guess.y, 200, 1e-6, 'y');
+    });
+
+    it('returns null from the closed form for collinear radios', () => {
+        const engine = createEngine();
+        engine.setRadios([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 200, y: 0 }]);
+        const measurements = engine.measure({ x: 100, y: 100 });
+        assert.equal(engine.geometricTrilateration(measurements), null);
+    });
+});
+
+describe('computeErrorStatistics', () => {
+    it('interpolates percentiles between sorted values', () => {
+        assert.equal(percentile([1, 2, 3, 4], 0), 1);
+        assert.equal(percentile([1, 2, 3, 4], 1), 4);
+        assertClose(percentile([1, 2, 3, 4], 0.5), 2.5, 1e-12);
+        assert.ok(isNaN(percentile([], 0.5)));
+    });
+
+    it('summarizes errors and failures', () => {
+        const stats = computeErrorStatistics([3, 1, 4, 2], 1);
+        assert.equal(stats.samples, 5);
+        assert.equal(stats.fixes, 4);
+        assertClose(stats.failureRate, 0.2, 1e-12);
+        assertClose(stats.mean, 2.5, 1e-12);
+        assertClose(stats.median, 2.5, 1e-12);
+        assertClose(stats.rmse, Math.sqrt(30 / 4), 1e-12);
+        assertClose(stats.cep90, 3.7, 1e-12);
+        assert.equal(stats.max, 4);
+        assert.deepEqual(stats.errors, [1, 2, 3, 4]);
+    });
+});
+
+describe('runBenchmark', () => {
+    it('samples a grid over the area and scores every position', () => {
+        const engine = createEngine();
+        engine.setRadios([
+            { x: 80, y: 80 }, { x: 720, y: 80 }, { x: 720, y: 520 }, { x: 80, y: 520 }
+        ]);
+
+        const result = engine.runBenchmark({ samples: 300, mode: 'grid' });
+        assert.equal(result.positions.length, result.samples);
+        assert.ok(Math.abs(result.samples - 300) < 30);
+        assert.equal(result.failures, 0);
+        assert.ok(result.cep90 < 0.05, `noise-free CEP90 should be ~0, got ${result.cep90}`);
+
+        for (const p of result.positions) {
+            assert.ok(p.x > 0 && p.x < 800 && p.y > 0 && p.y < 600);
+        }
+    });
+
+    it('keeps the live Kalman filters untouched', () => {
+        const engine = createEngine({ enableKalmanFilter: true, enableNoise: true });
+        engine.setRadios([{ x: 0, y: 0 }, { x: 800, y: 0 }, { x: 400, y: 600 }]);
+        const filters = engine.rssiKalmanFilters;
+
+        engine.runBenchmark({ samples: 20, mode: 'random', readingsPerSample: 3 });
+        assert.equal(engine.rssiKalmanFilters, filters);
+    });
+
+    it('rejects unknown sampling modes', () => {
+        assert.throws(() => createEngine().runBenchmark({ mode: 'spiral' }), /Unknown sampling mode/);
+    });
+});
+
+describe('computeErrorMap', () => {
+    it('covers the area with one cell per resolution step', () => {
+        const engine = createEngine();
+        engine.setRadios([
+            { x: 80, y: 80 }, { x: 720, y: 80 }, { x: 720, y: 520 }, { x: 80, y: 520 }
+        ]);
+
+        const cells = engine.computeErrorMap({ resolution: 100, trials: 2 });
+        assert.equal(cells.length, 8 * 6);
+        for (const cell of cells) {
+            assert.ok(cell.error < 0.05, `noise-free error should be ~0, got ${cell.error}`);
+            assert.equal(cell.failureRate, 0);
+        }
+    });
+
+    it('marks cells where no fix is possible', () => {
+        const engine = createEngine({ minRSSI: -30 });
+        engine.setRadios([{ x: 0, y: 0 }, { x: 800, y: 0 }, { x: 400, y: 600 }]);
+
+        const cells = engine.computeErrorMap({ resolution: 200, trials: 1 });
+        assert.ok(cells.every(cell => cell.error === null && cell.failureRate === 1));
+    });
+});
+
+describe('calculateGDOP', () => {
+    it('is 1 for four anchors evenly spaced around the point', () => {
+        const anchors = [{ x: 10, y: 0 }, { x: 0, y: 10 }, { x: -10, y: 0 }, { x: 0, y: -10 }];
+        assertClose(calculateGDOP({ x: 0, y: 0 }, anchors), 1, 1e-12);
+    });
+
+    it('grows when all anchors lie in nearly the same direction', () => {
+        const wide = calculateGDOP({ x: 0, y: 0 }, [{ x: -10, y: 10 }, { x: 10, y: 10 }, { x: 0, y: -10 }]);
+        const narrow = calculateGDOP({ x: 0, y: 0 }, [{ x: 100, y: -10 }, { x: 100, y: 0 }, { x: 100, y: 10 }]);
+        assert.ok(narrow > wide * 2, `expected ${narrow} >> ${wide}`);
+        assert.equal(rateGDOP(wide), 'Excellent');
+    });
+
+    it('is infinite for collinear anchors', () => {
+        const anchors = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 200, y: 0 }];
+        assert.equal(calculateGDOP({ x: 300, y: 0 }, anchors), Infinity);
+        assert.equal(rateGDOP(Infinity), 'Poor');
+    });
+
+    it('is reported by locate() for the heard radios', () => {
+        const engine = createEngine();
+        engine.setRadios([{ x: 80, y: 80 }, { x: 720, y: 80 }, { x: 720, y: 520 }, { x: 80, y: 520 }]);
+        const { position, gdop } = engine.locate({ x: 400, y: 300 });
+        assertClose(gdop, calculateGDOP(position, engine.radios), 1e-12);
+    });
+});
+
+describe('least-squares covariance', () => {
+    const radios = [{ x: 80, y: 80 }, { x: 720, y: 80 }, { x: 720, y: 520 }, { x: 80, y: 520 }];
+
+    it('is zero when every range is exact', () => {
+        const engine = createEngine();
+        engine.setRadios(radios);
+        const { position } = engine.locate({ x: 300, y: 250 });
+        assertClose(position.covariance.xx, 0, 1e-6, 'xx');
+        assertClose(position.covariance.yy, 0, 1e-6, 'yy');
+    });
+
+    it('is positive definite when ranges disagree', () => {
+        const engine = createEngine();
+        engine.setRadios(radios);
+        const measurements = engine.measure({ x: 300, y: 250 });
+        measurements[0].estimatedDistance *= 1.3;
+        measurements[2].estimatedDistance *= 0.8;
+
+        const { covariance } = engine.leastSquaresTrilateration(measurements);
+        assert.ok(covariance.xx > 0 && covariance.yy > 0);
+        assert.ok(covariance.xx * covariance.yy - covariance.xy ** 2 > 0);
+    });
+
+    it('ignores ranges the Tukey loss rejects when estimating sigma', () => {
+        const engine = createEngine();
+        engine.setRadios([...radios, { x: 400, y: 80 }]);
+        const device = { x: 300, y: 250 };
+        const measurements = engine.measure(device);
+        measurements[0].estimatedDistance += 0.2;
+        measurements[1].estimatedDistance -= 0.3;
+        measurements[4].estimatedDistance += 10; // Gross outlier
+
+        const withOutlier = engine.estimateCovariance(measurements, device.x, device.y, 'tukey');
+        const inliers = engine.estimateCovariance(measurements.slice(0, 4), device.x, device.y, 'tukey');
+        assert.ok(inliers.xx > 0);
+        assertClose(withOutlier.xx, inliers.xx, 1e-9, 'xx');
+        assertClose(withOutlier.yy, inliers.yy, 1e-9, 'yy');
+    });
+
+    it('converts to a confidence ellipse aligned with the principal axes', () => {
+        const k95 = Math.sqrt(-2 * Math.log(0.05));
+        const ellipse = covarianceEllipse({ xx: 4, xy: 0, yy: 1 }, 0.95);
+        assertClose(ellipse.major, 2 * k95, 1e-12, 'major');
+        assertClose(ellipse.minor, k95, 1e-12, 'minor');
+        assertClose(ellipse.angle, 0, 1e-12, 'angle');
+
+        const rotated = covarianceEllipse({ xx: 2.5, xy: 1.5, yy: 2.5 }, 0.95);
+        assertClose(rotated.major, 2 * k95, 1e-12, 'rotated major');
+        assertClose(rotated.angle, Math.PI / 4, 1e-12, 'rotated angle');
+    });
+});
+
+describe('Levenberg-Marquardt solver', () => {
+    const radios = [
+        { x: 80, y: 80 }, { x: 720, y: 80 }, { x: 720, y: 520 },
+        { x: 80, y: 520 }, { x: 400, y: 60 }, { x: 400, y: 560 }
+    ];
+    const device = { x: 300, y: 250 };
+
+    function measurementsWithOutlier() {
+        const engine = createEngine();
+        engine.setRadios(radios);
+        const measurements = engine.measure(device);
+        measurements[1].estimatedDistance *= 2; // NLOS-inflated range
+        return { engine, measurements };
+    }
+
+    it('matches Gauss-Newton on consistent ranges', () => {
+        const engine = createEngine({ solver: 'levenberg-marquardt' });
+        engine.setRadios(radios);
+        const { position } = engine.locate(device);
+        assertClose(position.x, device.x, 0.5, 'x');
+        assertClose(position.y, device.y, 0.5, 'y');
+    });
+
+    for (const loss of ['huber', 'cauchy', 'tukey']) {
+        it(`${loss} loss resists a single inflated range better than plain least squares`, () => {
+            const { engine, measurements } = measurementsWithOutlier();
+            const plain = engine.levenbergMarquardtTrilateration(measurements, 'none');
+            const robust = engine.levenbergMarquardtTrilateration(measurements, loss);
+
+            const errorOf = (p) => Math.hypot(p.x - device.x, p.y - device.y);
+            assert.ok(errorOf(robust) < errorOf(plain) / 2,
+                `${loss}: ${errorOf(robust)} vs plain ${errorOf(plain)}`);
+        });
+    }
+
+    it('uses weights of 1 inside the tuning constant', () => {
+        for (const loss of ['none', 'huber', 'cauchy', 'tukey']) {
+            assertClose(robustWeight(0, 1, loss), 1, 1e-12, loss);
+            assertClose(robustRho(0, 1, loss), 0, 1e-12, loss);
+        }
+        assert.equal(robustWeight(3, 1, 'tukey'), 0);
+        assertClose(robustWeight(4, 1, 'huber'), 0.25, 1e-12);
+    });
+});
+
+describe('positioning algorithm registry', () => {
+    const radios = [{ x: 80, y: 80 }, { x: 720, y: 80 }, { x: 720, y: 520 }, { x: 80, y: 520 }];
+    const device = { x: 300, y: 250 };
+
+    function exactMeasurements() {
+        const engine = createEngine();
+        engine.setRadios(radios);
+        return { engine, measurements: engine.measure(device) };
+    }
+
+    for (const id of ['gauss-newton', 'levenberg-marquardt', 'linear-lls', 'circle-expansion']) {
+        it(`${id} recovers the true position from exact ranges`, () => {
+            const { engine, measurements } = exactMeasurements();
+            const position = engine.solveWith(id, measurements);
+            assertClose(position.x, device.x, 0.5, 'x');
+            assertClose(position.y, device.y, 0.5, 'y');
+        });
+    }
+
+    for (const id of ['weighted-centroid', 'min-max']) {
+        it(`${id} lands inside the radio layout, biased but close`, () => {
+            const { engine, measurements } = exactMeasurements();
+            const position = engine.solveWith(id, measurements);
+            assert.ok(position.x > 80 && position.x < 720 && position.y > 80 && position.y < 520);
+            assert.ok(Math.hypot(position.x - device.x, position.y - device.y) < 2 * engine.scale);
+        });
+    }
+
+    it('uses the selected algorithm in locate()', () => {
+        const engine = createEngine({ solver: 'weighted-centroid' });
+        engine.setRadios(radios);
+        const { measurements, position } = engine.locate(device);
+        assert.deepEqual(position, engine.weightedCentroid(measurements));
+    });
+
+    it('accepts new algorithms and rejects unknown ids', () => {
+        registerPositioningAlgorithm('test-first-radio', {
+            name: 'First radio',
+            color: 0x000000,
+            solve: (engine, measurements) => ({ x: measurements[0].radio.x, y: measurements[0].radio.y })
+        });
+
+        try {
+            const { engine, measurements } = exactMeasurements();
+            assert.deepEqual(engine.solveWith('test-first-radio', measurements), { x: 80, y: 80 });
+            assert.throws(() => engine.solveWith('no-such-solver', measurements), /Unknown positioning algorithm/);
+        } finally {
+            delete POSITIONING_ALGORITHMS['test-first-radio'];
+        }
+    });
+});
+
+describe('Trajectory', () => {
+    const square = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }];
+
+    it('measures the polyline length, closing the loop when asked', () => {
+        assert.equal(new Trajectory(square).length, 200);
+        assertClose(new Trajectory(square, { loop: true }).length, 200 + 100 * Math.SQRT2, 1e-9);
+    });
+
+    it('interpolates positions and headings along segments', () => {
+        const trajectory = new Trajectory(square);
+        assert.deepEqual(trajectory.positionAt(50), { x: 50, y: 0, heading: 0 });
+        const p = trajectory.positionAt(150);
+        assert.equal(p.x, 100);
+        assert.equal(p.y, 50);
+        assertClose(p.heading, Math.PI / 2, 1e-12);
+    });
+
+    it('clamps open paths and wraps looping ones', () => {
+        const open = new Trajectory(square);
+        assert.equal(open.positionAt(500).y, 100);
+        assert.equal(open.positionAt(-10).x, 0);
+        assert.ok(open.isFinished(200));
+        assert.ok(!open.isFinished(199));
+
+        const loop = new Trajectory(square, { loop: true });
+        const p = loop.positionAt(loop.length + 50);
+        assertClose(p.x, 50, 1e-9);
+        assertClose(p.y, 0, 1e-9);
+        assert.ok(!loop.isFinished(loop.length * 3));
+    });
+
+    it('rejects paths with fewer than 2 waypoints', () => {
+        assert.throws(() => new Trajectory([{ x: 0, y: 0 }]), /at least 2 waypoints/);
+    });
+
+    it('builds presets inside the area margins', () => {
+        for (const name of ['perimeter', 'zigzag', 'diagonal']) {
+            const trajectory = createPresetTrajectory(name, 800, 600, 100);
+            for (const p of trajectory.waypoints) {
+                assert.ok(p.x >= 100 && p.x <= 700 && p.y >= 100 && p.y <= 500);
+            }
+        }
+        assert.ok(createPresetTrajectory('perimeter', 800, 600).loop);
+        assert.throws(() => createPresetTrajectory('spiral', 800, 600), /Unknown trajectory preset/);
+    });
+});
+
+describe('PositionTracker', () => {
+    it('starts at the first fix with zero velocity', () => {
+        const tracker = new PositionTracker();
+        const state = tracker.update({ x: 100, y: 200 }, 0);
+        assert.equal(state.x, 100);
+        assert.equal(state.y, 200);
+        assert.equal(state.vx, 0);
+        assert.equal(state.vy, 0);
+    });
+
+    it('learns the velocity of a steadily moving target', () => {
+        const tracker = new PositionTracker({ processNoise: 1, measurementNoise: 5 });
+        let state;
+        for (let i = 0; i <= 100; i++) {
+            const t = i * 0.1;
+            state = tracker.update({ x: 40 * t, y: 300 }, t);
+        }
+        assertClose(state.vx, 40, 1);
+        assertClose(state.vy, 0, 1);
+        assertClose(state.x, 400, 2);
+    });
+
+    it('smooths noisy fixes of a static target', () => {
+        const tracker = new PositionTracker({ processNoise: 1, measurementNoise: 40 });
+        let state;
+        for (let i = 0; i < 200; i++) {
+            // Deterministic ±40 zigzag around (400, 300)
+            state = tracker.update({ x: 400 + (i % 2 ? 40 : -40), y: 300 }, i * 0.1);
+        }
+        assert.ok(Math.abs(state.x - 400) < 10);
+    });
+
+    it('coasts through missing fixes and drops stale tracks', () => {
+        const tracker = new PositionTracker({ maxGap: 2 });
+        tracker.update({ x: 0, y: 0 }, 0);
+        const last = tracker.update({ x: 10, y: 0 }, 1);
+        const coasted = tracker.coast(1.5);
+        assertClose(coasted.x, last.x + 0.5 * last.vx, 1e-9);
+        assert.ok(coasted.covariance.xx > last.covariance.xx);
+        assert.equal(tracker.coast(10), null);
+
+        const restarted = tracker.update({ x: 500, y: 500 }, 11);
+        assert.equal(restarted.x, 500);
+    });
+
+    it('is driven by the engine only when enabled', () => {
+        const engine = createEngine();
+        assert.equal(engine.trackPosition({ x: 1, y: 2 }, 0), null);
+
+        engine.enablePositionTracking = true;
+        assert.deepEqual(
+            [engine.trackPosition({ x: 1, y: 2 }, 0).x, engine.trackPosition(null, 0.1).y],
+            [1, 2]
+        );
+    });
+});
+
+describe('ParticleFilter', () => {
+    const radios = [
+        { x: 80, y: 80, label: 'R1' },
+        { x: 720, y: 80, label: 'R2' },
+        { x: 720, y: 520, label: 'R3' },
+        { x: 80, y: 520, label: 'R4' }
+    ];
+
+    it('converges on a static device from a uniform cloud', () => {
+        const engine = createEngine({ enableParticleFilter: true, particleCount: 1000 });
+        engine.setRadios(radios);
+        const device = { x: 300, y: 250 };
+
+        let estimate;
+        for (let i = 0; i < 40; i++) {
+            estimate = engine.trackParticles(engine.measure(device), i * 0.1);
+        }
+        assert.ok(Math.hypot(estimate.x - device.x, estimate.y - device.y) < 1.5 * engine.scale);
+        assert.ok(estimate.covariance.xx > 0 && estimate.covariance.yy > 0);
+    });
+
+    it('never moves particles through walls', () => {
+        const engine = createEngine({ walls: [new Wall({ x: 400, y: 0 }, { x: 400, y: 600 }, 'concrete')] });
+        const filter = new ParticleFilter(engine, { count: 200, motionStdDev: 200 });
+        filter.particles = Array.from({ length: 200 }, () => ({ x: 390, y: 300, weight: 1 / 200 }));
+
+        for (let i = 0; i < 20; i++) {
+            filter.predict(1);
+        }
+        assert.ok(filter.particles.every(p => p.x < 400));
+        assert.ok(filter.particles.some(p => p.x !== 390));
+    });
+
+    it('keeps weights normalised through resampling', () => {
+        const engine = createEngine();
+        engine.setRadios(radios);
+        const filter = new ParticleFilter(engine, { count: 300 });
+        filter.step(engine.measure({ x: 600, y: 400 }), 0);
+
+        const total = filter.particles.reduce((sum, p) => sum + p.weight, 0);
+        assert.equal(filter.particles.length, 300);
+        assertClose(total, 1, 1e-9);
+    });
+
+    it('returns null from the engine while disabled', () => {
+        assert.equal(createEngine().trackParticles([], 0), null);
+    });
+});
+
+describe('RSSI fingerprinting', () => {
+    const radios = [
+        { x: 80, y: 80, label: 'R1' },
+        { x: 720, y: 80, label: 'R2' },
+        { x: 720, y: 520, label: 'R3' },
+        { x: 80, y: 520, label: 'R4' }
+    ];
+
+    function surveyedEngine(options = {}) {
+        const engine = createEngine(options);
+        engine.setRadios(radios);
+        engine.buildRadioMap({ spacing: 1 });
+        return engine;
+    }
+
+    it('surveys one reference point per grid cell', () => {
+        const engine = surveyedEngine();
+        assert.equal(engine.radioMap.points.length, 20 * 15);
+        assert.deepEqual(engine.radioMap.radios, ['R1', 'R2', 'R3', 'R4']);
+        assert.deepEqual([engine.radioMap.points[0].x, engine.radioMap.points[0].y], [20, 20]);
+    });
+
+    it('matches a device standing on a reference point exactly', () => {
+        const engine = surveyedEngine();
+        const device = { x: 300, y: 260 };
+        const position = engine.fingerprintPosition(engine.measure(device), 1);
+        assert.equal(position.x, 300);
+        assert.equal(position.y, 260);
+        assert.equal(position.neighbors[0].distance, 0);
+    });
+
+    it('averages k neighbours with normalised weights', () => {
+        const engine = surveyedEngine();
+        const position = engine.fingerprintPosition(engine.measure({ x: 320, y: 280 }), 4, true);
+        assert.equal(position.neighbors.length, 4);
+        assertClose(position.neighbors.reduce((sum, n) => sum + n.weight, 0), 1, 1e-9);
+        assert.ok(Math.hypot(position.x - 320, position.y - 280) < engine.scale);
+    });
+
+    it('is available through the algorithm registry once a map exists', () => {
+        const engine = createEngine();
+        engine.setRadios(radios);
+        const measurements = engine.measure({ x: 300, y: 260 });
+        assert.equal(engine.solveWith('fingerprint-knn', measurements), null);
+
+        engine.buildRadioMap({ spacing: 1 });
+        assert.ok(engine.solveWith('fingerprint-knn', measurements));
+    });
+
+    it('round-trips through export and import in meters', () => {
+        const engine = surveyedEngine();
+        const exported = engine.exportRadioMap();
+        assert.deepEqual([exported.points[0].x, exported.points[0].y], [0.5, 0.5]);
+
+        const other = createEngine({ scale: 20 });
+        other.importRadioMap(JSON.parse(JSON.stringify(exported)));
+        assert.deepEqual([other.radioMap.points[0].x, other.radioMap.points[0].y], [10, 10]);
+        assert.deepEqual(other.radioMap.points[5].rssi, engine.radioMap.points[5].rssi);
+    });
+
+    it('rejects malformed radio maps', () => {
+        const engine = createEngine();
+        assert.throws(() => engine.importRadioMap({}), /Not a radio map/);
+        assert.throws(() => engine.importRadioMap({ format: 'radio-map', version: 2 }), /version/);
+        assert.throws(() => engine.importRadioMap({
+            format: 'radio-map', version: 1, radios: ['R1', 'R2'],
+            points: [{ x: 0, y: 0, rssi: [-60] }]
+        }), /Invalid radio map point 0/);
+    });
+});
+
+describe('scenarios', () => {
+    function sampleEngine() {
+        const engine = createEngine({ txPower: -65, enableNoise: true, noiseStdDev: 4, solver: 'min-max' });
+        engine.setRadios([
+            { x: 80, y: 80, label: 'R1' },
+            { x: 720, y: 80, label: 'R2' },
+            { x: 400, y: 520, label: 'R3' }
+        ]);
+        engine.walls = [new Wall({ x: 400, y: 100 }, { x: 400, y: 500 }, 'concrete')];
+        return engine;
+    }
+
+    it('round-trips radios, walls and settings through JSON', () => {
+        const scenario = JSON.parse(JSON.stringify(sampleEngine().exportScenario()));
+        assert.deepEqual(scenario.radios[0], { label: 'R1', x: 2, y: 2 });
+        assert.deepEqual(scenario.walls[0].start, { x: 10, y: 2.5 });
+
+        const engine = createEngine();
+        engine.importScenario(scenario);
+        assert.equal(engine.txPower, -65);
+        assert.equal(engine.noiseStdDev, 4);
+        assert.equal(engine.solver, 'min-max');
+        assert.equal(engine.radios[2].y, 520);
+        assert.equal(engine.walls[0].material, 'concrete');
+        assert.equal(engine.walls[0].attenuation, WALL_MATERIALS.concrete.attenuation);
+        assert.equal(engine.rssiKalmanFilters.length, 3);
+    });
+
+    it('names the offending field of a bad scenario', () => {
+        const valid = () => JSON.parse(JSON.stringify(sampleEngine().exportScenario()));
+        const broken = (mutate) => {
+            const scenario = valid();
+            mutate(scenario);
+            return () => validateScenario(scenario);
+        };
+
+        assert.throws(broken(s => { s.format = 'other'; }), /format must be/);
+        assert.throws(broken(s => { s.version = 99; }), /unsupported version 99/);
+        assert.throws(broken(s => { s.radios[1].x = 'left'; }), /radios\[1\]\.x must be a finite number/);
+        assert.throws(broken(s => { s.walls[0].material = 'cheese'; }), /walls\[0\]\.material "cheese"/);
+        assert.throws(broken(s => { s.settings.enableNoise = 'yes'; }), /settings\.enableNoise must be a boolean/);
+        assert.throws(broken(s => { s.settings.warpDrive = 1; }), /settings\.warpDrive is not a known setting/);
+        assert.throws(broken(s => { s.settings.solver = 'magic'; }), /not a registered algorithm/);
+        assert.throws(broken(s => { s.device = { x: 1 }; }), /device\.y/);
+    });
+
+    it('rejects duplicate labels and unsupported setting values', () => {
+        const broken = (mutate) => {
+            const scenario = JSON.parse(JSON.stringify(sampleEngine().exportScenario()));
+            mutate(scenario);
+            return () => validateScenario(scenario);
+        };
+
+        assert.throws(broken(s => { s.radios[2].label = 'R1'; }), /radios\[2\]\.label "R1" is used by another radio/);
+        assert.throws(broken(s => { s.settings.robustLoss = 'l1'; }), /settings\.robustLoss must be/);
+        assert.throws(broken(s => { s.settings.reflectionOrder = 3; }), /settings\.reflectionOrder must be 1 or 2/);
+        assert.throws(broken(s => { s.settings.particleCount = 0; }), /settings\.particleCount must be an integer/);
+        assert.throws(broken(s => { s.settings.particleCount = 250.5; }), /settings\.particleCount/);
+        validateScenario(JSON.parse(JSON.stringify(sampleEngine().exportScenario())));
+    });
+
+    it('rejects settings outside their physical range', () => {
+        const broken = (mutate) => {
+            const scenario = JSON.parse(JSON.stringify(sampleEngine().exportScenario()));
+            mutate(scenario);
+            return () => validateScenario(scenario);
+        };
+
+        assert.throws(broken(s => { s.settings.floorHeight = 0; }), /settings\.floorHeight must be greater than 0/);
+        assert.throws(broken(s => { s.settings.floorHeight = -3; }), /settings\.floorHeight/);
+        assert.throws(broken(s => { s.settings.noiseStdDev = -1; }), /settings\.noiseStdDev must not be negative/);
+        assert.throws(broken(s => { s.settings.deviceHeight = -0.5; }), /settings\.deviceHeight must not be negative/);
+        assert.throws(broken(s => { s.settings.fingerprintK = 0; }), /settings\.fingerprintK must be a positive integer/);
+        assert.throws(broken(s => { s.radios[0].z = -1; }), /radios\[0\]\.z must not be negative/);
+        assert.throws(broken(s => { s.radios[0].pathLossExponent = 0; }), /radios\[0\]\.pathLossExponent/);
+        validateScenario(JSON.parse(JSON.stringify(sampleEngine().exportScenario())));
+    });
+
+    it('leaves the engine untouched when import fails', () => {
+        const engine = sampleEngine();
+        const scenario = engine.exportScenario();
+        scenario.walls[0].end = null;
+
+        const target = createEngine();
+        assert.throws(() => target.importScenario(scenario), /walls\[0\]\.end/);
+        assert.equal(target.radios.length, 0);
+        assert.equal(target.txPower, -59);
+    });
+});
+
+describe('radio editing', () => {
+    function engineWithRadios() {
+        const engine = createEngine({ enableKalmanFilter: true });
+        engine.setRadios([
+            { x: 80, y: 80, label: 'R1' },
+            { x: 720, y: 80, label: 'R2' },
+            { x: 720, y: 520, label: 'R3' }
+        ]);
+        return engine;
+    }
+
+    it('adds radios with a fresh filter and the first free label', () => {
+        const engine = engineWithRadios();
+        const r4 = engine.addRadio({ x: 80, y: 520 });
+        assert.equal(r4.label, 'R4');
+        assert.equal(engine.rssiKalmanFilters.length, 4);
+        assert.ok(isNaN(engine.rssiKalmanFilters[3].x));
+        assert.throws(() => engine.addRadio({ x: 0, y: 0, label: 'R2' }), /already used/);
+    });
+
+    it('keeps the remaining radios Kalman state when one is removed', () => {
+        const engine = engineWithRadios();
+        engine.measure({ x: 400, y: 300 });
+        const r3Filter = engine.rssiKalmanFilters[2];
+
+        assert.ok(engine.removeRadio(engine.radios[1]));
+        assert.deepEqual(engine.radios.map(r => r.label), ['R1', 'R3']);
+        assert.equal(engine.rssiKalmanFilters[1], r3Filter);
+        assert.equal(engine.nextRadioLabel(), 'R2');
+        assert.equal(engine.removeRadio({ x: 0, y: 0 }), false);
+    });
+
+    it('matches filters by radio identity even when radios overlap', () => {
+        const engine = engineWithRadios();
+        engine.addRadio({ x: 80, y: 80, label: 'Twin' });
+        engine.measure({ x: 400, y: 300 });
+        assert.ok(!isNaN(engine.rssiKalmanFilters[3].x));
+    });
+
+    it('renames radios to unique, non-empty labels', () => {
+        const engine = engineWithRadios();
+        engine.renameRadio(engine.radios[0], '  Lobby ');
+        assert.equal(engine.radios[0].label, 'Lobby');
+        assert.throws(() => engine.renameRadio(engine.radios[0], 'R2'), /already used/);
+        assert.throws(() => engine.renameRadio(engine.radios[0], ' '), /cannot be empty/);
+    });
+
+    it('handles dozens of anchors', () => {
+        const engine = createEngine();
+        for (let i = 0; i < 40; i++) {
+            engine.addRadio({ x: 20 + (i % 8) * 100, y: 20 + Math.floor(i / 8) * 140 });
+        }
+        const { position } = engine.locate({ x: 410, y: 290 });
+        assert.ok(Math.hypot(position.x - 410, position.y - 290) < 1);
+    });
+});
+
+describe('per-radio calibration', () => {
+    it('combines calibrated 1 m RSSI, Tx power and antenna gain', () => {
+        const engine = createEngine();
+        const radio = { x: 0, y: 0, label: 'B', rssiAt1m: -62, txPower: 4, antennaGain: 2 };
+        assertClose(engine.calculateRSSI(1, radio, { x: 40, y: 0 }), -56, 1e-9);
+        assertClose(engine.calculateRSSI(1, { x: 0, y: 0 }, { x: 40, y: 0 }), engine.txPower, 1e-9);
+    });
+
+    it('inverts each radio with its own path-loss exponent', () => {
+        const engine = createEngine();
+        const radio = { x: 0, y: 0, label: 'B', pathLossExponent: 3.5, txPower: -8 };
+        const rssi = engine.calculateRSSI(6, radio, { x: 240, y: 0 });
+        assertClose(engine.estimateDistanceFromRSSI(rssi, radio), 6, 1e-9);
+        assert.ok(Math.abs(engine.estimateDistanceFromRSSI(rssi) - 6) > 1);
+    });
+
+    it('locates exactly with a mixed beacon fleet', () => {
+        const engine = createEngine();
+        engine.setRadios([
+            { x: 80, y: 80, label: 'R1', txPower: -12 },
+            { x: 720, y: 80, label: 'R2', pathLossExponent: 2.0 },
+            { x: 720, y: 520, label: 'R3', rssiAt1m: -70, antennaGain: 3 },
+            { x: 80, y: 520, label: 'R4', pathLossExponent: 3.2, txPower: 4 }
+        ]);
+        const { position } = engine.locate({ x: 300, y: 250 });
+        assertClose(position.x, 300, 0.5, 'x');
+        assertClose(position.y, 250, 0.5, 'y');
+    });
+
+    it('stores calibration in scenarios', () => {
+        const engine = createEngine();
+        engine.setRadios([{ x: 80, y: 80, label: 'R1', txPower: -4, antennaGain: 1.5 }]);
+        const scenario = JSON.parse(JSON.stringify(engine.exportScenario()));
+        assert.deepEqual(scenario.radios[0], { label: 'R1', x: 2, y: 2, txPower: -4, antennaGain: 1.5 });
+
+        const restored = createEngine();
+        restored.importScenario(scenario);
+        assert.equal(restored.radios[0].txPower, -4);
+
+        scenario.radios[0].rssiAt1m = 'loud';
+        assert.throws(() => validateScenario(scenario), /radios\[0\]\.rssiAt1m must be a finite number/);
+    });
+});
+
+describe('antenna patterns', () => {
+    it('attenuates off-boresight receivers', () => {
+        const engine = createEngine();
+        const radio = { x: 0, y: 0, label: 'P', antennaPattern: 'patch', orientation: 90 };
+        const front = engine.calculateRSSI(2, radio, { x: 0, y: 80 });
+        const side = engine.calculateRSSI(2, radio, { x: 80, y: 0 });
+        const back = engine.calculateRSSI(2, radio, { x: 0, y: -80 });
+        assertClose(front - side, 6, 0.05);
+        assertClose(front - back, 20, 1e-9);
+    });
+
+    it('parses and interpolates gain tables', () => {
+        const table = parseGainTable('angle,gain\n# measured\n0,0\n90,-10\n-90,-10\n180,-20\n');
+        assert.deepEqual(table, [[0, 0], [90, -10], [180, -20], [270, -10]]);
+        assertClose(interpolateGainTable(table, 45), -5, 1e-9);
+        assertClose(interpolateGainTable(table, -45), -5, 1e-9);
+        assertClose(interpolateGainTable(table, 315), -5, 1e-9);
+        assert.throws(() => parseGainTable('0,0\n90,loud'), /line 2/);
+        assert.throws(() => parseGainTable('0,0'), /at least 2/);
+    });
+
+    it('stores patterns in scenarios', () => {
+        const engine = createEngine();
+        const gainTable = [[0, 0], [180, -15]];
+        engine.setRadios([{ x: 80, y: 80, label: 'R1', antennaPattern: 'table', orientation: 45, gainTable }]);
+        const scenario = JSON.parse(JSON.stringify(engine.exportScenario()));
+        assert.deepEqual(scenario.radios[0].gainTable, gainTable);
+
+        const restored = createEngine();
+        restored.importScenario(scenario);
+        assert.equal(restored.radios[0].antennaPattern, 'table');
+        assert.equal(restored.radios[0].orientation, 45);
+
+        scenario.radios[0].antennaPattern = 'yagi';
+        assert.throws(() => validateScenario(scenario), /antennaPattern/);
+    });
+});
+
+describe('path-loss calibration', () => {
+    const radios = [
+        { x: 80, y: 80, label: 'R1' },
+        { x: 720, y: 80, label: 'R2', txPower: -6 },
+        { x: 720, y: 520, label: 'R3' },
+        { x: 80, y: 520, label: 'R4', antennaGain: 2 }
+    ];
+
+    function surveyedEngines() {
+        const truth = createEngine({ txPower: -52, pathLossExponent: 3.2, enableWalls: true });
+        truth.setRadios(radios.map(r => ({ ...r })));
+        truth.walls = [
+            new Wall({ x: 400, y: 0 }, { x: 400, y: 250 }, 'concrete'),
+            new Wall({ x: 0, y: 300 }, { x: 250, y: 300 }, 'glass')
+        ];
+        truth.walls[0].attenuation = 14;
+
+        const samples = [];
+        for (let y = 100; y <= 500; y += 100) {
+            for (let x = 150; x <= 650; x += 125) {
+                samples.push(...truth.collectCalibrationSamples({ x, y }, 1));
+            }
+        }
+
+        const engine = createEngine({ enableWalls: true });
+        engine.setRadios(radios.map(r => ({ ...r })));
+        engine.walls = truth.walls.map(w => new Wall(w.start, w.end, w.material));
+        return { truth, engine, samples };
+    }
+
+    it('solves linear systems with pivoting', () => {
+        const x = solveLinearSystem([[0, 2, 1], [1, 1, 0], [3, 0, 1]], [7, 3, 6]);
+        [1, 2, 3].forEach((expected, i) => assertClose(x[i], expected, 1e-9));
+        assert.equal(solveLinearSystem([[1, 2], [2, 4]], [1, 2]), null);
+    });
+
+    it('recovers TxPower, exponent and wall losses from noise-free samples', () => {
+        const { engine, samples } = surveyedEngines();
+        const fit = engine.fitPathLossModel(samples);
+        assertClose(fit.txPower, -52, 1e-6, 'txPower');
+        assertClose(fit.pathLossExponent, 3.2, 1e-6, 'n');
+        assertClose(fit.wallAttenuation.concrete, 14, 1e-6, 'concrete');
+        assertClose(fit.wallAttenuation.glass, 2, 1e-6, 'glass');
+        assertClose(fit.rmse, 0, 1e-6);
+        assert.equal(fit.residuals.length, samples.length);
+    });
+
+    it('applies the fit and keeps fitted wall losses in scenarios', () => {
+        const { truth, engine, samples } = surveyedEngines();
+        engine.applyCalibration(engine.fitPathLossModel(samples));
+        const point = { x: 300, y: 200 };
+        for (const radio of engine.radios) {
+            const distance = engine.calculateTrueDistance(radio.x, radio.y, point.x, point.y);
+            const expected = truth.modelRSSI(distance, truth.radios[engine.radios.indexOf(radio)], point);
+            assertClose(engine.modelRSSI(distance, radio, point), expected, 1e-6);
+        }
+
+        const scenario = JSON.parse(JSON.stringify(engine.exportScenario()));
+        assertClose(scenario.walls[0].attenuation, 14, 1e-6);
+        const restored = createEngine();
+        restored.importScenario(scenario);
+        assertClose(restored.walls[0].attenuation, 14, 1e-6);
+    });
+
+    it('rejects samples that cannot identify the model', () => {
+        const engine = createEngine();
+        engine.setRadios(radios.map(r => ({ ...r })));
+        const onePoint = engine.collectCalibrationSamples({ x: 400, y: 300 }, 3);
+        assert.throws(() => engine.fitPathLossModel(onePoint), /several distances/);
+        assert.throws(() => engine.fitPathLossModel([onePoint[0]]), /at least 2 samples/);
+        assert.throws(() => engine.fitPathLossModel([{ x: 0, y: 0, radio: 'R9', rssi: -70 }]), /unknown radio "R9"/);
+    });
+
+    it('parses calibration CSV', () => {
+        const samples = parseCalibrationSamples('x,y,radio,rssi\n1.5,2,R1,-61.5\n\n3, 4, R2, -70\n');
+        assert.deepEqual(samples, [
+            { x: 1.5, y: 2, radio: 'R1', rssi: -61.5 },
+            { x: 3, y: 4, radio: 'R2', rssi: -70 }
+        ]);
+        assert.throws(() => parseCalibrationSamples('1,2,R1,loud'), /line 1/);
+        assert.throws(() => parseCalibrationSamples('x,y,radio,rssi\n'), /No calibration samples/);
+    });
+
+    it('reads back quoted radio labels', () => {
+        const label = 'Lobby, "east"';
+        const [sample] = parseCalibrationSamples(`1,2,${csvField(label)},-60\n`);
+        assert.equal(sample.radio, label);
+        assert.deepEqual(splitCSVLine('a; "b;c" ,d'), ['a', 'b;c', 'd']);
+    });
+});
+
+describe('RSSI log replay', () => {
+    function engineWithBeacons() {
+        const engine = createEngine();
+        engine.setRadios([
+            { x: 80, y: 80, label: 'AA:01' },
+            { x: 720, y: 80, label: 'AA:02' },
+            { x: 720, y: 520, label: 'AA:03' },
+            { x: 80, y: 520, label: 'AA:04' }
+        ]);
+        return engine;
+    }
+
+    it('parses CSV and JSON lines with optional ground truth', () => {
+        const csv = parseRssiLog('Timestamp,MAC,RSSI,x,y\n1700000001500,aa:02,-70,,\n1700000001000,aa:01,-65,2,3\n');
+        assert.deepEqual(csv, [
+            { time: 0, beacon: 'aa:01', rssi: -65, truth: { x: 2, y: 3 } },
+            { time: 0.5, beacon: 'aa:02', rssi: -70, truth: null }
+        ]);
+
+        const jsonl = parseRssiLog(
+            '{"timestamp": "2024-05-01T10:00:02Z", "beacon": "AA:03", "rssi": -80}\n' +
+            '{"timestamp": "2024-05-01T10:00:00Z", "id": "AA:01", "rssi": -60}\n'
+        );
+        assert.deepEqual(jsonl.map(r => [r.time, r.beacon]), [[0, 'AA:01'], [2, 'AA:03']]);
+
+        assert.throws(() => parseRssiLog('time,rssi\n0,-60'), /header row/);
+        assert.throws(() => parseRssiLog('t,beacon,rssi\n0,AA:01,strong'), /line 2: .*rssi/);
+        assert.throws(() => parseRssiLog('{"t": 0, "beacon": "AA:01", "rssi": -60, "x": 1}'), /ground truth/);
+        for (const value of ['null', '42', '"AA:01"', '[0, "AA:01", -60]']) {
+            assert.throws(() => parseRssiLog(`{"t": 0, "beacon": "AA:01", "rssi": -60}\n${value}`),
+                /line 2: expected a JSON object/);
+        }
+    });
+
+    it('replays readings through the solver and interpolates ground truth', () => {
+        const engine = engineWithBeacons();
+        const truthAt = [{ x: 5, y: 5 }, { x: 10, y: 8 }];
+        const lines = ['t,beacon,rssi,x,y'];
+        truthAt.forEach((p, i) => {
+            for (const radio of engine.radios) {
+                const point = { x: p.x * 40, y: p.y * 40 };
+                const distance = engine.calculateTrueDistance(radio.x, radio.y, point.x, point.y);
+                lines.push(`${i * 2},${radio.label},${engine.calculateRSSI(distance, radio, point)},${p.x},${p.y}`);
+            }
+        });
+        lines.push('5,FF:FF,-50,,');
+
+        const player = new RssiLogPlayer(engine, parseRssiLog(lines.join('\n')));
+        assert.deepEqual(player.unmatchedBeacons(), ['FF:FF']);
+        assert.equal(player.duration, 5);
+
+        const { position } = engine.solveMeasurements(player.measurements());
+        assertClose(position.x, 200, 0.5, 'x');
+        assertClose(position.y, 200, 0.5, 'y');
+
+        player.advance(1);
+        assert.deepEqual(player.groundTruth(), { x: 300, y: 260 });
+        player.advance(2);
+        const fix = engine.solveMeasurements(player.measurements()).position;
+        assertClose(fix.x, 400, 0.5, 'x');
+        assertClose(player.measurements()[0].trueDistance, engine.calculateTrueDistance(80, 80, 400, 320), 1e-9);
+
+        // Readings older than maxAge drop out
+        player.advance(5);
+        assert.equal(player.measurements().length, 0);
+        assert.ok(player.finished);
+
+        player.seek(0);
+        assert.equal(player.measurements().length, 4);
+    });
+
+    it('smooths replayed readings with the Kalman filters', () => {
+        const engine = engineWithBeacons();
+        engine.enableKalmanFilter = true;
+        const log = ['t,beacon,rssi', '0,AA:01,-60', '1,AA:01,-80'].join('\n');
+        const player = new RssiLogPlayer(engine, parseRssiLog(log));
+        player.advance(1);
+        const rssi = player.measurements()[0].rssi;
+        assert.ok(rssi > -80 && rssi < -60);
+    });
+});
+
+describe('simulated datasets', () => {
+    function noisyEngine() {
+        const engine = createEngine({ enableNoise: true, enableKalmanFilter: true, enableWalls: true });
+        engine.setRadios([
+            { x: 80, y: 80, label: 'R1' },
+            { x: 720, y: 80, label: 'R2' },
+            { x: 720, y: 520, label: 'R3' },
+            { x: 80, y: 520, label: 'R4' }
+        ]);
+        engine.walls = [new Wall({ x: 400, y: 0 }, { x: 400, y: 600 }, 'brick')];
+        return engine;
+    }
+
+    it('draws reproducible uniform numbers from a seed', () => {
+        const a = createSeededRandom(42);
+        const b = createSeededRandom(42);
+        const values = Array.from({ length: 100 }, () => a());
+        assert.deepEqual(values, Array.from({ length: 100 }, () => b()));
+        assert.ok(values.every(v => v >= 0 && v < 1));
+        assert.notEqual(createSeededRandom(43)(), values[0]);
+    });
+
+    it('samples a trajectory and a grid', () => {
+        const path = sampleTrajectory(new Trajectory([{ x: 0, y: 0 }, { x: 40, y: 0 }]), 20, 0.5);
+        assert.deepEqual(path.map(p => [p.time, p.x]), [[0, 0], [0.5, 10], [1, 20], [1.5, 30], [2, 40]]);
+
+        const grid = sampleGrid(80, 40, 40, 2, 0.1);
+        assert.equal(grid.length, 4);
+        assert.deepEqual(grid.map(p => p.reset), [true, false, true, false]);
+        assertClose(grid[3].time, 0.3, 1e-9);
+        assert.throws(() => sampleGrid(80, 40, 0, 2, 0.1), /positive/);
+    });
+
+    it('generates the same dataset for the same seed without touching live state', () => {
+        const engine = noisyEngine();
+        const samples = sampleTrajectory(createPresetTrajectory('diagonal', 800, 600), 56, 0.5);
+        const liveFilter = engine.rssiKalmanFilters[0];
+        const liveRandom = engine.random;
+
+        const first = engine.generateDataset(samples, { seed: 7 });
+        const second = engine.generateDataset(samples, { seed: 7 });
+        assert.deepEqual(first, second);
+        assert.notDeepEqual(engine.generateDataset(samples, { seed: 8 }).samples, first.samples);
+        assert.equal(engine.rssiKalmanFilters[0], liveFilter);
+        assert.equal(engine.random, liveRandom);
+
+        const sample = first.samples[3];
+        assert.equal(sample.readings.length, 4);
+        assert.notEqual(sample.readings[0].rawRssi, sample.readings[0].rssi);
+        assert.equal(sample.readings[0].walls, sample.truth.x > 10 ? 1 : 0);
+    });
+
+    it('flattens datasets to CSV', () => {
+        const engine = noisyEngine();
+        const dataset = engine.generateDataset(sampleGrid(800, 600, 400, 1, 1), { seed: 1 });
+        const lines = datasetToCSV(dataset).trim().split('\n');
+        assert.equal(lines.length, 1 + 2);
+        assert.equal(lines[0].split(',').length, 6 + 4 * 4);
+        assert.ok(lines[0].startsWith('time,true_x,true_y,est_x,est_y,error,R1_raw_rssi,R1_rssi,R1_est_dist,R1_walls'));
+        assert.equal(lines[1].split(',')[1], '5.000');
+    });
+
+    it('quotes radio labels that contain delimiters or quotes', () => {
+        const engine = noisyEngine();
+        engine.renameRadio(engine.radios[0], 'Lobby, "east"');
+        const dataset = engine.generateDataset(sampleGrid(800, 600, 400, 1, 1), { seed: 1 });
+        const header = datasetToCSV(dataset).split('\n')[0];
+        assert.ok(header.includes(',"Lobby, ""east""_raw_rssi","Lobby, ""east""_rssi",'));
+        assert.equal(csvField('R2_rssi'), 'R2_rssi');
+    });
+});
+
+describe('seeded noise', () => {
+    function noisySequence(engine, count = 20) {
+        const radio = { x: 0, y: 0, label: 'R1' };
+        return Array.from({ length: count }, () => engine.calculateRSSI(5, radio, { x: 200, y: 0 }));
+    }
+
+    it('reproduces the noise sequence from the seed', () => {
+        const a = createEngine({ enableNoise: true, seed: 1234 });
+        const b = createEngine({ enableNoise: true, seed: 1234 });
+        const sequence = noisySequence(a);
+        assert.deepEqual(noisySequence(b), sequence);
+        assert.notDeepEqual(noisySequence(createEngine({ enableNoise: true, seed: 99 })), sequence);
+
+        a.reseed();
+        assert.deepEqual(noisySequence(a), sequence);
+    });
+
+    it('makes the particle filter reproducible', () => {
+        const run = () => {
+            const engine = createEngine({ enableNoise: true, seed: 5, particleCount: 200 });
+            engine.setRadios([
+                { x: 80, y: 80, label: 'R1' },
+                { x: 720, y: 80, label: 'R2' },
+                { x: 400, y: 520, label: 'R3' }
+            ]);
+            let estimate;
+            for (let i = 0; i < 5; i++) {
+                estimate = engine.trackParticles(engine.measure({ x: 300, y: 300 }), i * 0.1);
+            }
+            return estimate;
+        };
+        assert.deepEqual(run(), run());
+    });
+
+    it('stores the seed in scenarios and restarts the sequence on import', () => {
+        const engine = createEngine({ enableNoise: true, seed: 77 });
+        const sequence = noisySequence(engine);
+        const scenario = JSON.parse(JSON.stringify(engine.exportScenario()));
+        assert.equal(scenario.settings.seed, 77);
+
+        const restored = createEngine();
+        restored.importScenario(scenario);
+        assert.deepEqual(noisySequence(restored), sequence);
+    });
+});
+
+describe('anchor placement optimizer', () => {
+    function collinearEngine() {
+        const engine = createEngine({ enableWalls: true, seed: 3 });
+        engine.setRadios([
+            { x: 100, y: 100, label: 'R1', txPower: 4 },
+            { x: 200, y: 100, label: 'R2' },
+            { x: 300, y: 100, label: 'R3' }
+        ]);
+        engine.walls = [new Wall({ x: 400, y: 0 }, { x: 400, y: 400 }, 'concrete')];
+        return engine;
+    }
+
+    it('finds a placement with lower expected error inside the margins', () => {
+        const engine = collinearEngine();
+        const result = engine.optimizeAnchorPlacement({ count: 4, iterations: 150, points: 36, margin: 20 });
+
+        assert.equal(result.radios.length, 4);
+        assert.ok(result.cost < result.initialCost * 0.7, `${result.cost} vs ${result.initialCost}`);
+        for (const radio of result.radios) {
+            assert.ok(radio.x >= 20 && radio.x <= 780 && radio.y >= 20 && radio.y <= 580);
+        }
+        assert.equal(result.radios[0].txPower, 4);
+        assert.equal(result.radios[0].label, 'R1');
+        assert.equal(engine.radios.length, 3);
+        assert.equal(engine.radios[0].x, 100);
+    });
+
+    it('is reproducible for a seed', () => {
+        const a = collinearEngine().optimizeAnchorPlacement({ count: 4, iterations: 50, points: 16 });
+        const b = collinearEngine().optimizeAnchorPlacement({ count: 4, iterations: 50, points: 16 });
+        assert.deepEqual(a, b);
+    });
+
+    it('compares placements on the same noise', () => {
+        const engine = collinearEngine();
+        engine.enableNoise = true;
+        const radios = engine.radios;
+        const liveRandom = engine.random;
+
+        const first = engine.evaluatePlacement(radios, { samples: 50 });
+        assert.deepEqual(engine.evaluatePlacement(radios, { samples: 50 }), first);
+        assert.equal(engine.radios, radios);
+        assert.equal(engine.random, liveRandom);
+        assert.ok(first.coverage > 0 && first.coverage <= 1);
+        assert.ok(first.meanGdop >= 1);
+        assert.throws(() => engine.optimizeAnchorPlacement({ count: 2 }), /at least 3/);
+    });
+});
+
+describe('tags', () => {
+    function tagEngine() {
+        const engine = createEngine({ enableKalmanFilter: true, enableNoise: true, seed: 3 });
+        engine.setRadios([
+            { x: 80, y: 80, label: 'R1' },
+            { x: 720, y: 80, label: 'R2' },
+            { x: 400, y: 520, label: 'R3' }
+        ]);
+        return engine;
+    }
+
+    it('keeps a separate Kalman filter bank per tag', () => {
+        const engine = tagEngine();
+        const live = engine.rssiKalmanFilters;
+        const a = { x: 200, y: 200 };
+        const b = { x: 600, y: 400 };
+
+        for (let i = 0; i < 5; i++) {
+            assert.ok(engine.locateTag(a).position);
+            engine.locateTag(b);
+        }
+        assert.equal(engine.rssiKalmanFilters, live);
+        assert.equal(a.kalmanFilters.size, 3);
+        for (const radio of engine.radios) {
+            assert.notEqual(a.kalmanFilters.get(radio), b.kalmanFilters.get(radio));
+        }
+    });
+
+    it('follows radio changes and engine filter resets', () => {
+        const engine = tagEngine();
+        const tag = { x: 300, y: 300 };
+        engine.locateTag(tag);
+        const filters = tag.kalmanFilters;
+
+        engine.addRadio({ x: 400, y: 100 });
+        assert.equal(engine.locateTag(tag).measurements.length, 4);
+        assert.equal(tag.kalmanFilters, filters);
+        assert.equal(filters.size, 4);
+
+        engine.resetKalmanFilters();
+        engine.locateTag(tag);
+        assert.notEqual(tag.kalmanFilters, filters);
+    });
+
+    it('keeps tag filters across offline analysis', () => {
+        const engine = tagEngine();
+        const tag = { x: 300, y: 300 };
+        engine.locateTag(tag);
+        const filters = tag.kalmanFilters;
+
+        engine.runBenchmark({ samples: 20 });
+        engine.computeErrorMap({ resolution: 200, trials: 1 });
+        engine.locateTag(tag);
+        assert.equal(tag.kalmanFilters, filters);
+    });
+});
+
+describe('multi-floor buildings', () => {
+    const layout = [{ x: 80, y: 80 }, { x: 720, y: 80 }, { x: 400, y: 520 }];
+
+    function buildingEngine() {
+        // Low threshold so every radio is heard through the slab
+        const engine = createEngine({ floorHeight: 3, floorAttenuation: 15, minRSSI: -120 });
+        engine.addFloor();
+        engine.setRadios([
+            ...layout.map((p, i) => ({ ...p, label: `G${i + 1}`, floor: 0 })),
+            ...layout.map((p, i) => ({ x: 800 - p.x, y: 600 - p.y, label: `U${i + 1}`, floor: 1 }))
+        ]);
+        return engine;
+    }
+
+    it('adds slab loss and height to signals between floors', () => {
+        const engine = createEngine({ floorHeight: 3, floorAttenuation: 15 });
+        const radio = { x: 100, y: 100, floor: 1 };
+        const below = { x: 100 + 4 * 40, y: 100, floor: 0 };
+
+        assertClose(engine.signalDistance(radio, below), 5, 1e-9);
+        assertClose(
+            engine.modelRSSI(5, radio, below),
+            engine.modelRSSI(5, radio, { ...below, floor: 1 }) - 15,
+            1e-9
+        );
+        engine.activeFloor = 1;
+        assert.equal(engine.floorLoss(radio, { x: 0, y: 0 }), 0);
+    });
+
+    it('counts walls on the floor the path is on where it crosses them', () => {
+        const engine = createEngine();
+        engine.addFloor();
+        const near = new Wall({ x: 200, y: 0 }, { x: 200, y: 600 }, 'concrete');
+        const far = new Wall({ x: 600, y: 0 }, { x: 600, y: 600 }, 'concrete');
+        far.floor = 1;
+        engine.walls = [near, far];
+
+        const radio = { x: 0, y: 300, floor: 0 };
+        assert.deepEqual(engine.findPathWalls(radio, { x: 800, y: 300, floor: 1 }).map(i => i.wall), [near, far]);
+        assert.deepEqual(engine.findPathWalls(radio, { x: 800, y: 300, floor: 0 }).map(i => i.wall), [near]);
+        assert.deepEqual(engine.findPathWalls({ ...radio, floor: 1 }, { x: 800, y: 300, floor: 1 }).map(i => i.wall), [far]);
+    });
+
+    it('determines the floor and solves with the ranges projected onto it', () => {
+        const engine = buildingEngine();
+        for (const floor of [0, 1]) {
+            const device = { x: 300, y: 250, floor };
+            const { position, floor: estimated, measurements } = engine.locate(device);
+            assert.equal(estimated, floor);
+            assert.equal(position.floor, floor);
+            assert.equal(measurements.length, 6);
+            assertClose(position.x, device.x, 1, 'x');
+            assertClose(position.y, device.y, 1, 'y');
+        }
+        assert.equal(createEngine().locate({ x: 0, y: 0 }).floor, 0);
+    });
+
+    it('maps GDOP with the active floor radios only', () => {
+        const engine = buildingEngine();
+        engine.activeFloor = 1;
+        const cell = engine.computeGDOPMap(200).find(c => c.x === 200 && c.y === 200);
+        assertClose(cell.gdop, calculateGDOP({ x: 300, y: 300 }, engine.radiosOnFloor(1)), 1e-12);
+    });
+
+    it('removes a floor with its radios and walls', () => {
+        const engine = buildingEngine();
+        engine.addFloor('Roof');
+        const wall = new Wall({ x: 0, y: 0 }, { x: 100, y: 0 });
+        wall.floor = 2;
+        engine.walls = [wall];
+        engine.radios.find(r => r.label === 'U1').floor = 2;
+        engine.activeFloor = 2;
+
+        engine.removeFloor(1);
+        assert.deepEqual(engine.floors.map(f => f.name), ['Floor 1', 'Roof']);
+        assert.deepEqual(engine.radios.map(r => r.label), ['G1', 'G2', 'G3', 'U1']);
+        assert.equal(engine.radios[3].floor, 1);
+        assert.equal(wall.floor, 1);
+        assert.equal(engine.activeFloor, 1);
+        assert.equal(engine.rssiKalmanFilters.length, 4);
+        assert.throws(() => createEngine().removeFloor(0), /at least one floor/);
+    });
+
+    it('stores floors in scenarios', () => {
+        const engine = buildingEngine();
+        const wall = new Wall({ x: 0, y: 0 }, { x: 100, y: 0 });
+        wall.floor = 1;
+        engine.walls = [wall];
+
+        const scenario = JSON.parse(JSON.stringify(engine.exportScenario()));
+        assert.deepEqual(scenario.floors, [{ name: 'Floor 1' }, { name: 'Floor 2' }]);
+        assert.equal(scenario.walls[0].floor, 1);
+
+        const restored = createEngine();
+        restored.importScenario({ ...scenario, device: { x: 1, y: 1, floor: 1 } });
+        assert.equal(restored.floors.length, 2);
+        assert.equal(restored.activeFloor, 1);
+        assert.equal(restored.walls[0].floor, 1);
+        assert.deepEqual(restored.radios.map(r => r.floor), [0, 0, 0, 1, 1, 1]);
+
+        scenario.radios[0].floor = 2;
+        assert.throws(() => validateScenario(scenario), /radios\[0\]\.floor must be a floor index from 0 to 1/);
+        delete scenario.floors;
+        scenario.radios[0].floor = 1;
+        assert.throws(() => validateScenario(scenario), /radios\[0\]\.floor/);
+    });
+});
+
+describe('mounting heights', () => {
+    const corners = [{ x: 80, y: 80 }, { x: 720, y: 80 }, { x: 720, y: 520 }, { x: 80, y: 520 }];
+
+    it('ranges in 3D between ceiling radios and hand-held receivers', () => {
+        const engine = createEngine({ radioHeight: 2.8, deviceHeight: 1 });
+        const radio = { x: 0, y: 0 };
+        assertClose(engine.signalDistance(radio, { x: 2.4 * 40, y: 0 }), 3, 1e-9);
+        assertClose(engine.signalDistance({ ...radio, z: 1 }, { x: 2.4 * 40, y: 0 }), 2.4, 1e-9);
+        assertClose(engine.signalDistance(radio, { x: 0, y: 0, z: 2.8 }), 0, 1e-9);
+    });
+
+    it('removes the slant-range error near the radios', () => {
+        const engine = createEngine({ radioHeight: 2.8, deviceHeight: 1 });
+        engine.setRadios(corners.map((p, i) => ({ ...p, label: `R${i + 1}` })));
+        const device = { x: 120, y: 110 };
+
+        const measurements = engine.measure(device);
+        const { position } = engine.solveMeasurements(measurements);
+        const planar = engine.solvePosition(measurements);
+        const error = engine.calculateTrueDistance(device.x, device.y, position.x, position.y);
+        const planarError = engine.calculateTrueDistance(device.x, device.y, planar.x, planar.y);
+
+        assert.ok(error < 0.05, `error ${error}`);
+        assert.ok(planarError > 0.3, `planar error ${planarError}`);
+    });
+
+    it('uses a tag\'s own height, falling back to the device height', () => {
+        const engine = createEngine({ radioHeight: 2.8, deviceHeight: 1 });
+        engine.setRadios(corners.map((p, i) => ({ ...p, label: `R${i + 1}` })));
+        const tag = { x: 120, y: 110, z: 0.2 };
+
+        const { measurements, position } = engine.locateTag(tag);
+        assertClose(measurements[0].trueDistance, engine.signalDistance(engine.radios[0], tag), 1e-9);
+        assertClose(position.x, tag.x, 2, 'x');
+        assertClose(position.y, tag.y, 2, 'y');
+
+        const atDeviceHeight = engine.solveMeasurements(measurements).position;
+        const error = engine.calculateTrueDistance(tag.x, tag.y, atDeviceHeight.x, atDeviceHeight.y);
+        assert.ok(error > 0.1, `error ${error}`);
+        assert.deepEqual(engine.locateTag({ x: 120, y: 110 }).position, engine.locate({ x: 120, y: 110 }).position);
+    });
+
+    it('estimates the receiver height from radios at different heights', () => {
+        const engine = createEngine({ estimateHeight: true, deviceHeight: 1 });
+        engine.setRadios(corners.map((p, i) => ({ ...p, label: `R${i + 1}`, z: i % 2 === 0 ? 2.8 : 0.3 })));
+        engine.addRadio({ x: 400, y: 300, z: 2.8 });
+
+        const device = { x: 300, y: 250, z: 1.6 };
+        const { position } = engine.locate(device);
+        assertClose(position.z, 1.6, 0.05, 'z');
+        assertClose(position.x, device.x, 2, 'x');
+        assertClose(position.y, device.y, 2, 'y');
+
+        engine.estimateHeight = false;
+        assert.equal(engine.locate(device).position.z, undefined);
+    });
+
+    it('stores heights in scenarios', () => {
+        const engine = createEngine({ radioHeight: 2.5 });
+        engine.setRadios([{ x: 40, y: 40, label: 'R1', z: 3 }]);
+        const scenario = JSON.parse(JSON.stringify(engine.exportScenario()));
+        assert.equal(scenario.radios[0].z, 3);
+        assert.equal(scenario.settings.radioHeight, 2.5);
+
+        const restored = createEngine();
+        restored.importScenario(scenario);
+        assert.equal(restored.radios[0].z, 3);
+        assert.equal(restored.radioHeight, 2.5);
+    });
+});
+
+describe('multipath', () => {
+    // Corridor between two metal walls 4 m apart
+    function corridorEngine(options = {}) {
+        const engine = createEngine({ enableWalls: true, enableMultipath: true, ...options });
+        engine.walls = [
+            new Wall({ x: 0, y: 220 }, { x: 800, y: 220 }, 'metal'),
+            new Wall({ x: 0, y: 380 }, { x: 800, y: 380 }, 'metal')
+        ];
+        return engine;
+    }
+
+    it('traces first- and second-order specular reflections', () => {
+        const walls = [
+            new Wall({ x: 0, y: 200 }, { x: 400, y: 200 }),
+            new Wall({ x: 0, y: 0 }, { x: 400, y: 0 })
+        ];
+        const paths = traceReflections({ x: 100, y: 100 }, { x: 300, y: 100 }, walls);
+
+        const single = paths.filter(p => p.walls.length === 1);
+        assert.equal(single.length, 2);
+        assert.deepEqual(single[0].points[1], { x: 200, y: 200 });
+        assertClose(single[0].length, 2 * Math.hypot(100, 100), 1e-9);
+
+        const double = paths.find(p => p.walls[0] === walls[0] && p.walls[1] === walls[1]);
+        assertClose(double.points[1].x, 150, 1e-9);
+        assertClose(double.points[2].x, 250, 1e-9);
+        assertClose(double.length, Math.hypot(200, 400), 1e-9);
+        assert.equal(traceReflections({ x: 100, y: 100 }, { x: 300, y: 100 }, walls, 1).length, 2);
+
+        // Points on opposite sides of a wall have no reflection off it
+        assert.equal(traceReflections({ x: 100, y: 100 }, { x: 300, y: 300 }, [walls[0]]).length, 0);
+    });
+
+    it('adds reflected power on top of the direct path', () => {
+        const engine = corridorEngine({ multipathCombining: 'power' });
+        const radio = { x: 100, y: 300 };
+        const receiver = { x: 500, y: 300 };
+        const withPaths = engine.modelRSSI(10, radio, receiver);
+
+        engine.enableMultipath = false;
+        const direct = engine.modelRSSI(10, radio, receiver);
+        const upstairs = engine.modelRSSI(10, radio, { ...receiver, floor: 1 });
+        assert.ok(withPaths > direct + 1, `${withPaths} vs ${direct}`);
+
+        // Reflections are only traced within a floor
+        engine.enableMultipath = true;
+        assert.equal(engine.modelRSSI(10, radio, { ...receiver, floor: 1 }), upstairs);
+    });
+
+    it('makes RSSI non-monotonic along a corridor when combined coherently', () => {
+        const engine = corridorEngine();
+        const radio = { x: 40, y: 300 };
+        const profile = (eng) => Array.from({ length: 60 }, (_, i) => {
+            const receiver = { x: 200 + i * 4, y: 300 };
+            return eng.modelRSSI(eng.signalDistance(radio, receiver), radio, receiver);
+        });
+
+        const rises = (values) => values.slice(1).filter((v, i) => v > values[i]).length;
+        assert.ok(rises(profile(engine)) > 5);
+
+        engine.enableMultipath = false;
+        assert.equal(rises(profile(engine)), 0);
+    });
+
+    it('rejects unknown combining modes in scenarios', () => {
+        const scenario = createEngine().exportScenario();
+        scenario.settings.multipathCombining = 'average';
+        assert.throws(() => validateScenario(scenario), /multipathCombining/);
+    });
+});